@@ -25,6 +25,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const checkbox = document.getElementById("toggle-extension");
   const statusText = document.getElementById("status-text");
+  const scheduleText = document.getElementById("schedule-text");
+
+  function showSchedule(name) {
+    scheduleText.textContent = name ? `Schedule: ${name}` : "";
+    scheduleText.style.display = name ? "" : "none";
+  }
 
   chrome.storage.onChanged.addListener((changes) => {
     if (Object.hasOwn(changes, 'enabled')) {
@@ -32,6 +38,68 @@ document.addEventListener('DOMContentLoaded', () => {
       checkbox.checked = enabled;
       statusText.textContent = enabled ? "On" : "Off";
     }
+    if (Object.hasOwn(changes, 'activeSchedule')) {
+      showSchedule(changes.activeSchedule.newValue);
+    }
+  });
+
+  // Profiles, optionally behind the options password
+  const profileSelect = document.getElementById("profile-select");
+  const passForm = document.getElementById("profile-pass");
+  const passInput = document.getElementById("profile-pass-input");
+  const profileState = {};
+
+  function showProfiles() {
+    const active = profileState.activeProfile || "Default";
+    const names = [active, ...Object.keys(profileState.profiles || {}).sort()];
+    profileSelect.textContent = "";
+    names.forEach((name) => profileSelect.add(new Option(name, name)));
+    profileSelect.value = active;
+    document.getElementById("profile-row").style.display = names.length > 1 ? "" : "none";
+    passForm.style.display = "none";
+  }
+
+  function switchProfile(name) {
+    chrome.runtime.sendMessage({ type: "switchProfile", name });
+  }
+
+  chrome.storage.local.get(["profiles", "activeProfile", "storageData"], (result) => {
+    Object.assign(profileState, result);
+    showProfiles();
+  });
+
+  chrome.storage.onChanged.addListener((changes) => {
+    ["profiles", "activeProfile", "storageData"].forEach((key) => {
+      if (Object.hasOwn(changes, key)) profileState[key] = changes[key].newValue;
+    });
+    if (Object.hasOwn(changes, 'profiles') || Object.hasOwn(changes, 'activeProfile')) {
+      showProfiles();
+    }
+  });
+
+  profileSelect.addEventListener("change", () => {
+    const storageData = profileState.storageData;
+    if (storageData?.profileLock && storageData.uiPass) {
+      passForm.style.display = "";
+      passInput.focus();
+      return;
+    }
+    switchProfile(profileSelect.value);
+  });
+
+  passForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    if (passInput.value === profileState.storageData?.uiPass) {
+      switchProfile(profileSelect.value);
+    } else {
+      passInput.placeholder = "Incorrect password";
+    }
+    passInput.value = "";
+  });
+
+  // Show the schedule applied by the background script
+  chrome.storage.local.get("activeSchedule", (result) => {
+    showSchedule(result.activeSchedule);
   });
 
   // Restore the switch state from storage
@@ -60,4 +128,9 @@ document.addEventListener('DOMContentLoaded', () => {
       chrome.runtime.openOptionsPage();
     }
   });
+
+  // Open blocked items log
+  document.getElementById("log-button").addEventListener("click", () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL("src/ui/log.html") });
+  });
 });
\ No newline at end of file
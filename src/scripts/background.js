@@ -1,20 +1,37 @@
 'use strict';
 
+// patterns and the compound rule parser shared with the options page, see common.js
+if (typeof btCommon === 'undefined' && typeof importScripts === 'function') {
+  importScripts('common.js');
+}
+const common = typeof btCommon !== 'undefined' ? btCommon : require('./common.js');
+
 const has = Object.prototype.hasOwnProperty;
-const unicodeBoundry = "[ \n\r\t!@#$%^&*()_\\-=+\\[\\]\\\\\\|;:'\",\\.\\/<>\\?`~:]+";
 const ports = {};
 let enabled = true;
+let syncEnabled = false;
 let initStorage = false;
 let compiledStorage;
+let managed = {};
+let subscriptions = [];
+let activeSchedule;
+let inactiveProfiles = {};
 let storage = {
   filterData: {
     videoId: [],
     channelId: [],
+    channelHandle: [],
     channelName: [],
     comment: [],
     title: [],
     description: [],
+    tags: [],
+    allowlist: [],
+    compoundRules: [],
     vidLength: [null, null],
+    uploadAge: [null, null],
+    viewCount: [null, null],
+    category: [],
     javascript: "",
     percentWatchedHide: null
   },
@@ -23,6 +40,14 @@ let storage = {
     mixes: false,
     shorts: false,
     movies: false,
+    live: false,
+    upcoming: false,
+    premieres: false,
+    family_safe_only: false,
+    age_restricted: false,
+    members: false,
+    paid: false,
+    paid_promotion: "",
     suggestions_only: false,
     autoplay: false,
     enable_javascript: false,
@@ -30,79 +55,380 @@ let storage = {
     block_feedback: false,
     disable_db_normalize: false,
     disable_you_there: false,
-    disable_on_history: false
+    disable_on_history: false,
+    allowlist_mode: false
   },
 };
 
-// Precompiled regex for parsing raw regex patterns
-const rawRegexPattern = /^\/(.*)\/(.*)$/;
 // Set for faster type checking
 const idTypes = new Set(['channelId', 'videoId']);
+const handlePattern = /@[^/?#\s@]+/;
+const channelRefPattern = common.channelRefPattern;
+const channelIdPattern = /^UC[\w-]{22}$/;
+
+// Entries can be limited to some surfaces with a prefix like [home,search] or [!subscriptions]
+const scopePattern = /^\[\s*(!?[a-z]+(?:\s*,\s*!?[a-z]+)*)\s*\]\s*(.+)$/;
+const scopeNames = new Set([
+  'home', 'search', 'watch', 'subscriptions', 'channel', 'history', 'playlist',
+]);
+
+const expiryPattern = common.expiryPattern;
+const contextBlockHeader = '// Blocked by context menu';
+// filter types the context menu adds entries to
+const contextTypes = [
+  'videoId', 'channelId', 'channelHandle', 'channelName', 'comment', 'title', 'description',
+];
+// [min, max] filters, a policy replaces the user's range instead of adding to it
+const rangeKeys = new Set(['vidLength', 'uploadAge', 'viewCount']);
+
+// filter types a subscribed list may contribute to
+const listTypes = [
+  'title', 'description', 'tags', 'channelName', 'channelId', 'channelHandle', 'videoId', 'comment',
+  'compoundRules',
+];
+const listSection = /^\[([A-Za-z]+)\]$/;
+const listTitle = /^!\s*Title:\s*(.+)$/i;
 
 const utils = {
-  compileRegex(entriesArr, type) {
+  // sources, when given, receives the entry each compiled pattern came from
+  compileRegex(entriesArr, type, sources = undefined) {
     if (!Array.isArray(entriesArr)) {
       return undefined;
     }
     // empty dataset
     if (entriesArr.length === 1 && entriesArr[0] === '') return [];
 
-    // skip empty and comments lines - use for loop instead of filter for performance
+    // skip empty, comments and expired lines - use for loop instead of filter for performance
+    const now = Date.now();
     const seen = new Set();
     const filtered = [];
+    const entries = [];
     for (let i = 0, len = entriesArr.length; i < len; i++) {
       const x = entriesArr[i];
       if (!x || x === '' || x.startsWith('//')) continue;
       const trimmed = x.trim();
-      if (!seen.has(trimmed)) {
-        seen.add(trimmed);
-        filtered.push(trimmed);
+      // exception entries are compiled separately by compileExceptions
+      if (trimmed.startsWith('@@') || seen.has(trimmed)) continue;
+      seen.add(trimmed);
+      const { entry, expires } = this.parseExpiry(trimmed);
+      if (expires !== undefined && expires <= now) continue;
+      // channel URLs and handles are compiled once channelIds replaced them with the ID
+      if (type === 'channelId' && this.channelRef(this.parseScopes(entry).entry) !== undefined) {
+        continue;
       }
+      filtered.push(trimmed);
+      entries.push(entry);
     }
 
     const isIdType = idTypes.has(type);
     const result = new Array(filtered.length);
     
     for (let i = 0, len = filtered.length; i < len; i++) {
-      const v = filtered[i];
+      const { scopes, entry } = this.parseScopes(entries[i]);
+      result[i] = type === 'channelHandle'
+        ? this.compileHandle(entry)
+        : this.compilePattern(entry, isIdType);
+      if (scopes !== undefined) result[i].push(scopes);
+    }
+    if (sources !== undefined) sources.push(...filtered);
+    
+    return result;
+  },
+
+  parseScopes(v) {
+    const parts = scopePattern.exec(v);
+    if (parts === null) return { entry: v };
+
+    const scopes = { include: [], exclude: [] };
+    const names = parts[1].split(',');
+    for (let i = 0, len = names.length; i < len; i++) {
+      const name = names[i].trim();
+      const isExclude = name.startsWith('!');
+      const scope = isExclude ? name.slice(1) : name;
+      // not a scope list, e.g. a "[live] stream" keyword
+      if (!scopeNames.has(scope)) return { entry: v };
+      (isExclude ? scopes.exclude : scopes.include).push(scope);
+    }
+    return { scopes, entry: parts[2].trim() };
+  },
+
+  parseExpiry(v) {
+    const parts = expiryPattern.exec(v);
+    if (parts === null) return { entry: v };
+    const date = new Date(+parts[1], parts[2] - 1, +parts[3], +(parts[4] || 0), +(parts[5] || 0));
+    return { entry: v.slice(0, parts.index), expires: date.getTime() };
+  },
+
+  // Earliest expiry of the user's entries, including ones that already passed
+  nextExpiry(filterData) {
+    let next;
+    Object.keys(filterData || {}).forEach((list) => {
+      const entries = filterData[list];
+      if (!Array.isArray(entries)) return;
+      for (let i = 0, len = entries.length; i < len; i++) {
+        if (typeof entries[i] !== 'string' || entries[i].startsWith('//')) continue;
+        const { expires } = this.parseExpiry(entries[i].trim());
+        if (expires !== undefined && (next === undefined || expires < next)) next = expires;
+      }
+    });
+    return next;
+  },
+
+  // Removes expired entries, and the context menu comment of a block left empty by that.
+  // Returns the same array when nothing expired.
+  dropExpired(entries, now = Date.now()) {
+    const remaining = entries.filter((v) => {
+      if (typeof v !== 'string' || v.startsWith('//')) return true;
+      const { expires } = this.parseExpiry(v.trim());
+      return expires === undefined || expires > now;
+    });
+    if (remaining.length === entries.length) return entries;
 
-      // unique id
-      if (isIdType) {
-        result[i] = [`^${v}$`, ''];
+    const result = [];
+    for (let i = 0, len = remaining.length; i < len; i++) {
+      const v = remaining[i];
+      const next = remaining[i + 1];
+      if (typeof v === 'string' && v.startsWith(contextBlockHeader) &&
+          (next === undefined || next === '' || next.startsWith('//'))) {
+        // also skip the blank line closing the block, unless it is the editor's last line
+        if (next === '' && i + 2 < len) i++;
         continue;
       }
+      result.push(v);
+    }
+    return result;
+  },
+
+  // {key} for a handle or legacy channel URL, {id} for a /channel/ URL, undefined for anything else
+  channelRef(v) {
+    const parts = channelRefPattern.exec(v);
+    if (parts === null) return undefined;
+    if (parts[4] !== undefined) return { id: parts[4] };
+    try {
+      const key = parts[1] !== undefined ? parts[1] : `${parts[2]}/${parts[3]}`;
+      return { key: decodeURIComponent(key).toLowerCase() };
+    } catch (e) {
+      return undefined;
+    }
+  },
 
-      // raw regex
-      const parts = rawRegexPattern.exec(v);
-      if (parts !== null) {
-        result[i] = [parts[1], parts[2]];
+  // Replaces channel URLs and handles whose ID is known with the ID, keeping the original
+  // input as a comment above it. Returns the same array when nothing was resolved.
+  resolveChannelRefs(entries, mappings) {
+    let changed = false;
+    const result = [];
+    for (let i = 0, len = entries.length; i < len; i++) {
+      const v = entries[i];
+      const line = typeof v === 'string' ? v.trim() : '';
+      const found = this.findChannelRef(line);
+      const id = found && (found.ref.id || mappings[found.ref.key]);
+      if (id === undefined) {
+        result.push(v);
         continue;
       }
+      result.push(`// ${line}`, found.before + id + found.after);
+      changed = true;
+    }
+    return changed ? result : entries;
+  },
 
-      // regular keyword
-      result[i] = ['(^|' + unicodeBoundry + ')(' +
-        v.replace(/[\\^$*+?.()|[\]{}]/g, '\\$&') +
-        ')(' + unicodeBoundry + '|$)', 'i'];
+  // The channel URL or handle of a channel ID list line, with the exception prefix, scopes and
+  // expiry date around it that are kept when it is replaced
+  findChannelRef(line) {
+    if (line.startsWith('//')) return undefined;
+    const start = line.startsWith('@@') ? 2 : 0;
+    const end = start + this.parseExpiry(line.slice(start)).entry.length;
+    const { entry } = this.parseScopes(line.slice(start, end));
+    const ref = this.channelRef(entry);
+    if (ref === undefined) return undefined;
+    return { ref, before: line.slice(0, end - entry.length), after: line.slice(end) };
+  },
+
+  // Storage saved before a list was introduced has no array for it yet
+  addContextBlock(data, block) {
+    if (!block || !contextTypes.includes(block.type) || !Array.isArray(block.entries)) return false;
+    (data.filterData[block.type] ||= []).push(...block.entries);
+    return true;
+  },
+
+  undoContextBlock(data, block) {
+    if (!block || !contextTypes.includes(block.type)) return false;
+    const list = data.filterData[block.type];
+    const remaining = this.removeEntries(list, block.entries);
+    if (remaining === list) return false;
+    data.filterData[block.type] = remaining;
+    return true;
+  },
+
+  // Takes out the last run of entries added together, e.g. an undone context menu block.
+  // Returns the same array when the run is not found, the user may have edited it since.
+  removeEntries(list, entries) {
+    if (!Array.isArray(list) || !Array.isArray(entries) || entries.length === 0) return list;
+    for (let i = list.length - entries.length; i >= 0; i--) {
+      if (entries.every((v, j) => list[i + j] === v)) {
+        return [...list.slice(0, i), ...list.slice(i + entries.length)];
+      }
+    }
+    return list;
+  },
+
+  // Entries prefixed with @@ un-block whatever they match, e.g. @@UCxxxx or @@/tutorial/i
+  compileExceptions(entriesArr, type, sources = undefined) {
+    if (!Array.isArray(entriesArr)) {
+      return undefined;
+    }
+
+    const exceptions = [];
+    for (let i = 0, len = entriesArr.length; i < len; i++) {
+      const x = entriesArr[i];
+      if (!x) continue;
+      const trimmed = x.trim();
+      if (trimmed.startsWith('@@') && trimmed.length > 2) {
+        exceptions.push(trimmed.slice(2));
+      }
+    }
+
+    const patterns = [];
+    const result = this.compileRegex(exceptions, type, patterns);
+    if (sources !== undefined) sources.push(...patterns.map(v => `@@${v}`));
+    return result;
+  },
+
+  // Handles match exactly but in any case, entries may leave out the @ or be a channel URL
+  compileHandle(v) {
+    const parts = handlePattern.exec(v);
+    const handle = parts !== null ? parts[0] : `@${v}`;
+    return [`^${handle.replace(/[\\^$*+?.()|[\]{}]/g, '\\$&')}$`, 'i'];
+  },
+
+  compilePattern: common.compilePattern,
+
+  // Compound rules look like: channel:UCxxxx AND (title:reaction OR NOT duration:<60)
+  compileRules(entriesArr) {
+    if (!Array.isArray(entriesArr)) return [];
+
+    const seen = new Set();
+    const result = [];
+    for (let i = 0, len = entriesArr.length; i < len; i++) {
+      const x = entriesArr[i];
+      if (!x || x.startsWith('//')) continue;
+      const trimmed = x.trim();
+      if (trimmed === '' || seen.has(trimmed)) continue;
+      seen.add(trimmed);
+      const { entry: unexpired, expires } = this.parseExpiry(trimmed);
+      if (expires !== undefined && expires <= Date.now()) continue;
+      try {
+        const { scopes, entry } = this.parseScopes(unexpired);
+        const rule = this.compileRule(entry);
+        if (scopes !== undefined) rule.scopes = scopes;
+        rule.source = trimmed;
+        result.push(rule);
+      } catch (e) {
+        console.error(`Compound rule parsing error: ${trimmed} (${e.message})`);
+      }
     }
-    
     return result;
   },
 
-  compileAll(data) {
-    const sendData = { filterData: {}, options: data.options };
+  compileRule: common.compileRule,
+
+  appendLists(filterData, lists) {
+    const listKeys = Object.keys(lists);
+    for (let i = 0, len = listKeys.length; i < len; i++) {
+      const key = listKeys[i];
+      if (rangeKeys.has(key) || !Array.isArray(lists[key])) continue;
+      filterData[key] = (filterData[key] || []).concat(lists[key]);
+    }
+  },
+
+  // Entries from an enterprise policy are appended to the user's lists and
+  // policy options override the user's, so neither can be removed locally.
+  mergeManaged(data, policy) {
+    if (!policy || (!policy.filterData && !policy.options)) return data;
+    const filterData = { ...data.filterData };
+    const lists = policy.filterData || {};
+    this.appendLists(filterData, lists);
+    rangeKeys.forEach((key) => {
+      if (Array.isArray(lists[key])) {
+        filterData[key] = [lists[key][0] ?? null, lists[key][1] ?? null];
+      }
+    });
+    return { ...data, filterData, options: { ...data.options, ...policy.options } };
+  },
+
+  // Subscribed lists are stored apart from storageData and only joined here,
+  // so list updates never touch the user's own entries.
+  mergeSubscriptions(data, subs) {
+    if (!Array.isArray(subs) || subs.length === 0) return data;
+    const filterData = { ...data.filterData };
+    for (let i = 0, len = subs.length; i < len; i++) {
+      if (subs[i].filterData) this.appendLists(filterData, subs[i].filterData);
+    }
+    return { ...data, filterData };
+  },
+
+  loadManaged(callback) {
+    if (!chrome.storage.managed) {
+      callback({});
+      return;
+    }
+    let done = false;
+    const finish = (data) => {
+      if (done) return;
+      done = true;
+      callback(data || {});
+    };
+    // lastError is set when no policy is installed, Firefox can also throw or reject instead
+    try {
+      const pending = chrome.storage.managed.get(null, (data) => {
+        finish(chrome.runtime.lastError ? undefined : data);
+      });
+      if (pending && typeof pending.catch === 'function') pending.catch(() => finish());
+    } catch (e) {
+      finish();
+    }
+  },
+
+  compileAll(data, policy = managed, subs = subscriptions, schedule = activeSchedule) {
+    // schedules share the policy layout, a policy still wins over the active schedule
+    data = this.mergeSubscriptions(schedules.withProfile(data, schedule), subs);
+    data = this.mergeManaged(this.mergeManaged(data, schedule), policy);
+    // sources holds the original entry of every compiled pattern, used to report rule hits
+    const sendData = {
+      filterData: { exceptions: {}, sources: { exceptions: {} } },
+      options: data.options,
+    };
     const filterData = data.filterData;
+    const sources = sendData.filterData.sources;
 
     // compile regex props - use for loop instead of forEach
-    const regexProps = ['title', 'channelName', 'channelId', 'videoId', 'comment', 'description'];
-    for (let i = 0; i < 6; i++) {
+    const regexProps = [
+      'title', 'channelName', 'channelId', 'channelHandle', 'videoId', 'comment', 'description',
+      'tags', 'allowlist',
+    ];
+    for (let i = 0, len = regexProps.length; i < len; i++) {
       const p = regexProps[i];
-      const dataArr = this.compileRegex(filterData[p], p);
+      const entries = [];
+      const dataArr = this.compileRegex(filterData[p], p, entries);
       if (dataArr) {
         sendData.filterData[p] = dataArr;
+        sources[p] = entries;
+      }
+      const exceptionEntries = [];
+      const exceptionArr = this.compileExceptions(filterData[p], p, exceptionEntries);
+      if (exceptionArr && exceptionArr.length > 0) {
+        sendData.filterData.exceptions[p] = exceptionArr;
+        sources.exceptions[p] = exceptionEntries;
       }
     }
 
+    sendData.filterData.compoundRules = this.compileRules(filterData.compoundRules);
     sendData.filterData.vidLength = filterData.vidLength;
+    sendData.filterData.uploadAge = filterData.uploadAge || [null, null];
+    sendData.filterData.viewCount = filterData.viewCount || [null, null];
+    sendData.filterData.category = (filterData.category || [])
+      .filter(v => typeof v === 'string' && v.trim() !== '')
+      .map(v => v.trim().toLowerCase());
     sendData.filterData.javascript = filterData.javascript;
 
     return sendData;
@@ -137,50 +463,1014 @@ const utils = {
   }
 };
 
-chrome.storage.local.get(['storageData', 'enabled'], (data) => {
-  if (data !== undefined && Object.keys(data).length > 0) {
-    storage = data.storageData;
-    compiledStorage = utils.compileAll(data.storageData);
-  }
-  if (Object.hasOwn(data, 'enabled')) {
-    enabled = data.enabled
-  }
-  initStorage = true;
-  utils.sendFiltersToAll();
-
-  chrome.runtime.onConnect.addListener((port) => {
-    port.onDisconnect.addListener((port) => {
-        const key = port.sender.contextId || port.sender.frameId;
-        delete ports[key];
-    });
-    const key = port.sender.contextId || port.sender.frameId;
-    ports[key] = port;
-    port.onMessage.addListener((msg) => {
-      switch (msg.type) {
-        case 'contextBlock': {
-          const validTypes = ['videoId', 'channelId', 'channelName', 'comment', 'title', 'description'];
-          if (!msg.data || !validTypes.includes(msg.data.type)) break;
-          storage.filterData[msg.data.type].push(...msg.data.entries);
-          chrome.storage.local.set({storageData: storage});
+const DEFAULT_PROFILE = 'Default';
+
+// chrome.storage.sync allows 8KB per item (key + JSON value) and 100KB in total
+const SYNC_CHUNK_SIZE = 7680;
+const SYNC_META_KEY = 'sync_meta';
+const SYNC_CHUNK_PREFIX = 'sync_chunk_';
+
+// Opt-in syncing of storageData through chrome.storage.sync.
+// The data is compressed and split into chunks, remote edits are merged with local edits
+// against the last synced snapshot (syncBase) and written to chrome.storage.local, so they
+// are compiled and sent to tabs like any other local change.
+// Only devices with the same profile active sync with each other, the synced data carries its
+// profile name and data of another profile is left alone until this device pushes an edit.
+const sync = {
+  deviceId: undefined,
+  profile: DEFAULT_PROFILE,
+  // serialized storageData as of the last successful push/pull
+  base: undefined,
+  busy: Promise.resolve(),
+
+  init(data) {
+    this.base = data.syncBase;
+    this.profile = data.activeProfile || DEFAULT_PROFILE;
+    this.deviceId = data.syncDeviceId;
+    if (!this.deviceId) {
+      this.deviceId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+      chrome.storage.local.set({ syncDeviceId: this.deviceId });
+    }
+  },
+
+  // serialize sync operations so a pull never races a push
+  queue(fn) {
+    this.busy = this.busy.then(fn).catch((e) => {
+      console.error('Sync error', e);
+      this.setStatus({ error: e.message });
+    });
+    return this.busy;
+  },
+
+  start() {
+    return this.queue(async () => {
+      const remote = await this.read();
+      if (remote === undefined) {
+        await this.write(storage);
+        return;
+      }
+      if (remote.profile !== this.profile) return;
+      await this.apply(remote);
+    });
+  },
+
+  // A profile switch is not an edit, the last synced snapshot belongs to the previous profile
+  switchProfile(name) {
+    return this.queue(() => {
+      this.profile = name || DEFAULT_PROFILE;
+      this.base = undefined;
+      chrome.storage.local.remove('syncBase');
+    }).then(() => this.start());
+  },
+
+  push() {
+    return this.queue(async () => {
+      if (JSON.stringify(storage) === this.base) return;
+      await this.write(storage);
+    });
+  },
+
+  pull() {
+    return this.queue(async () => {
+      const remote = await this.read();
+      if (remote === undefined || remote.device === this.deviceId) return;
+      if (remote.profile !== this.profile) return;
+      await this.apply(remote);
+    });
+  },
+
+  async apply(remote) {
+    const base = this.base !== undefined ? JSON.parse(this.base) : {};
+    const merged = this.merge(base, storage, remote.data);
+    const serialized = JSON.stringify(merged);
+
+    this.base = JSON.stringify(remote.data);
+    chrome.storage.local.set({ syncBase: this.base });
+
+    if (serialized !== this.base) {
+      // local edits survived the merge, send them back
+      await this.write(merged);
+    } else {
+      this.setStatus({ error: null });
+    }
+    if (serialized !== JSON.stringify(storage)) {
+      // goes through chrome.storage.onChanged, which recompiles and notifies tabs
+      chrome.storage.local.set({ storageData: merged });
+    }
+  },
+
+  async read() {
+    const items = await new Promise(resolve => chrome.storage.sync.get(null, resolve));
+    const meta = items[SYNC_META_KEY];
+    if (!meta) return undefined;
+
+    let encoded = '';
+    for (let i = 0; i < meta.chunks; i++) {
+      const chunk = items[SYNC_CHUNK_PREFIX + i];
+      if (typeof chunk !== 'string') throw Error('Incomplete sync data');
+      encoded += chunk;
+    }
+
+    const json = await this.decode(encoded, meta.encoding);
+    // chunks from two devices writing at the same time can get mixed up
+    if (this.hash(json) !== meta.hash) throw Error('Sync data checksum mismatch');
+    return {
+      data: JSON.parse(json),
+      device: meta.device,
+      profile: meta.profile || DEFAULT_PROFILE,
+      updated: meta.updated,
+    };
+  },
+
+  async write(data) {
+    const json = JSON.stringify(data);
+    const { encoded, encoding } = await this.encode(json);
+    const chunks = this.split(encoded);
+
+    const items = {};
+    for (let i = 0; i < chunks.length; i++) {
+      items[SYNC_CHUNK_PREFIX + i] = chunks[i];
+    }
+    items[SYNC_META_KEY] = {
+      chunks: chunks.length,
+      encoding,
+      hash: this.hash(json),
+      device: this.deviceId,
+      profile: this.profile,
+      updated: Date.now(),
+    };
+
+    const previous = await new Promise(resolve => chrome.storage.sync.get(SYNC_META_KEY, resolve));
+    // a single set() call so other devices never see half of an update
+    await new Promise((resolve, reject) => {
+      chrome.storage.sync.set(items, () => {
+        if (chrome.runtime.lastError) reject(Error(chrome.runtime.lastError.message));
+        else resolve();
+      });
+    });
+
+    const previousChunks = previous[SYNC_META_KEY] ? previous[SYNC_META_KEY].chunks : 0;
+    const stale = [];
+    for (let i = chunks.length; i < previousChunks; i++) {
+      stale.push(SYNC_CHUNK_PREFIX + i);
+    }
+    if (stale.length > 0) chrome.storage.sync.remove(stale);
+
+    this.base = json;
+    chrome.storage.local.set({ syncBase: json });
+    this.setStatus({ error: null });
+  },
+
+  setStatus(status) {
+    chrome.storage.local.set({ syncStatus: { ...status, updated: Date.now() } });
+  },
+
+  split(encoded) {
+    const chunks = [];
+    for (let i = 0; i < encoded.length; i += SYNC_CHUNK_SIZE) {
+      chunks.push(encoded.slice(i, i + SYNC_CHUNK_SIZE));
+    }
+    return chunks.length > 0 ? chunks : [''];
+  },
+
+  async encode(json) {
+    let bytes = new TextEncoder().encode(json);
+    let encoding = 'none';
+    if (typeof CompressionStream !== 'undefined') {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      encoding = 'deflate-raw';
+    }
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { encoded: btoa(binary), encoding };
+  },
+
+  async decode(encoded, encoding) {
+    const binary = atob(encoded);
+    let bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    if (encoding === 'deflate-raw') {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (encoding !== 'none') {
+      throw Error(`Unknown sync encoding "${encoding}"`);
+    }
+    return new TextDecoder().decode(bytes);
+  },
+
+  // FNV-1a, only used to detect corrupted or mixed chunks
+  hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+  },
+
+  // Three-way merge: filter lists keep additions and removals from both sides, other values
+  // take whichever side changed them, and the remote side wins when both did.
+  merge(base, local, remote) {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const isList = v => Array.isArray(v) && v.every(x => typeof x === 'string');
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    if (isObject(local) && isObject(remote)) {
+      const result = {};
+      const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+      keys.forEach((key) => {
+        const b = isObject(base) ? base[key] : undefined;
+        if (!has.call(remote, key)) {
+          if (b === undefined) result[key] = local[key];
+        } else if (!has.call(local, key)) {
+          if (b === undefined) result[key] = remote[key];
+        } else {
+          result[key] = this.merge(b, local[key], remote[key]);
+        }
+      });
+      return result;
+    }
+
+    if (isList(local) && isList(remote)) {
+      const baseSet = new Set(isList(base) ? base : []);
+      const localSet = new Set(local);
+      const remoteSet = new Set(remote);
+      // drop lines removed remotely, keep empty lines as separators
+      const result = local.filter(x => x === '' || !baseSet.has(x) || remoteSet.has(x));
+      for (let i = 0; i < remote.length; i++) {
+        const x = remote[i];
+        if (x !== '' && !baseSet.has(x) && !localSet.has(x)) result.push(x);
+      }
+      return result;
+    }
+
+    if (same(local, base)) return remote;
+    if (same(remote, base)) return local;
+    return remote;
+  },
+};
+
+const RULE_STATS_FLUSH_DELAY = 10000;
+// user lists whose entries get hit statistics, content type blocks are counted under "contentTypes"
+const statsLists = [
+  'title', 'description', 'tags', 'channelName', 'channelId', 'channelHandle', 'videoId', 'comment',
+  'allowlist', 'compoundRules',
+];
+
+// Per-rule hit statistics, kept in chrome.storage.local under "ruleStats" as
+// {list: {entry: {hits, last, added}}}. Tabs send hits in batches, which are added up here
+// and written at most once per RULE_STATS_FLUSH_DELAY.
+const ruleStats = {
+  pending: {},
+  timer: undefined,
+  busy: Promise.resolve(),
+
+  queue(fn) {
+    this.busy = this.busy.then(fn).catch((e) => {
+      console.error('Rule statistics error', e);
+    });
+    return this.busy;
+  },
+
+  add(hits) {
+    if (!hits || typeof hits !== 'object') return;
+    const now = Date.now();
+    Object.keys(hits).forEach((list) => {
+      const counts = hits[list];
+      if (!counts || typeof counts !== 'object') return;
+      const pending = this.pending[list] || (this.pending[list] = {});
+      Object.keys(counts).forEach((entry) => {
+        const count = parseInt(counts[entry], 10);
+        if (!(count > 0)) return;
+        const record = pending[entry] || (pending[entry] = { hits: 0, last: 0 });
+        record.hits += count;
+        record.last = now;
+      });
+    });
+    if (this.timer === undefined) {
+      this.timer = setTimeout(() => this.flush(), RULE_STATS_FLUSH_DELAY);
+    }
+  },
+
+  read() {
+    return new Promise(resolve => chrome.storage.local.get(['ruleStats'], (data) => {
+      resolve(data.ruleStats || {});
+    }));
+  },
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    const pending = this.pending;
+    this.pending = {};
+
+    return this.queue(async () => {
+      const stats = await this.read();
+      const now = Date.now();
+      Object.keys(pending).forEach((list) => {
+        const records = stats[list] || (stats[list] = {});
+        Object.keys(pending[list]).forEach((entry) => {
+          const record = records[entry] || (records[entry] = { hits: 0, last: null, added: now });
+          record.hits += pending[list][entry].hits;
+          record.last = pending[list][entry].last;
+        });
+      });
+      this.track(stats, profiles.withInactive(storage), now);
+      chrome.storage.local.set({ ruleStats: stats });
+    });
+  },
+
+  // Exception entries are reported as "@@" followed by the trimmed pattern
+  key(line) {
+    return line.startsWith('@@') ? `@@${line.slice(2).trim()}` : line;
+  },
+
+  // Add records for new entries of the user's lists, so rules that never hit can be told
+  // apart from rules added recently, and drop the records of removed entries.
+  // Hits of subscribed or policy entries are only kept while the user has the same entry.
+  track(stats, data, now = Date.now()) {
+    let changed = false;
+    for (let i = 0, len = statsLists.length; i < len; i++) {
+      const list = statsLists[i];
+      const entries = data.filterData[list];
+      const records = stats[list] || {};
+      const keep = {};
+      if (Array.isArray(entries)) {
+        for (let j = 0, jlen = entries.length; j < jlen; j++) {
+          const line = typeof entries[j] === 'string' ? entries[j].trim() : '';
+          if (line === '' || line.startsWith('//')) continue;
+          const key = this.key(line);
+          if (has.call(records, key)) {
+            keep[key] = records[key];
+          } else {
+            keep[key] = { hits: 0, last: null, added: now };
+            changed = true;
+          }
+        }
+      }
+      if (Object.keys(records).some(key => !has.call(keep, key))) changed = true;
+      stats[list] = keep;
+    }
+    return changed;
+  },
+
+  update() {
+    return this.queue(async () => {
+      const stats = await this.read();
+      if (this.track(stats, profiles.withInactive(storage))) {
+        chrome.storage.local.set({ ruleStats: stats });
+      }
+    });
+  },
+};
+
+const BLOCK_LOG_SIZE = 1000;
+const BLOCK_LOG_FLUSH_DELAY = 10000;
+const blockLogFields = [
+  'objectType', 'videoId', 'title', 'channelId', 'channelName', 'comment', 'surface', 'list',
+  'entry',
+];
+
+// Rolling log of blocked items, newest last, kept in chrome.storage.local under "blockLog".
+// Each item holds the time, what was blocked and the list and entry that matched.
+const blockLog = {
+  pending: [],
+  timer: undefined,
+  busy: Promise.resolve(),
+
+  add(items) {
+    if (!Array.isArray(items)) return;
+    for (let i = 0, len = items.length; i < len; i++) {
+      const item = items[i];
+      if (!item || typeof item !== 'object') continue;
+      const record = { time: typeof item.time === 'number' ? item.time : Date.now() };
+      for (let j = 0, jlen = blockLogFields.length; j < jlen; j++) {
+        const field = blockLogFields[j];
+        if (typeof item[field] === 'string') record[field] = item[field].slice(0, 200);
+      }
+      this.pending.push(record);
+    }
+    if (this.pending.length > 0 && this.timer === undefined) {
+      this.timer = setTimeout(() => this.flush(), BLOCK_LOG_FLUSH_DELAY);
+    }
+  },
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    const pending = this.pending;
+    this.pending = [];
+
+    this.busy = this.busy.then(async () => {
+      const data = await new Promise(resolve => chrome.storage.local.get(['blockLog'], resolve));
+      const log = (Array.isArray(data.blockLog) ? data.blockLog : []).concat(pending);
+      chrome.storage.local.set({ blockLog: log.slice(-BLOCK_LOG_SIZE) });
+    }).catch((e) => {
+      console.error('Block log error', e);
+    });
+    return this.busy;
+  },
+};
+
+// Lists are checked hourly and fetched again once they are a day old
+const LIST_ALARM = 'filterLists';
+const LIST_CHECK_PERIOD = 60;
+const LIST_UPDATE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Subscribed filter lists, kept in chrome.storage.local under "subscriptions" as
+// [{url, title, filterData, count, lastUpdated, lastAttempt, error}]. Only the url is
+// set by the options page, everything else is written here after fetching the list.
+const filterLists = {
+  busy: Promise.resolve(),
+
+  schedule() {
+    chrome.alarms.get(LIST_ALARM, (alarm) => {
+      // re-creating an existing alarm would postpone it on every service worker start
+      if (!alarm) chrome.alarms.create(LIST_ALARM, { periodInMinutes: LIST_CHECK_PERIOD });
+    });
+  },
+
+  // Text lists hold one entry per line under "[type]" section lines, e.g. [channelId].
+  // Lines starting with "!" are comments and "! Title: name" names the list.
+  // JSON lists use the backup layout: {"title": "name", "filterData": {"channelId": [...]}}
+  parse(text) {
+    const trimmed = text.trim();
+    const filterData = {};
+    let title = '';
+
+    if (trimmed.startsWith('{')) {
+      const json = JSON.parse(trimmed);
+      const lists = json.filterData || {};
+      if (typeof json.title === 'string') title = json.title;
+      for (let i = 0, len = listTypes.length; i < len; i++) {
+        const type = listTypes[i];
+        if (Array.isArray(lists[type])) {
+          filterData[type] = lists[type].filter(v => typeof v === 'string');
+        }
+      }
+    } else {
+      let type;
+      const lines = trimmed.split(/\r?\n/);
+      for (let i = 0, len = lines.length; i < len; i++) {
+        const line = lines[i].trim();
+        if (line === '') continue;
+        if (line.startsWith('!')) {
+          const name = listTitle.exec(line);
+          if (name !== null && !title) title = name[1].trim();
+          continue;
+        }
+        const section = listSection.exec(line);
+        if (section !== null) {
+          // entries of unknown sections are skipped so lists can add types we don't know yet
+          type = listTypes.includes(section[1]) ? section[1] : undefined;
+          continue;
+        }
+        if (type === undefined) continue;
+        (filterData[type] = filterData[type] || []).push(line);
+      }
+    }
+
+    const count = this.count(filterData);
+    if (count === 0) throw Error('No filter entries found');
+    return { title, filterData, count };
+  },
+
+  count(filterData) {
+    let count = 0;
+    Object.values(filterData).forEach((entries) => {
+      count += entries.filter(v => v !== '' && !v.startsWith('//')).length;
+    });
+    return count;
+  },
+
+  async fetchList(url) {
+    const response = await fetch(url, { cache: 'no-cache', credentials: 'omit' });
+    if (!response.ok) throw Error(`HTTP ${response.status}`);
+    return this.parse(await response.text());
+  },
+
+  read() {
+    return new Promise(resolve => chrome.storage.local.get(['subscriptions'], (data) => {
+      resolve(Array.isArray(data.subscriptions) ? data.subscriptions : []);
+    }));
+  },
+
+  // Fetch lists that were never fetched or are older than LIST_UPDATE_INTERVAL.
+  // Saving the result goes through chrome.storage.onChanged, which recompiles and notifies tabs.
+  update(force = false) {
+    this.busy = this.busy.then(async () => {
+      const now = Date.now();
+      const due = (await this.read())
+        .filter(sub => force || !sub.lastAttempt || now - sub.lastAttempt >= LIST_UPDATE_INTERVAL);
+      if (due.length === 0) return;
+
+      const results = {};
+      for (let i = 0, len = due.length; i < len; i++) {
+        const sub = due[i];
+        try {
+          const list = await this.fetchList(sub.url);
+          results[sub.url] = { ...list, lastUpdated: now, lastAttempt: now, error: null };
+        } catch (e) {
+          // keep the last good copy of the list
+          results[sub.url] = { lastAttempt: now, error: e.message || String(e) };
+        }
+      }
+
+      // the options page may have added or removed lists while fetching
+      const current = await this.read();
+      const merged = current
+        .map(sub => (has.call(results, sub.url) ? { ...sub, ...results[sub.url] } : sub));
+      chrome.storage.local.set({ subscriptions: merged });
+    }).catch((e) => {
+      console.error('Filter list update error', e);
+    });
+    return this.busy;
+  },
+};
+
+const SCHEDULE_ALARM = 'schedules';
+const WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Schedules are kept in storageData.schedules as
+// [{name, days: [0-6, Sunday first], start: 'HH:MM', end: 'HH:MM', profile, options, filterData}].
+// While the first active one lasts, the filters and options of its profile replace the user's,
+// its own options and entries are applied on top like a policy, and the alarm wakes us at the
+// next start or end of any schedule.
+const schedules = {
+  minutes(time) {
+    const parts = common.timePattern.exec(time || '');
+    return parts === null ? undefined : parts[1] * 60 + +parts[2];
+  },
+
+  isActive(schedule, date) {
+    const start = this.minutes(schedule.start);
+    const end = this.minutes(schedule.end);
+    if (start === undefined || end === undefined) return false;
+    const days = Array.isArray(schedule.days) && schedule.days.length > 0
+      ? schedule.days
+      : WEEK_DAYS;
+    const day = date.getDay();
+    const now = date.getHours() * 60 + date.getMinutes();
+    if (start === end) return days.includes(day);
+    if (start < end) return days.includes(day) && now >= start && now < end;
+    // overnight schedules end on the day after
+    return (days.includes(day) && now >= start) || (days.includes((day + 6) % 7) && now < end);
+  },
+
+  find(list, date = new Date()) {
+    if (!Array.isArray(list)) return undefined;
+    return list.find(schedule => schedule && this.isActive(schedule, date));
+  },
+
+  next(list, now = Date.now()) {
+    if (!Array.isArray(list)) return undefined;
+    const date = new Date(now);
+    let next;
+    list.forEach((schedule) => {
+      [this.minutes(schedule.start), this.minutes(schedule.end)].forEach((minutes) => {
+        if (minutes === undefined) return;
+        for (let i = 0; i <= 1; i++) {
+          const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + i, 0, minutes);
+          const when = day.getTime();
+          if (when <= now) continue;
+          if (next === undefined || when < next) next = when;
           break;
         }
+      });
+    });
+    return next;
+  },
+
+  // The active profile is storageData itself, so only other profiles replace anything
+  withProfile(data, schedule, stored = inactiveProfiles) {
+    const profile = schedule && schedule.profile && stored[schedule.profile];
+    if (!profile) return data;
+    // lists the profile was saved without are empty rather than the user's
+    const filterData = {};
+    Object.keys(data.filterData).forEach((key) => {
+      const value = data.filterData[key];
+      if (rangeKeys.has(key)) filterData[key] = [null, null];
+      else if (Array.isArray(value)) filterData[key] = [];
+      else filterData[key] = typeof value === 'string' ? '' : null;
+    });
+    return {
+      ...data,
+      filterData: { ...filterData, ...profile.filterData },
+      options: { ...profile.options },
+    };
+  },
+
+  // Returns true when another schedule (or none) became active
+  update(now = Date.now()) {
+    const list = storage.schedules;
+    const when = this.next(list, now);
+    if (when === undefined) {
+      chrome.alarms.clear(SCHEDULE_ALARM);
+    } else {
+      chrome.alarms.create(SCHEDULE_ALARM, { when });
+    }
+
+    const active = this.find(list, new Date(now)) || null;
+    if (JSON.stringify(active) === JSON.stringify(activeSchedule)) return false;
+    activeSchedule = active;
+    // read by the popup
+    chrome.storage.local.set({ activeSchedule: active && active.name });
+    return true;
+  },
+};
+
+// parts of storageData that belong to a profile, the password and theme are shared
+const profileFields = ['filterData', 'options', 'schedules'];
+
+// The active profile is storageData itself, the others are kept in chrome.storage.local
+// under "profiles" as {name: {filterData, options, schedules}} and the active profile's
+// name under "activeProfile". Switching swaps them, so nothing else has to know about profiles.
+const profiles = {
+  busy: Promise.resolve(),
+
+  read() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['storageData', 'profiles', 'activeProfile'], resolve);
+    });
+  },
+
+  // Returns the storage items to set, or undefined when there is no such profile
+  swap(data, name) {
+    const stored = data.profiles || {};
+    const current = data.activeProfile || DEFAULT_PROFILE;
+    if (name === current || !has.call(stored, name)) return undefined;
+
+    // nothing is saved before the options page was first used
+    const storageData = { ...(data.storageData || storage) };
+    const saved = {};
+    for (let i = 0, len = profileFields.length; i < len; i++) {
+      const field = profileFields[i];
+      if (storageData[field] !== undefined) saved[field] = storageData[field];
+      if (stored[name][field] === undefined) {
+        delete storageData[field];
+      } else {
+        storageData[field] = stored[name][field];
       }
+    }
+    const others = { ...stored, [current]: saved };
+    delete others[name];
+    return { storageData, profiles: others, activeProfile: name };
+  },
+
+  switch(name) {
+    this.busy = this.busy.then(async () => {
+      const items = this.swap(await this.read(), name);
+      if (items === undefined) return false;
+      // storageData changes recompile and update connected tabs through chrome.storage.onChanged
+      await new Promise(resolve => chrome.storage.local.set(items, resolve));
+      return true;
+    }).catch((e) => {
+      console.error('Profile switch error', e);
+      return false;
     });
-    utils.sendFilters(port);
-  });
+    return this.busy;
+  },
+
+  // The user's entries of every profile, so hit statistics survive switching
+  withInactive(data) {
+    const filterData = { ...data.filterData };
+    Object.keys(inactiveProfiles).forEach((name) => {
+      const profile = inactiveProfiles[name];
+      if (profile && profile.filterData) utils.appendLists(filterData, profile.filterData);
+    });
+    return { ...data, filterData };
+  },
+};
 
-  chrome.storage.onChanged.addListener((changes) => {
-    if (has.call(changes, 'storageData')) {
-      storage = changes.storageData.newValue;
-      compiledStorage = utils.compileAll(changes.storageData.newValue);
-      utils.sendFiltersToAll();
+const EXPIRY_ALARM = 'expiredEntries';
+
+// Expired entries are already skipped when compiling, the alarm fires when the next one
+// expires and removes it from storageData, which recompiles through chrome.storage.onChanged.
+const expiry = {
+  schedule(data) {
+    const when = utils.nextExpiry(data && data.filterData);
+    if (when === undefined) {
+      chrome.alarms.clear(EXPIRY_ALARM);
+    } else {
+      chrome.alarms.create(EXPIRY_ALARM, { when });
     }
-    if (has.call(changes, 'enabled')) {
-      enabled = changes.enabled.newValue;
-      utils.sendFiltersToAll();
+  },
+
+  drop(now = Date.now()) {
+    return new Promise(resolve => chrome.storage.local.get(['storageData'], (data) => {
+      if (!data.storageData) {
+        resolve(false);
+        return;
+      }
+      const filterData = { ...data.storageData.filterData };
+      let changed = false;
+      Object.keys(filterData).forEach((list) => {
+        if (!Array.isArray(filterData[list])) return;
+        const entries = utils.dropExpired(filterData[list], now);
+        if (entries !== filterData[list]) {
+          filterData[list] = entries;
+          changed = true;
+        }
+      });
+      if (changed) {
+        chrome.storage.local.set({ storageData: { ...data.storageData, filterData } });
+      } else {
+        // the alarm may fire early, or entries were edited meanwhile
+        this.schedule(data.storageData);
+      }
+      resolve(changed);
+    }));
+  },
+};
+
+const CHANNEL_MAPPINGS_SIZE = 5000;
+const CHANNEL_LOOKUP_RETRY = 60 * 60 * 1000;
+const channelPageId = new RegExp(
+  '"externalId":"(UC[\\w-]{22})"'
+  + '|<link rel="canonical" href="https:\\/\\/www\\.youtube\\.com\\/channel\\/(UC[\\w-]{22})"',
+);
+
+// Handles and legacy channel URLs seen on channel pages, kept in chrome.storage.local under
+// "channelMappings" as {"@name": "UCxxxx", "user/name": "UCxxxx"}, newest last. Pending
+// entries of the channel ID list are resolved with them whenever either one changes, entries
+// nobody has seen yet are looked up on their channel page.
+const channelIds = {
+  busy: Promise.resolve(),
+  // lookups that failed, by key, are retried after CHANNEL_LOOKUP_RETRY
+  failed: {},
+
+  queue(fn) {
+    this.busy = this.busy.then(fn).catch((e) => {
+      console.error('Channel ID resolution error', e);
+    });
+    return this.busy;
+  },
+
+  read() {
+    return new Promise(resolve => chrome.storage.local.get(['channelMappings'], (data) => {
+      resolve(data.channelMappings || {});
+    }));
+  },
+
+  save(mappings) {
+    const keys = Object.keys(mappings);
+    keys.slice(0, Math.max(0, keys.length - CHANNEL_MAPPINGS_SIZE))
+      .forEach(key => delete mappings[key]);
+    chrome.storage.local.set({ channelMappings: mappings });
+  },
+
+  // Returns true when the mapping is new or changed
+  remember(mappings, key, id) {
+    if (mappings[key] === id) return false;
+    delete mappings[key];
+    mappings[key] = id;
+    return true;
+  },
+
+  add(data) {
+    if (!data || typeof data.id !== 'string' || !channelIdPattern.test(data.id)
+      || !Array.isArray(data.urls)) {
+      return this.busy;
     }
+    return this.queue(async () => {
+      const mappings = await this.read();
+      let changed = false;
+      data.urls.forEach((url) => {
+        const ref = typeof url === 'string' ? utils.channelRef(url.trim()) : undefined;
+        if (ref === undefined || ref.key === undefined) return;
+        if (this.remember(mappings, ref.key, data.id)) changed = true;
+      });
+      if (!changed) return;
+      this.save(mappings);
+      this.apply(mappings);
+    });
+  },
+
+  resolve(now = Date.now()) {
+    return this.queue(async () => {
+      const mappings = await this.read();
+      this.apply(mappings);
+      let found = false;
+      const keys = this.pending(mappings);
+      for (let i = 0, len = keys.length; i < len; i++) {
+        const key = keys[i];
+        if (this.failed[key] > now - CHANNEL_LOOKUP_RETRY) continue;
+        try {
+          if (this.remember(mappings, key, await this.lookup(key))) found = true;
+          delete this.failed[key];
+        } catch (e) {
+          this.failed[key] = now;
+          console.error(`Channel ID lookup of ${key} failed`, e);
+        }
+      }
+      if (!found) return;
+      this.save(mappings);
+      this.apply(mappings);
+    });
+  },
+
+  // Keys of the handles and URLs in the channel ID list without a known ID
+  pending(mappings) {
+    const keys = new Set();
+    const entries = storage.filterData.channelId;
+    if (!Array.isArray(entries)) return [];
+    for (let i = 0, len = entries.length; i < len; i++) {
+      const found = typeof entries[i] === 'string'
+        ? utils.findChannelRef(entries[i].trim())
+        : undefined;
+      const key = found !== undefined ? found.ref.key : undefined;
+      if (key !== undefined && !has.call(mappings, key)) keys.add(key);
+    }
+    return [...keys];
+  },
+
+  async lookup(key) {
+    const slash = key.indexOf('/');
+    const path = key.startsWith('@') ? `@${encodeURIComponent(key.slice(1))}`
+      : `${key.slice(0, slash)}/${encodeURIComponent(key.slice(slash + 1))}`;
+    const response = await fetch(`https://www.youtube.com/${path}`, { credentials: 'include' });
+    if (!response.ok) throw Error(`HTTP ${response.status}`);
+    const parts = channelPageId.exec(await response.text());
+    if (parts === null) throw Error('No channel ID on the channel page');
+    return parts[1] || parts[2];
+  },
+
+  // Goes through the same storage object as context menu blocks, saving recompiles through
+  // chrome.storage.onChanged
+  apply(mappings) {
+    const entries = storage.filterData.channelId;
+    if (!Array.isArray(entries)) return false;
+    const resolved = utils.resolveChannelRefs(entries, mappings);
+    if (resolved === entries) return false;
+    storage.filterData.channelId = resolved;
+    chrome.storage.local.set({ storageData: storage });
+    return true;
+  },
+};
+
+utils.loadManaged((policy) => {
+  managed = policy;
+  const keys = [
+    'storageData', 'enabled', 'syncEnabled', 'syncBase', 'syncDeviceId', 'subscriptions',
+    'profiles', 'activeProfile',
+  ];
+  chrome.storage.local.get(keys, (data) => {
+    if (data !== undefined && data.storageData !== undefined) {
+      storage = data.storageData;
+    }
+    if (Array.isArray(data.subscriptions)) {
+      subscriptions = data.subscriptions;
+    }
+    if (data.profiles) {
+      inactiveProfiles = data.profiles;
+    }
+    schedules.update();
+    if (data.storageData !== undefined || Object.keys(managed).length > 0
+      || subscriptions.length > 0) {
+      compiledStorage = utils.compileAll(storage);
+    }
+    if (Object.hasOwn(data, 'enabled')) {
+      enabled = data.enabled
+    }
+    sync.init(data);
+    syncEnabled = !!data.syncEnabled;
+    if (syncEnabled) sync.start();
+    initStorage = true;
+    utils.sendFiltersToAll();
+    filterLists.update();
+    ruleStats.update();
+    expiry.drop();
+    channelIds.resolve();
+
+    chrome.runtime.onConnect.addListener((port) => {
+      port.onDisconnect.addListener((port) => {
+          const key = port.sender.contextId || port.sender.frameId;
+          delete ports[key];
+      });
+      const key = port.sender.contextId || port.sender.frameId;
+      ports[key] = port;
+      port.onMessage.addListener((msg) => {
+        switch (msg.type) {
+          case 'contextBlock': {
+            if (!utils.addContextBlock(storage, msg.data)) break;
+            chrome.storage.local.set({storageData: storage});
+            break;
+          }
+          case 'contextUndo': {
+            if (!utils.undoContextBlock(storage, msg.data)) break;
+            chrome.storage.local.set({storageData: storage});
+            break;
+          }
+          case 'ruleHits': {
+            ruleStats.add(msg.data);
+            break;
+          }
+          case 'blockedItems': {
+            blockLog.add(msg.data);
+            break;
+          }
+          case 'channelMapping': {
+            channelIds.add(msg.data);
+            break;
+          }
+        }
+      });
+      utils.sendFilters(port);
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync') {
+        if (syncEnabled && has.call(changes, SYNC_META_KEY)) sync.pull();
+        return;
+      }
+      if (areaName === 'managed') {
+        utils.loadManaged((policy) => {
+          managed = policy;
+          compiledStorage = utils.compileAll(storage);
+          utils.sendFiltersToAll();
+        });
+        return;
+      }
+      if (has.call(changes, 'profiles')) {
+        inactiveProfiles = changes.profiles.newValue || {};
+        // the active schedule may use one of them, storageData changes recompile below anyway
+        if (activeSchedule && activeSchedule.profile && !has.call(changes, 'storageData')) {
+          compiledStorage = utils.compileAll(storage);
+          utils.sendFiltersToAll();
+        }
+      }
+      if (has.call(changes, 'storageData')) {
+        storage = changes.storageData.newValue;
+        schedules.update();
+        compiledStorage = utils.compileAll(changes.storageData.newValue);
+        utils.sendFiltersToAll();
+        ruleStats.update();
+        expiry.schedule(storage);
+        channelIds.resolve();
+        if (syncEnabled && !has.call(changes, 'activeProfile')) sync.push();
+      }
+      // switching profiles changes storageData too, renaming the active one only its name
+      if (has.call(changes, 'activeProfile')) {
+        if (syncEnabled) sync.switchProfile(changes.activeProfile.newValue);
+        else sync.profile = changes.activeProfile.newValue || DEFAULT_PROFILE;
+      }
+      if (has.call(changes, 'enabled')) {
+        enabled = changes.enabled.newValue;
+        utils.sendFiltersToAll();
+      }
+      if (has.call(changes, 'syncEnabled')) {
+        syncEnabled = !!changes.syncEnabled.newValue;
+        if (syncEnabled) sync.start();
+      }
+      if (has.call(changes, 'subscriptions')) {
+        subscriptions = changes.subscriptions.newValue || [];
+        compiledStorage = utils.compileAll(storage);
+        utils.sendFiltersToAll();
+        // newly added lists and "Update now" come without lastAttempt
+        filterLists.update();
+      }
+    });
+
   });
+});
+
+filterLists.schedule();
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === LIST_ALARM) filterLists.update();
+  if (alarm.name === EXPIRY_ALARM) expiry.drop();
+  // on a service worker start the init code checks schedules itself
+  if (alarm.name === SCHEDULE_ALARM && initStorage && schedules.update()) {
+    compiledStorage = utils.compileAll(storage);
+    utils.sendFiltersToAll();
+  }
+});
+
+// Sent by the popup and the options page
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg) return false;
+  switch (msg.type) {
+    case 'switchProfile': {
+      if (typeof msg.name !== 'string') return false;
+      profiles.switch(msg.name).then(sendResponse);
+      return true;
+    }
+    // unsaved filters of the options page rule tester, compiled like the saved ones
+    case 'compileFilters': {
+      if (!msg.data || typeof msg.data.filterData !== 'object') return false;
+      // without the active schedule, it would replace or extend the filters under test
+      sendResponse(utils.compileAll(msg.data, managed, subscriptions, null));
+      return false;
+    }
+  }
+  return false;
 });
 
 chrome.runtime.onInstalled.addListener((details) => {
@@ -193,6 +1483,14 @@ chrome.runtime.onInstalled.addListener((details) => {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     utils,
+    sync,
+    filterLists,
+    ruleStats,
+    blockLog,
+    expiry,
+    channelIds,
+    schedules,
+    profiles,
     // Test helpers to access/modify internal state
     _getStorage: () => storage,
     _setStorage: (data) => { storage = data; },
@@ -201,5 +1499,12 @@ if (typeof module !== 'undefined' && module.exports) {
     _getPorts: () => ports,
     _getCompiledStorage: () => compiledStorage,
     _setCompiledStorage: (data) => { compiledStorage = data; },
+    _setSyncEnabled: (val) => { syncEnabled = val; },
+    _getManaged: () => managed,
+    _setManaged: (data) => { managed = data; },
+    _setSubscriptions: (data) => { subscriptions = data; },
+    _getActiveSchedule: () => activeSchedule,
+    _setActiveSchedule: (data) => { activeSchedule = data; },
+    _setInactiveProfiles: (data) => { inactiveProfiles = data; },
   };
 }
\ No newline at end of file
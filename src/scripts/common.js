@@ -0,0 +1,229 @@
+// Patterns and the compound rule parser shared by the background script and the options page.
+// Loaded with importScripts by the Chrome service worker, listed before background.js in Firefox
+// and included with a script tag by the options page.
+(function (root) {
+  'use strict';
+
+  // Precompiled regex for parsing raw regex patterns
+  const rawRegexPattern = /^\/(.*)\/(.*)$/;
+  const unicodeBoundry = "[ \n\r\t!@#$%^&*()_\\-=+\\[\\]\\\\\\|;:'\",\\.\\/<>\\?`~:]+";
+
+  // Compound rule fields and the kind of value each one accepts
+  const ruleFields = {
+    title: 'text',
+    description: 'text',
+    channel: 'text',
+    channelName: 'text',
+    channelId: 'id',
+    duration: 'number',
+    views: 'number',
+    badge: 'badge',
+  };
+  const ruleBadges = new Set(['verified', 'artist', 'live', 'members']);
+  const ruleComparison = /^(<=|>=|<|>|=)?(.+)$/;
+  const ruleRange = /^([^-]+)-([^-]+)$/;
+  const ruleCount = /^(\d+(?:\.\d+)?)([kmb])?$/i;
+  const ruleCountMultipliers = { k: 1000, m: 1000000, b: 1000000000 };
+
+  const btCommon = {
+    // Temporary entries end with " $expires=2025-01-31" or " $expires=2025-01-31T18:30",
+    // in local time
+    expiryPattern: /\s+\$expires=(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/,
+    // Schedules start and end at a local time of day, 00:00 to 23:59
+    timePattern: /^([01]?\d|2[0-3]):([0-5]\d)$/,
+    // Channel URLs and handles, e.g. https://www.youtube.com/@name, youtube.com/user/Name or @name,
+    // wait in the channel ID list until their channel ID is known
+    channelRefPattern: new RegExp(
+      '^(?:(?:https?:\\/\\/)?(?:(?:www|m)\\.)?youtube\\.com)?\\/?'
+      + '(?:(@[^/?#\\s@]+)|(user|c)\\/([^/?#\\s]+)|channel\\/(UC[\\w-]{22}))(?:[/?#]\\S*)?$',
+      'i',
+    ),
+
+    compilePattern(v, isIdType) {
+      // unique id
+      if (isIdType) {
+        return [`^${v}$`, ''];
+      }
+
+      // raw regex
+      const parts = rawRegexPattern.exec(v);
+      if (parts !== null) {
+        return [parts[1], parts[2]];
+      }
+
+      // regular keyword
+      return ['(^|' + unicodeBoundry + ')(' +
+        v.replace(/[\\^$*+?.()|[\]{}]/g, '\\$&') +
+        ')(' + unicodeBoundry + '|$)', 'i'];
+    },
+
+    // Parses one compound rule, errors say what is wrong for the options page to show on the line
+    compileRule(rule) {
+      const tokens = btCommon.tokenizeRule(rule);
+      let pos = 0;
+
+      const parseOr = () => {
+        const rules = [parseAnd()];
+        while (tokens[pos] === 'OR') {
+          pos += 1;
+          rules.push(parseAnd());
+        }
+        return rules.length === 1 ? rules[0] : { op: 'or', rules };
+      };
+
+      const parseAnd = () => {
+        const rules = [parseNot()];
+        while (tokens[pos] === 'AND') {
+          pos += 1;
+          rules.push(parseNot());
+        }
+        return rules.length === 1 ? rules[0] : { op: 'and', rules };
+      };
+
+      const parseNot = () => {
+        if (tokens[pos] === 'NOT') {
+          pos += 1;
+          return { op: 'not', rule: parseNot() };
+        }
+        const token = tokens[pos];
+        pos += 1;
+        if (token === '(') {
+          const inner = parseOr();
+          if (tokens[pos] !== ')') throw Error('missing closing parenthesis');
+          pos += 1;
+          return inner;
+        }
+        if (token === undefined || typeof token === 'string') {
+          throw Error(`unexpected ${token === undefined ? 'end of rule' : `"${token}"`}`);
+        }
+        return btCommon.compileCondition(token.field, token.value);
+      };
+
+      const tree = parseOr();
+      if (pos < tokens.length) throw Error(`unexpected "${tokens[pos].field || tokens[pos]}"`);
+      return tree;
+    },
+
+    tokenizeRule(rule) {
+      const tokens = [];
+      let i = 0;
+      const len = rule.length;
+
+      while (i < len) {
+        const c = rule[i];
+        if (c === ' ' || c === '\t') {
+          i += 1;
+          continue;
+        }
+        if (c === '(' || c === ')') {
+          tokens.push(c);
+          i += 1;
+          continue;
+        }
+
+        let end = i;
+        while (end < len && !/[\s():]/.test(rule[end])) end += 1;
+        const word = rule.slice(i, end);
+
+        if (rule[end] !== ':') {
+          const op = word.toUpperCase();
+          if (op !== 'AND' && op !== 'OR' && op !== 'NOT') {
+            throw Error(`unknown operator "${word}"`);
+          }
+          tokens.push(op);
+          i = end;
+          continue;
+        }
+
+        // field:value
+        i = end + 1;
+        let value;
+        if (rule[i] === '"') {
+          end = rule.indexOf('"', i + 1);
+          if (end === -1) throw Error('missing closing quote');
+          value = rule.slice(i + 1, end);
+          end += 1;
+        } else if (rule[i] === '/') {
+          end = i + 1;
+          let inClass = false;
+          while (end < len && (rule[end] !== '/' || inClass)) {
+            if (rule[end] === '\\') end += 1;
+            else if (rule[end] === '[') inClass = true;
+            else if (rule[end] === ']') inClass = false;
+            end += 1;
+          }
+          if (end >= len) throw Error('missing closing slash');
+          end += 1;
+          while (end < len && /[a-z]/i.test(rule[end])) end += 1;
+          value = rule.slice(i, end);
+        } else {
+          end = i;
+          while (end < len && !/[\s()]/.test(rule[end])) end += 1;
+          value = rule.slice(i, end);
+        }
+        if (value === '') throw Error(`missing value for "${word}"`);
+
+        tokens.push({ field: word, value });
+        i = end;
+      }
+
+      return tokens;
+    },
+
+    compileCondition(field, value) {
+      const kind = ruleFields[field];
+      switch (kind) {
+        case 'text':
+          return { field, regex: btCommon.compilePattern(value, false) };
+        case 'id':
+          return { field, regex: btCommon.compilePattern(value, true) };
+        case 'badge': {
+          const badge = value.toLowerCase();
+          if (!ruleBadges.has(badge)) throw Error(`unknown badge "${value}"`);
+          return { field, badge };
+        }
+        case 'number': {
+          const range = ruleRange.exec(value);
+          if (range !== null) {
+            return {
+              op: 'and',
+              rules: [
+                { field, cmp: '>=', value: btCommon.parseRuleNumber(field, range[1]) },
+                { field, cmp: '<=', value: btCommon.parseRuleNumber(field, range[2]) },
+              ]
+            };
+          }
+          const parts = ruleComparison.exec(value);
+          return { field, cmp: parts[1] || '=', value: btCommon.parseRuleNumber(field, parts[2]) };
+        }
+        default:
+          throw Error(`unknown field "${field}"`);
+      }
+    },
+
+    parseRuleNumber(field, str) {
+      let num = NaN;
+      if (field === 'duration') {
+        // seconds or [h:]m:ss
+        const parts = str.split(':');
+        if (parts.every(x => /^\d+$/.test(x))) {
+          num = parts.reduce((acc, x) => (acc * 60) + parseInt(x, 10), 0);
+        }
+      } else {
+        const parts = ruleCount.exec(str.replace(/,/g, ''));
+        if (parts !== null) {
+          const multiplier = parts[2] ? ruleCountMultipliers[parts[2].toLowerCase()] : 1;
+          num = parseFloat(parts[1]) * multiplier;
+        }
+      }
+      if (isNaN(num)) throw Error(`invalid ${field} "${str}"`);
+      return num;
+    },
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = btCommon;
+  } else {
+    root.btCommon = btCommon;
+  }
+}(globalThis));
@@ -16,6 +16,10 @@
   const storageMessage = { from: 'BLOCKTUBE_CONTENT', type: 'storageData', data: undefined };
   const reloadMessage = { from: 'BLOCKTUBE_CONTENT', type: 'reloadRequired', data: undefined };
 
+  // entries sent for recent context menu blocks, by the token the page uses to undo them
+  const contextBlocks = new Map();
+  const MAX_CONTEXT_BLOCKS = 20;
+
   const utils = {
     sendStorage() {
       storageMessage.data = enabled ? (compiledStorage || globalStorage) : undefined;
@@ -24,6 +28,20 @@
     sendReload(msg, duration) {
       reloadMessage.data = { msg, duration };
       window.postMessage(reloadMessage, origin);
+    },
+    sendReport(type, data) {
+      if (!port) return;
+      try {
+        port.postMessage({ type, data });
+      } catch (e) {
+        // port closed while reconnecting, this batch is lost
+      }
+    },
+    // local time as YYYY-MM-DDTHH:MM, the format of "$expires=" entries
+    formatExpiry(date) {
+      const pad = v => String(v).padStart(2, '0');
+      const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+      return `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
     }
   };
 
@@ -42,9 +60,35 @@
       if (!data.info.id) return;
 
       const now = dateFormatter.format(new Date());
-      const id = Array.isArray(data.info.id) ? data.info.id : [data.info.id];
+      let id = Array.isArray(data.info.id) ? data.info.id : [data.info.id];
+      const days = (compiledStorage || globalStorage)?.options?.context_block_expiry;
+      if (days > 0) {
+        const expires = utils.formatExpiry(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+        id = id.map(v => `${v} $expires=${expires}`);
+      }
       const entries = [`// Blocked by context menu (${data.info.text}) (${now})`, ...id, ''];
       port.postMessage({ type: 'contextBlock', data: { type: data.type, entries } });
+
+      if (data.token === undefined) return;
+      contextBlocks.set(data.token, { type: data.type, entries });
+      if (contextBlocks.size > MAX_CONTEXT_BLOCKS) {
+        contextBlocks.delete(contextBlocks.keys().next().value);
+      }
+    },
+    contextUndo(token) {
+      const block = contextBlocks.get(token);
+      if (block === undefined) return;
+      contextBlocks.delete(token);
+      port.postMessage({ type: 'contextUndo', data: block });
+    },
+    ruleHits(data) {
+      utils.sendReport('ruleHits', data);
+    },
+    blockedItems(data) {
+      utils.sendReport('blockedItems', data);
+    },
+    channelMapping(data) {
+      utils.sendReport('channelMapping', data);
     }
   };
 
@@ -106,6 +150,14 @@
     const type = data.type;
     if (type === 'contextBlockData') {
       events.contextBlock(data.data);
+    } else if (type === 'contextUndo') {
+      events.contextUndo(data.data);
+    } else if (type === 'ruleHits') {
+      events.ruleHits(data.data);
+    } else if (type === 'blockedItems') {
+      events.blockedItems(data.data);
+    } else if (type === 'channelMapping') {
+      events.channelMapping(data.data);
     } else if (type === 'ready') {
       utils.sendStorage();
     }
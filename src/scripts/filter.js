@@ -0,0 +1,1512 @@
+// The filter rules, ObjectFilter and the helpers they use to read YouTube's JSON.
+// Loaded before inject.js on YouTube and on its own by the rule tester of the options page,
+// so nothing in here may act on the page.
+(function (root) {
+  'use strict';
+
+  // Every filter has its own rules, storageData and reports. inject.js keeps the one filtering
+  // YouTube in its closure, page scripts can only create filters of their own.
+  function createFilter() {
+    const has = Object.prototype.hasOwnProperty;
+
+    // extension storageData
+    let storageData;
+
+    // JavaScript filtering
+    let jsFilter;
+    let jsFilterEnabled = false;
+
+    // What inject.js adds on YouTube: the custom functions rules name in customFunc, context
+    // menus for filtered objects and the batching of hit reports
+    const hooks = {
+      customFuncs: {},
+      addContextMenus: undefined,
+      scheduleReports: undefined,
+    };
+
+    // those properties can be safely deleted when one of their child got filtered - use Set for O(1) lookup
+    const deleteAllowed = new Set([
+      'richItemRenderer',
+      'content',
+      'horizontalListRenderer',
+      'verticalListRenderer',
+      'shelfRenderer',
+      'richShelfRenderer',
+      'gridRenderer',
+      'expandedShelfContentsRenderer',
+      'comment',
+      'commentThreadRenderer',
+      'reelShelfRenderer',
+      'richSectionRenderer'
+    ]);
+
+    // those filter properties require RegExp checking - use Set for O(1) lookup
+    const regexPropsSet = new Set([
+      'videoId',
+      'channelId',
+      'channelName',
+      'title',
+      'comment',
+      'description',
+      'tags',
+      'channelHandle',
+    ]);
+    const regexProps = [
+      'videoId', 'channelId', 'channelName', 'title', 'comment', 'description', 'tags',
+      'channelHandle',
+    ];
+    // lists that are compiled to RegExp but are not matched as regular block rules
+    const compiledProps = [...regexProps, 'allowlist'];
+
+    // video-like objects that allowlist mode removes unless their channel is allowed
+    const allowlistObjects = new Set([
+      'videoRenderer',
+      'gridVideoRenderer',
+      'compactVideoRenderer',
+      'playlistVideoRenderer',
+      'playlistPanelVideoRenderer',
+      'endScreenVideoRenderer',
+      'videoWithContextRenderer',
+      'channelFeaturedVideoRenderer',
+      'watchCardCompactVideoRenderer',
+      'playerOverlayAutoplayRenderer',
+      'radioRenderer',
+      'compactRadioRenderer',
+      'lockupViewModel',
+      'reelItemRenderer',
+      'shortsLockupViewModel',
+      'postRenderer',
+      'backstagePostRenderer',
+      'channelMetadataRenderer',
+      'videoSecondaryInfoRenderer',
+      'slimVideoMetadataSectionRenderer',
+      // Player
+      'videoDetails',
+      'args',
+    ]);
+
+    // surfaces that scoped entries like [home,watch] can be limited to
+    const endpointSurfaces = {
+      '/youtubei/v1/search': 'search',
+      '/youtubei/v1/next': 'watch',
+      '/youtubei/v1/player': 'watch',
+    };
+    const pathSurfaces = {
+      '/': 'home',
+      '/results': 'search',
+      '/watch': 'watch',
+      '/feed/subscriptions': 'subscriptions',
+      '/feed/history': 'history',
+      '/playlist': 'playlist',
+    };
+    const browseIdSurfaces = {
+      FEwhat_to_watch: 'home',
+      FEsubscriptions: 'subscriptions',
+      FEhistory: 'history',
+    };
+    const channelPagePattern = /^\/(channel\/|c\/|user\/|@)/;
+
+    // lockupViewModel paths, the metadata rows hold the channel, then the views and upload age
+    const lockupRows = 'metadata.lockupMetadataViewModel.metadata.contentMetadataViewModel'
+      + '.metadataRows';
+    const lockupAvatarEndpoint = 'metadata.lockupMetadataViewModel.image.decoratedAvatarViewModel'
+      + '.rendererContext.commandContext.onTap.innertubeCommand.browseEndpoint';
+    const lockupChannelEndpoint = `${lockupRows}.metadataParts.text.commandRuns.onTap`
+      + '.innertubeCommand.browseEndpoint';
+
+    // TODO: add rules descriptions
+    // !! Filter Rules definitions
+    const baseRules = {
+      videoId: 'videoId',
+      channelId: 'shortBylineText.runs.navigationEndpoint.browseEndpoint.browseId',
+      channelHandle: [
+        'shortBylineText.runs.navigationEndpoint.browseEndpoint.canonicalBaseUrl',
+        'longBylineText.runs.navigationEndpoint.browseEndpoint.canonicalBaseUrl',
+      ],
+      channelBadges: 'ownerBadges',
+      channelName: [
+        'shortBylineText',
+        'longBylineText',
+      ],
+      title: ['title'],
+      description: ['descriptionSnippet', 'detailedMetadataSnippets.snippetText'],
+      // every path is searched for hashtags, see getTags
+      tags: ['title', 'descriptionSnippet', 'detailedMetadataSnippets.snippetText'],
+      vidLength: ['thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text'],
+      viewCount: [
+          'viewCountText'
+      ],
+      badges: 'badges',
+      publishTimeText: ['publishedTimeText'],
+      uploadAge: ['publishedTimeText'],
+      percentWatched: 'thumbnailOverlays.thumbnailOverlayResumePlaybackRenderer.percentDurationWatched'
+    };
+
+    const filterRules = {
+      main: {
+        compactMovieRenderer: {
+          videoId: 'videoId',
+          title: ['title'],
+          vidLength: 'thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text',
+          badges: 'badges',
+          percentWatched: 'thumbnailOverlays.thumbnailOverlayResumePlaybackRenderer.percentDurationWatched'
+        },
+        movieRenderer: {
+          videoId: 'videoId',
+          title: ['title'],
+          vidLength: 'thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text',
+          badges: 'badges',
+          percentWatched: 'thumbnailOverlays.thumbnailOverlayResumePlaybackRenderer.percentDurationWatched'
+        },
+        gridVideoRenderer: baseRules,
+        videoRenderer: baseRules,
+        radioRenderer: baseRules,
+        playlistRenderer: baseRules,
+        gridRadioRenderer: baseRules,
+        compactVideoRenderer: baseRules,
+        compactRadioRenderer: baseRules,
+        playlistVideoRenderer: baseRules,
+        endScreenVideoRenderer: baseRules,
+        endScreenPlaylistRenderer: baseRules,
+        gridPlaylistRenderer: baseRules,
+        postRenderer: {
+          channelId: 'authorEndpoint.browseEndpoint.browseId',
+          channelName: ['authorText']
+        },
+        backstagePostRenderer: {
+          channelId: 'authorEndpoint.browseEndpoint.browseId',
+          channelName: ['authorText']
+        },
+
+        watchCardCompactVideoRenderer: {
+          title: 'title',
+          channelId: 'subtitles.runs.navigationEndpoint.browseEndpoint.browseId',
+          channelName: 'subtitles',
+          videoId: 'navigationEndpoint.watchEndpoint.videoId',
+        },
+
+        shelfRenderer: {
+          channelId: 'endpoint.browseEndpoint.browseId',
+        },
+
+        channelVideoPlayerRenderer: {
+          title: 'title',
+        },
+
+        channelRenderer: {
+          properties: {
+            ...baseRules,
+            title: undefined,
+            tags: undefined,
+            channelHandle: 'navigationEndpoint.browseEndpoint.canonicalBaseUrl',
+          },
+          related: 'shelfRenderer'
+        },
+
+        playlistPanelVideoRenderer: {
+          properties: baseRules,
+          customFunc: 'blockPlaylistVid',
+        },
+
+        videoPrimaryInfoRenderer: {
+          properties: {
+            title: 'title',
+            tags: ['superTitleLink', 'title'],
+          },
+          customFunc: 'redirectToNext',
+        },
+
+        videoSecondaryInfoRenderer: {
+          properties: {
+            channelId: 'owner.videoOwnerRenderer.navigationEndpoint.browseEndpoint.browseId',
+            channelHandle: 'owner.videoOwnerRenderer.navigationEndpoint.browseEndpoint'
+              + '.canonicalBaseUrl',
+            channelName: 'owner.videoOwnerRenderer.title',
+          },
+          customFunc: 'redirectToNext',
+        },
+
+        // channel page header
+        channelMetadataRenderer: {
+          properties: {
+            channelId: 'externalId',
+            channelHandle: 'vanityChannelUrl',
+            channelName: 'title',
+          },
+          customFunc: 'redirectToIndex',
+        },
+
+        // related channels
+        gridChannelRenderer: {
+          channelId: 'channelId',
+          channelName: 'title',
+        },
+
+        miniChannelRenderer: {
+          channelId: 'channelId',
+          channelName: 'title',
+        },
+
+        // sidemenu subscribed channels
+        guideEntryRenderer: {
+          channelId: 'navigationEndpoint.browseEndpoint.browseId',
+          channelName: ['title', 'formattedTitle'],
+        },
+
+        universalWatchCardRenderer: {
+          properties: {
+            channelId: 'header.watchCardRichHeaderRenderer.titleNavigationEndpoint.browseEndpoint.browseId',
+            channelName: 'header.watchCardRichHeaderRenderer.title',
+          },
+        },
+
+        playlist: {
+          properties: {
+            channelId: 'shortBylineText.runs.navigationEndpoint.browseEndpoint.browseId',
+            channelName: ['shortBylineText'],
+            title: 'title',
+          },
+          customFunc: 'redirectToIndex',
+        },
+
+        compactChannelRecommendationCardRenderer: {
+          properties: {
+            channelId: 'channelEndpoint.browseEndpoint.browseId',
+            channelName: ['channelTitle'],
+          },
+        },
+
+        playerOverlayAutoplayRenderer: {
+          properties: {
+            videoId: 'videoId',
+            channelId: 'byline.runs.navigationEndpoint.browseEndpoint.browseId',
+            channelName: 'byline',
+            title: ['videoTitle'],
+            publishTimeText: 'publishedTimeText',
+            vidLength: 'thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text',
+          },
+          customFunc: 'markAutoplay',
+        },
+
+        reelItemRenderer: {
+          properties: {
+            videoId: 'videoId',
+            channelId: 'navigationEndpoint.reelWatchEndpoint.overlay.reelPlayerOverlayRenderer.reelPlayerHeaderSupportedRenderers.reelPlayerHeaderRenderer.channelNavigationEndpoint.browseEndpoint.browseId',
+            channelName: 'navigationEndpoint.reelWatchEndpoint.overlay.reelPlayerOverlayRenderer.reelPlayerHeaderSupportedRenderers.reelPlayerHeaderRenderer.channelTitleText',
+            title: ['headline'],
+            publishTimeText: 'navigationEndpoint.reelWatchEndpoint.overlay.reelPlayerOverlayRenderer.reelPlayerHeaderSupportedRenderers.reelPlayerHeaderRenderer.timestampText'
+          }
+        },
+
+        shortsLockupViewModel: {
+          properties: {
+            videoId: 'onTap.innertubeCommand.reelWatchEndpoint.videoId',
+            title: 'overlayMetadata.primaryText.content',
+            viewCount: 'overlayMetadata.secondaryText.content'
+          }
+        },
+
+        richShelfRenderer: {
+          channelId: 'endpoint.browseEndpoint.browseId'
+        },
+
+        channelFeaturedVideoRenderer: {
+          ...baseRules,
+          vidLength: 'lengthText'
+        },
+
+        videoWithContextRenderer: {
+          ...baseRules,
+          title: 'headline',
+          tags: ['headline'],
+          vidLength: ['thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text'],
+          viewCount: 'shortViewCountText',
+        },
+
+        compactChannelRenderer: {
+          channelId: 'channelId',
+          channelName: 'displayName',
+          channelBadges: 'ownerBadges',
+        },
+
+        lockupViewModel: {
+          videoId: 'contentId',
+          title: 'metadata.lockupMetadataViewModel.title.content',
+          tags: ['metadata.lockupMetadataViewModel.title.content'],
+          channelName: `${lockupRows}.metadataParts.text.content`,
+          vidLength: 'contentImage.thumbnailViewModel.overlays.thumbnailOverlayBadgeViewModel.thumbnailBadges.thumbnailBadgeViewModel.text',
+          viewCount: `${lockupRows}[1].metadataParts[0].text.content`,
+          uploadAge: `${lockupRows}[1].metadataParts[1].text.content`,
+          channelId: [`${lockupAvatarEndpoint}.browseId`, `${lockupChannelEndpoint}.browseId`],
+          channelHandle: [
+            `${lockupAvatarEndpoint}.canonicalBaseUrl`,
+            `${lockupChannelEndpoint}.canonicalBaseUrl`,
+          ],
+          percentWatched: 'contentImage.thumbnailViewModel.overlays.thumbnailBottomOverlayViewModel.progressBar.thumbnailOverlayProgressBarViewModel.startPercent'
+        },
+
+        // Mobile top chips
+        chipCloudChipRenderer: {
+          channelId: 'icon.iconType'
+        },
+
+        // Mobile Video page data
+        slimVideoMetadataSectionRenderer: {
+          properties: {
+            videoId: 'videoId',
+            title: 'contents.slimVideoInformationRenderer.title',
+            channelId: 'contents.slimOwnerRenderer.navigationEndpoint.browseEndpoint.browseId',
+            channelName: 'contents.slimOwnerRenderer.title'
+          },
+          customFunc: 'redirectToNextMobile',
+        },
+
+        tabRenderer: {
+          channelId: 'endpoint.commandMetadata.webCommandMetadata.url'
+        },
+
+        // Empty for blocking short headers
+        gridShelfViewModel: {
+        },
+
+        richSectionRenderer: {
+        }
+      },
+      // rules with "sibling" have no IDs of their own, the @@ exceptions of the named object next
+      // to them apply
+      ytPlayer: {
+        args: {
+          properties: {
+            videoId: ['video_id', 'raw_player_response.videoDetails.videoId'],
+            channelId: ['ucid', 'raw_player_response.videoDetails.channelId'],
+            channelName: ['author', 'raw_player_response.videoDetails.author'],
+            title: ['title', 'raw_player_response.videoDetails.title'],
+            vidLength: ['length_seconds', 'raw_player_response.videoDetails.lengthSeconds']
+          },
+          customFunc: 'disableEmbedPlayer',
+        },
+        videoDetails: {
+          properties: {
+            videoId: 'videoId',
+            channelId: 'channelId',
+            channelName: 'author',
+            title: 'title',
+            tags: ['keywords', 'title', 'shortDescription'],
+            vidLength: 'lengthSeconds',
+          },
+          customFunc: 'disablePlayer',
+        },
+        // the category and family-safe flag are only in the microformat next to videoDetails
+        microformat: {
+          properties: {},
+          customFunc: 'disablePlayer',
+          sibling: 'videoDetails',
+        },
+        // members-only, paid and age-restricted videos the user can't watch only say so in the
+        // playability status
+        playabilityStatus: {
+          properties: {},
+          customFunc: 'disablePlayer',
+          sibling: 'videoDetails',
+        },
+        paidContentOverlay: {
+          properties: {},
+          customFunc: 'disablePlayer',
+          sibling: 'videoDetails',
+        },
+        PLAYER_VARS: {
+          properties: {
+            videoId: ['video_id'],
+            channelId: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.videoDetails.embeddedPlayerOverlayVideoDetailsRenderer.expandedRenderer.embeddedPlayerOverlayVideoDetailsExpandedRenderer.subscribeButton.subscribeButtonRenderer.channelId'],
+            channelName: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.videoDetails.embeddedPlayerOverlayVideoDetailsRenderer.expandedRenderer.embeddedPlayerOverlayVideoDetailsExpandedRenderer.title'],
+            title: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.title'],
+            vidLength: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.videoDurationSeconds']
+          },
+          customFunc: 'disableEmbedPlayer'
+        }
+      },
+      guide: {
+        // sidemenu subscribed channels
+        guideEntryRenderer: {
+          properties: {
+            channelId: ['navigationEndpoint.browseEndpoint.browseId', 'icon.iconType'],
+            channelName: ['title', 'formattedTitle'],
+          },
+        },
+        // Mobile buttom navigation bar
+        pivotBarItemRenderer: {
+            channelId: 'icon.iconType'
+        },
+      },
+      comments: {
+        commentEntityPayload: {
+          channelId: ['author.channelId'],
+          // the display name of comment authors is their handle
+          channelHandle: ['author.displayName'],
+          channelName: ['author.displayName'],
+          comment: ['properties.content.content']
+        },
+        commentThreadRenderer: {},
+        commentViewModel: {},
+        commentRenderer: {
+          channelId: 'authorEndpoint.browseEndpoint.browseId',
+          channelHandle: 'authorEndpoint.browseEndpoint.canonicalBaseUrl',
+          channelName: ['authorText'],
+          comment: ['contentText'],
+        },
+        liveChatTextMessageRenderer: {
+          channelId: 'authorExternalChannelId',
+          channelName: ['authorName'],
+          comment: 'message',
+        },
+      }
+    }
+
+    const mergedFilterRules = Object.assign({}, filterRules.main, filterRules.comments);
+
+    // !! ObjectFilter
+    function ObjectFilter(
+      object, filterRules, postActions = [], contextMenus = false, surface = undefined,
+    ) {
+      if (!(this instanceof ObjectFilter))
+        return new ObjectFilter(object, filterRules, postActions, contextMenus, surface);
+
+      this.object = object;
+      this.filterRules = filterRules;
+      this.contextMenus = contextMenus;
+      this.surface = surface !== undefined ? surface : getPathSurface(document.location.pathname);
+      this.blockedComments = [];
+
+      this.filter();
+      try {
+        postActions.forEach(x => x.call(this));
+      } catch(e) {
+        console.error("postActions Exception");
+        console.error(e);
+      }
+      return this;
+    }
+
+    ObjectFilter.prototype.isDataEmpty = function () {
+      if (storageData.options.allowlist_mode) return false;
+      if (storageData.options.shorts || storageData.options.movies || storageData.options.mixes) return false;
+      if (storageData.options.live || storageData.options.upcoming ||
+          storageData.options.premieres) return false;
+      if (storageData.options.members || storageData.options.paid ||
+          storageData.options.paid_promotion === 'hide') return false;
+      if (storageData.options.family_safe_only || storageData.options.age_restricted) return false;
+      if (storageData.filterData.category?.length > 0) return false;
+      if (!isNaN(storageData.options.percent_watched_hide)) return false;
+
+      if (!isNaN(storageData.filterData.vidLength[0]) ||
+          !isNaN(storageData.filterData.vidLength[1])) return false;
+
+      const uploadAge = storageData.filterData.uploadAge;
+      if (uploadAge && (!isNaN(uploadAge[0]) || !isNaN(uploadAge[1]))) return false;
+      const viewCount = storageData.filterData.viewCount;
+      if (viewCount && (!isNaN(viewCount[0]) || !isNaN(viewCount[1]))) return false;
+
+      for (let idx = 0; idx < regexProps.length; idx += 1) {
+        if (storageData.filterData[regexProps[idx]]?.length > 0) return false;
+      }
+
+      if (storageData.filterData.compoundRules?.length > 0) return false;
+
+      return !jsFilterEnabled;
+    };
+
+    // Cache for pathname checks to avoid repeated string operations
+    const historyPaths = new Set(['/feed/history', '/feed/library', '/playlist']);
+
+    ObjectFilter.prototype.matchFilterData = function (filters, obj, objectType) {
+      const friendlyVideoObj = jsFilterEnabled ? {} : null;
+      const currentPath = document.location.pathname;
+
+      if (this.surface === 'history' && storageData.options.disable_on_history) return false;
+
+      if (storageData.options.allowlist_mode && allowlistObjects.has(objectType)
+          && !this.isAllowlisted(filters, obj)) {
+        this.matched('contentTypes', 'allowlist');
+        return true;
+      }
+
+      let doBlock = false;
+      const filterKeys = Object.keys(filters);
+    
+      for (let i = 0; i < filterKeys.length; i++) {
+        const h = filterKeys[i];
+        const filterPath = filters[h];
+        if (filterPath === undefined) continue;
+
+        const properties = storageData.filterData[h];
+        const isRegexProp = regexPropsSet.has(h);
+        if (isRegexProp && (properties === undefined || (properties.length === 0 && !jsFilterEnabled))) continue;
+
+        let value = getPropertyValue(obj, h, filterPath);
+        if (value === undefined) continue;
+
+        if (h === 'percentWatched' && storageData.options.percent_watched_hide && objectType !== 'playlistPanelVideoRenderer'
+             && !historyPaths.has(currentPath)
+             && parseInt(value) >= storageData.options.percent_watched_hide) {
+          this.matched('contentTypes', 'percentWatched');
+          doBlock = true;
+          break;
+        }
+
+        if (isRegexProp) {
+          for (let j = 0; j < properties.length; j++) {
+            if (properties[j] && isInScope(properties[j], this.surface) &&
+                properties[j].test(value)) {
+              this.matched(h, properties[j].entry);
+              doBlock = true;
+              break;
+            }
+          }
+          if (doBlock) break;
+        }
+
+        if (h === 'vidLength') {
+          const vidLen = parseTime(value);
+          if (vidLen === -2 && storageData.options.shorts) {
+            this.matched('contentTypes', 'shorts');
+            doBlock = true;
+            break;
+          }
+          if (vidLen > 0 && isOutOfRange(vidLen, properties, storageData.options.vidLength_type)) {
+            this.matched('contentTypes', 'duration');
+            doBlock = true;
+            break;
+          }
+          value = vidLen;
+        }
+
+        if (h === 'uploadAge') {
+          const age = parseUploadAge(value);
+          if (isOutOfRange(age, properties, storageData.options.uploadAge_type)) {
+            this.matched('contentTypes', 'uploadAge');
+            doBlock = true;
+            break;
+          }
+          value = age;
+        }
+
+        if (h === 'viewCount') {
+          const views = parseViewCount(value);
+          if (isOutOfRange(views, properties, 'allow')) {
+            this.matched('contentTypes', 'viewCount');
+            doBlock = true;
+            break;
+          }
+          value = views;
+        }
+
+        if (jsFilterEnabled) {
+          if (h === 'channelBadges' || h === 'badges') {
+            value = parseBadges(value);
+          } else if (h === 'tags') {
+            value = value.split('\n');
+          }
+          friendlyVideoObj[h] = value;
+        }
+      }
+
+      const compoundRules = storageData.filterData.compoundRules;
+      if (!doBlock && compoundRules?.length > 0 && filters.videoId !== undefined) {
+        doBlock = this.matchCompoundRules(compoundRules, filters, obj);
+      }
+
+      // the player's marker rules only share the exceptions of their sibling, there is nothing to
+      // pass to the filter
+      if (!doBlock && jsFilterEnabled && this.filterRules[objectType]?.sibling === undefined) {
+        try {
+          doBlock = !!jsFilter(friendlyVideoObj, objectType);
+          if (doBlock) this.matched('contentTypes', 'javascript');
+        } catch (e) {
+          console.error("Custom function exception", e, "friendlyVideoObj: ", friendlyVideoObj, "objectType: ", objectType);
+        }
+      }
+      if (doBlock && objectType === 'commentEntityPayload') {
+        this.blockedComments.push(obj.properties.commentId);
+      }
+      return doBlock;
+    };
+
+    // Exception (@@) entries win over every block decision, including content types and allowlist
+    // mode
+    ObjectFilter.prototype.isExcepted = function (filters, obj) {
+      const exceptions = storageData.filterData.exceptions;
+      if (exceptions === undefined) return false;
+
+      const exceptionKeys = Object.keys(exceptions);
+      for (let i = 0; i < exceptionKeys.length; i++) {
+        const h = exceptionKeys[i];
+        const list = exceptions[h];
+        if (filters[h] === undefined || list.length === 0) continue;
+
+        const value = getPropertyValue(obj, h, filters[h]);
+        if (value === undefined) continue;
+
+        for (let j = 0; j < list.length; j++) {
+          if (list[j] && isInScope(list[j], this.surface) && list[j].test(value)) {
+            countHit(h, list[j].entry);
+            return true;
+          }
+        }
+      }
+      return false;
+    };
+
+    ObjectFilter.prototype.matchCompoundRules = function (compoundRules, filters, obj) {
+      // values are extracted lazily, only for fields the rules actually use
+      const values = {};
+      const getValue = (field) => {
+        if (has.call(values, field)) return values[field];
+        let value;
+        switch (field) {
+          case 'duration': {
+            const vidLen = parseTime(getFlattenByPath(obj, filters.vidLength));
+            value = vidLen >= 0 ? vidLen : undefined;
+            break;
+          }
+          case 'views': {
+            const viewCount = getFlattenByPath(obj, filters.viewCount);
+            value = typeof viewCount === 'string' ? parseViewCount(viewCount) : undefined;
+            break;
+          }
+          case 'badge': {
+            const badges = getObjectByPath(obj, filters.badges) || [];
+            const channelBadges = getObjectByPath(obj, filters.channelBadges) || [];
+            value = parseBadges([].concat(badges, channelBadges));
+            break;
+          }
+          case 'channel':
+            value = [
+              getFlattenByPath(obj, filters.channelId),
+              getFlattenByPath(obj, filters.channelName),
+            ];
+            break;
+          default:
+            value = getFlattenByPath(obj, filters[field]);
+        }
+        values[field] = value;
+        return value;
+      };
+
+      for (let i = 0, len = compoundRules.length; i < len; i++) {
+        if (isInScope(compoundRules[i], this.surface) && evaluateRule(compoundRules[i], getValue)) {
+          this.matched('compoundRules', compoundRules[i].source);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    ObjectFilter.prototype.isAllowlisted = function (filters, obj) {
+      const allowlist = storageData.filterData.allowlist || [];
+      let hasChannel = false;
+
+      const channelProps = ['channelId', 'channelName'];
+      for (let i = 0; i < channelProps.length; i++) {
+        const value = getFlattenByPath(obj, filters[channelProps[i]]);
+        if (value === undefined) continue;
+        hasChannel = true;
+        for (let j = 0; j < allowlist.length; j++) {
+          if (allowlist[j] && isInScope(allowlist[j], this.surface) && allowlist[j].test(value)) {
+            // counted so entries that keep videos visible are not reported as unused
+            countHit('allowlist', allowlist[j].entry);
+            return true;
+          }
+        }
+      }
+
+      // channel pages omit the owner from their items, the page itself is checked by
+      // channelMetadataRenderer
+      return !hasChannel && this.surface === 'channel';
+    };
+
+    ObjectFilter.prototype.isExtendedMatched = function(filteredObject, h) {
+      const contentType = matchContentType(filteredObject, h);
+      if (contentType !== undefined) {
+        this.matched('contentTypes', contentType);
+        return true;
+      }
+
+      if (h === 'commentThreadRenderer') {
+        if (this.blockedComments.includes(getObjectByPath(filteredObject, 'commentViewModel.commentViewModel.commentId'))) {
+          return true;
+        }
+      }
+
+      if (h === 'commentViewModel') {
+        if (this.blockedComments.includes(getObjectByPath(filteredObject, 'commentId'))) {
+          return true;
+        } 
+      }
+
+      return false;
+    }
+
+    function matchContentType(filteredObject, h) {
+      if (storageData.options.movies) {
+        if (h === 'movieRenderer' || h === 'compactMovieRenderer') return 'movies';
+        const bylinePath = "shortBylineText.runs.navigationEndpoint.browseEndpoint";
+        if (h === 'videoRenderer' && !getObjectByPath(filteredObject, bylinePath) &&
+            filteredObject.longBylineText && filteredObject.badges) return 'movies';
+      }
+      if (storageData.options.shorts && (h === 'shortsLockupViewModel' ||
+          h === 'reelItemRenderer' || h === 'gridShelfViewModel')) return 'shorts';
+      if (storageData.options.mixes &&
+          (h === 'radioRenderer' || h === 'compactRadioRenderer')) return 'mixes';
+      if (storageData.options.mixes && h === 'lockupViewModel') {
+        let imgName = getObjectByPath(filteredObject, 'contentImage.collectionThumbnailViewModel.primaryThumbnail.thumbnailViewModel.overlays.thumbnailOverlayBadgeViewModel.thumbnailBadges.thumbnailBadgeViewModel.icon.sources.clientResource.imageName');
+        if (imgName === 'MIX') {
+          return 'mixes';
+        }
+      }
+      if (storageData.options.live || storageData.options.upcoming ||
+          storageData.options.premieres) {
+        const status = liveStatus(filteredObject, h);
+        if (status !== undefined && storageData.options[status]) return status;
+      }
+      if (storageData.options.members || storageData.options.paid) {
+        const access = accessType(filteredObject, h);
+        if (access !== undefined && storageData.options[access]) return access;
+      }
+      if (storageData.options.paid_promotion === 'hide' && h === 'paidContentOverlay') {
+        return 'paidPromotion';
+      }
+      if (h === 'microformat') {
+        const microformat = filteredObject.playerMicroformatRenderer;
+        if (storageData.options.family_safe_only &&
+            microformat?.isFamilySafe === false) return 'familySafe';
+        // background.js sends the blocked categories in lower case
+        const categories = storageData.filterData.category;
+        if (categories?.length > 0 && typeof microformat?.category === 'string' &&
+            categories.includes(microformat.category.toLowerCase())) return 'category';
+      }
+      if (storageData.options.age_restricted && h === 'playabilityStatus' &&
+          isAgeRestricted(filteredObject)) return 'ageRestricted';
+      return undefined;
+    }
+
+    // signed out and unverified viewers get an age check instead of the video
+    const ageCheckStatuses = new Set([
+      'AGE_CHECK_REQUIRED', 'AGE_VERIFICATION_REQUIRED', 'CONTENT_CHECK_REQUIRED',
+    ]);
+
+    function isAgeRestricted(playabilityStatus) {
+      if (ageCheckStatuses.has(playabilityStatus.status)) return true;
+      if (playabilityStatus.desktopLegacyAgeGateReason !== undefined) return true;
+      const error = getObjectByPath(playabilityStatus, 'errorScreen.playerErrorMessageRenderer');
+      const reason = getObjectByPath(error, 'subreason');
+      return getObjectByPath(error, 'icon.iconType') === 'AGE_RESTRICTED' ||
+        (reason !== undefined && /age-restricted/i.test(flattenRuns(reason)));
+    }
+
+    // 'members' or 'paid' for feed items, lockups and the player's playability status
+    function accessType(filteredObject, h) {
+      if (h === 'playabilityStatus') {
+        // videos the user can't watch come with an offer to join the channel or to buy or rent them
+        const screen = filteredObject.errorScreen || {};
+        const offer = screen.playerLegacyDesktopYpcOfferRenderer;
+        if (offer?.offerId === 'sponsors_only_video') return 'members';
+        if (offer || screen.ypcTrailerRenderer ||
+            screen.playerLegacyDesktopYpcTrailerRenderer) return 'paid';
+        return undefined;
+      }
+      if (h === 'lockupViewModel') {
+        const rows = getObjectByPath(filteredObject, lockupRows);
+        const members = (Array.isArray(rows) ? rows : []).some(row => Array.isArray(row?.badges) &&
+          row.badges.some(badge => badge?.badgeViewModel?.badgeStyle === 'BADGE_MEMBERS_ONLY'));
+        return members ? 'members' : undefined;
+      }
+      const badges = Array.isArray(filteredObject.badges) ? filteredObject.badges : [];
+      for (let i = 0; i < badges.length; i++) {
+        const style = badges[i]?.metadataBadgeRenderer?.style;
+        if (style === 'BADGE_STYLE_TYPE_MEMBERS_ONLY') return 'members';
+        if (style === 'BADGE_STYLE_TYPE_YPC') return 'paid';
+      }
+      return undefined;
+    }
+
+    // Premieres share the live and upcoming markers, only their texts tell them apart
+    const premierePattern = /premi|estre|премьер|プレミア|최초 공개|首播|首映/i;
+    const upcomingPattern =
+      /upcoming|scheduled|demnächst|à venir|próximamente|em breve|in arrivo|скоро|近日公開|예정/i;
+
+    // 'live', 'upcoming' or 'premieres' for feed items, lockups and the player's videoDetails
+    function liveStatus(filteredObject, h) {
+      if (h === 'videoDetails') {
+        const live = filteredObject.isLive ? 'live' : undefined;
+        const status = filteredObject.isUpcoming ? 'upcoming' : live;
+        if (status !== undefined && filteredObject.isLiveContent === false) return 'premieres';
+        return status;
+      }
+
+      let status;
+      const texts = [];
+      if (h === 'lockupViewModel') {
+        const overlayPath = 'contentImage.thumbnailViewModel.overlays';
+        const overlays = getObjectByPath(filteredObject, overlayPath);
+        (Array.isArray(overlays) ? overlays : []).forEach((overlay) => {
+          const badges = overlay?.thumbnailOverlayBadgeViewModel?.thumbnailBadges ||
+            overlay?.thumbnailBottomOverlayViewModel?.badges;
+          (Array.isArray(badges) ? badges : []).forEach((item) => {
+            const badge = item?.thumbnailBadgeViewModel;
+            if (!badge) return;
+            if (badge.badgeStyle === 'THUMBNAIL_OVERLAY_BADGE_STYLE_LIVE') status = 'live';
+            else if (status === undefined && upcomingPattern.test(badge.text || '')) {
+              status = 'upcoming';
+            }
+            texts.push(badge.text);
+          });
+        });
+      } else {
+        (Array.isArray(filteredObject.badges) ? filteredObject.badges : []).forEach((item) => {
+          const badge = item?.metadataBadgeRenderer;
+          if (badge?.style !== 'BADGE_STYLE_TYPE_LIVE_NOW') return;
+          status = 'live';
+          texts.push(badge.label);
+        });
+        const thumbnailOverlays = filteredObject.thumbnailOverlays;
+        (Array.isArray(thumbnailOverlays) ? thumbnailOverlays : []).forEach((item) => {
+          const overlay = item?.thumbnailOverlayTimeStatusRenderer;
+          if (overlay?.style === 'LIVE') status = 'live';
+          else if (overlay?.style === 'UPCOMING' && status === undefined) status = 'upcoming';
+          else return;
+          if (overlay.text) texts.push(flattenRuns(overlay.text));
+        });
+        if (filteredObject.upcomingEventData) {
+          if (status === undefined) status = 'upcoming';
+          const eventText = filteredObject.upcomingEventData.upcomingEventText;
+          if (eventText) texts.push(flattenRuns(eventText));
+        }
+      }
+      const isPremiere = text => typeof text === 'string' && premierePattern.test(text);
+      if (status !== undefined && texts.some(isPremiere)) return 'premieres';
+      return status;
+    }
+
+    // Remember which list and entry blocked the object for the blocked items log, and count the hit
+    ObjectFilter.prototype.matched = function (list, entry) {
+      this.match = { list, entry };
+      countHit(list, entry);
+    };
+
+    ObjectFilter.prototype.logBlocked = function (filteredObject, rule) {
+      const value = (prop) => {
+        const v = getFlattenByPath(filteredObject, rule.properties[prop]);
+        return typeof v === 'string' ? v.slice(0, 200) : undefined;
+      };
+      logBlocked({
+        time: Date.now(),
+        objectType: rule.name,
+        videoId: value('videoId'),
+        title: value('title'),
+        channelId: value('channelId'),
+        channelName: value('channelName'),
+        comment: value('comment'),
+        surface: this.surface,
+        list: rule.match.list,
+        entry: rule.match.entry,
+      });
+    };
+
+    ObjectFilter.prototype.matchFilterRule = function (obj) {
+      if (this.isDataEmpty()) return [];
+
+      const res = [];
+      const ruleKeys = Object.keys(this.filterRules);
+      const ruleLen = ruleKeys.length;
+    
+      for (let i = 0; i < ruleLen; i++) {
+        const h = ruleKeys[i];
+        const filteredObject = obj[h];
+        if (!filteredObject) continue;
+
+        const filterRule = this.filterRules[h];
+        let properties, customFunc, related;
+      
+        if (has.call(filterRule, 'properties')) {
+          properties = filterRule.properties;
+          customFunc = filterRule.customFunc;
+          related = filterRule.related;
+        } else {
+          properties = filterRule;
+        }
+
+        if (this.isExcepted(properties, filteredObject)) continue;
+        const sibling = filterRule.sibling;
+        if (sibling !== undefined && obj[sibling] &&
+            this.isExcepted(this.filterRules[sibling].properties, obj[sibling])) continue;
+
+        this.match = undefined;
+        if (this.isExtendedMatched(filteredObject, h) || this.matchFilterData(properties, filteredObject, h)) {
+          res.push({ name: h, customFunc, related, properties, match: this.match });
+        }
+      }
+      return res;
+    };
+
+    ObjectFilter.prototype.filter = function (obj = this.object) {
+      let deletePrev = false;
+
+      // we reached the end of the object
+      if (typeof obj !== 'object' || obj === null) {
+        return deletePrev;
+      }
+
+      // object filtering
+      const matchedRules = this.matchFilterRule(obj);
+      for (let ri = 0, rlen = matchedRules.length; ri < rlen; ri++) {
+        const r = matchedRules[ri];
+        const filteredObject = obj[r.name];
+        let customRet = true;
+        const customFunc = hooks.customFuncs[r.customFunc];
+        if (customFunc !== undefined) {
+          customRet = customFunc.call(this, obj, r.name);
+        }
+        if (customRet) {
+          // objects removed along with a blocked one (e.g. threads of blocked comments) have no
+          // match of their own
+          if (r.match !== undefined) this.logBlocked(filteredObject, r);
+          delete obj[r.name];
+          deletePrev = r.related || true;
+        }
+      }
+
+      let len = 0;
+      let keys;
+
+      // If object is an array len is the number of it's members
+      if (obj instanceof Array) {
+        len = obj.length;
+        // otherwise, this is a plain object, len is number of keys
+      } else {
+        keys = Object.keys(obj);
+        len = keys.length;
+      }
+
+      // loop backwards for easier splice
+      for (let i = len - 1; i >= 0; i -= 1) {
+        const idx = keys ? keys[i] : i;
+        if (obj[idx] === undefined) continue;
+
+        // filter next child
+        // also if current object is an array, splice child
+        const childDel = this.filter(obj[idx]);
+        if (childDel && keys === undefined) {
+          deletePrev = true;
+          obj.splice(idx, 1);
+          // Hack for deleting related objects with missing data
+          if (typeof childDel === "string" && obj.length > 0 && obj[idx] && obj[idx][childDel]) {
+            obj.splice(idx, 1);
+          }
+        }
+
+        // if next child is an empty array that we filtered, mark parent for removal.
+        if (obj[idx] instanceof Array && obj[idx].length === 0 && childDel) {
+          deletePrev = true;
+        } else if (childDel && deleteAllowed.has(idx)) {
+          // special children that need removing if they're empty
+          delete obj[idx];
+          deletePrev = true;
+        }
+      }
+
+      if (this.contextMenus && hooks.addContextMenus !== undefined) hooks.addContextMenus(obj);
+      return deletePrev;
+    };
+
+    // !! Utils
+
+    function flattenRuns(arr) {
+      if (arr.simpleText !== undefined) return arr.simpleText;
+      const runs = arr.runs;
+      if (!Array.isArray(runs)) return arr;
+    
+      const len = runs.length;
+      if (len === 0) return '';
+      if (len === 1) return runs[0].text || '';
+    
+      let result = '';
+      for (let i = 0; i < len; i++) {
+        const v = runs[i];
+        if (v.text) {
+          if (result) result += ' ';
+          result += v.text;
+        }
+      }
+      return result;
+    }
+
+    function getFlattenByPath(obj, filterPath) {
+      if (filterPath === undefined) return;
+      const filterPathArr = filterPath instanceof Array ? filterPath : [filterPath];
+      let value;
+      for (let idx = 0; idx < filterPathArr.length; idx += 1) {
+        value = getObjectByPath(obj, filterPathArr[idx]);
+        if (value !== undefined) return flattenRuns(value);
+      }
+    }
+
+    // Rule hits, counted per list and entry as {list: {entry: count}}, and blocked items
+    // wait here until the page takes them with takeReports
+    const MAX_BLOCKED_ITEMS = 200;
+    let ruleHits;
+    let blockedItems;
+    // set while the rule tester runs, its hits are not reported
+    let testing = false;
+
+    function scheduleReports() {
+      if (!testing && hooks.scheduleReports !== undefined) hooks.scheduleReports();
+    }
+
+    function countHit(list, entry) {
+      if (entry === undefined) return;
+      if (ruleHits === undefined) ruleHits = {};
+      const hits = ruleHits[list] || (ruleHits[list] = {});
+      hits[entry] = (hits[entry] || 0) + 1;
+      scheduleReports();
+    }
+
+    function logBlocked(item) {
+      if (blockedItems === undefined) blockedItems = [];
+      if (blockedItems.length >= MAX_BLOCKED_ITEMS) return;
+      blockedItems.push(item);
+      scheduleReports();
+    }
+
+    function takeReports() {
+      const reports = { ruleHits, blockedItems };
+      ruleHits = undefined;
+      blockedItems = undefined;
+      return reports;
+    }
+
+    // Regex for bracket notation - compiled once
+    const bracketRegex = /\[.*\]/;
+    const baseMatchRegex = /^([^\[]+)/;
+    const idxMatchRegex = /\[(\d+)\]/g;
+
+    function getObjectByPath(obj, path, def = undefined) {
+      if (!obj || !path) return def;
+    
+      const paths = Array.isArray(path) ? path : path.split('.');
+      let nextObj = obj;
+      const pathLen = paths.length;
+
+      for (let i = 0; i < pathLen; i++) {
+        const v = paths[i];
+      
+        // support bracket/index notation like "metadataRows[1]"
+        if (bracketRegex.test(v)) {
+          const baseMatch = v.match(baseMatchRegex);
+          if (baseMatch && baseMatch[1]) {
+            const key = baseMatch[1];
+            if (!nextObj || !has.call(nextObj, key)) return def;
+            nextObj = nextObj[key];
+          }
+
+          // Reset lastIndex and find all numeric indices
+          idxMatchRegex.lastIndex = 0;
+          let match;
+          while ((match = idxMatchRegex.exec(v)) !== null) {
+            const idx = parseInt(match[1], 10);
+            if (!Array.isArray(nextObj) || idx < 0 || idx >= nextObj.length) return def;
+            nextObj = nextObj[idx];
+          }
+          continue;
+        }
+
+        // segment is a plain token (no bracket)
+        if (Array.isArray(nextObj)) {
+          // when we have an array of objects, find an element that contains the key v
+          let found = undefined;
+          for (let j = 0, len = nextObj.length; j < len; j++) {
+            if (has.call(nextObj[j], v)) {
+              found = nextObj[j];
+              break;
+            }
+          }
+          if (found === undefined) return def;
+          nextObj = found[v];
+        } else {
+          if (!nextObj || !has.call(nextObj, v)) return def;
+          nextObj = nextObj[v];
+        }
+      }
+
+      return nextObj;
+    }
+
+    function parseTime(timeStr) {
+      if (timeStr === 'SHORTS') {
+        return -2;
+      }
+      const parts = String(timeStr).split(':').map(x => parseInt(x, 10));
+      switch (parts.length) {
+        case 3: {
+          return (parts[0] * 60 * 60) + (parts[1] * 60) + parts[2];
+        }
+        case 2: {
+          return (parts[0] * 60) + parts[1];
+        }
+        case 1: {
+          return parts[0];
+        }
+        default: {
+          return -1;
+        }
+      }
+    }
+
+    function isInScope(entry, surface) {
+      const scopes = entry.scopes;
+      if (scopes === undefined) return true;
+      if (scopes.exclude.includes(surface)) return false;
+      return scopes.include.length === 0 || scopes.include.includes(surface);
+    }
+
+    function getPathSurface(pathname) {
+      if (has.call(pathSurfaces, pathname)) return pathSurfaces[pathname];
+      if (channelPagePattern.test(pathname)) return 'channel';
+      return undefined;
+    }
+
+    // Find which surface an endpoint response belongs to. Browse requests are sent before the
+    // pathname changes, so prefer the browse_id YouTube reports back in the response.
+    function getEndpointSurface(url, resp) {
+      if (has.call(endpointSurfaces, url.pathname)) return endpointSurfaces[url.pathname];
+
+      if (url.pathname === '/youtubei/v1/browse') {
+        const trackingParams = getObjectByPath(resp, 'responseContext.serviceTrackingParams', []);
+        for (let i = 0, len = trackingParams.length; i < len; i++) {
+          const params = trackingParams[i].params || [];
+          const browseId = params.find(x => x.key === 'browse_id');
+          if (browseId === undefined) continue;
+          if (has.call(browseIdSurfaces, browseId.value)) return browseIdSurfaces[browseId.value];
+          if (browseId.value.startsWith('VL')) return 'playlist';
+          if (browseId.value.startsWith('UC')) return 'channel';
+          return undefined;
+        }
+      }
+
+      return getPathSurface(document.location.pathname);
+    }
+
+    function parseBadges(value) {
+      const badges = [];
+      const valueLen = value.length;
+      for (let k = 0; k < valueLen; k++) {
+        const style = value[k]?.metadataBadgeRenderer?.style;
+        if (style === "BADGE_STYLE_TYPE_VERIFIED") badges.push("verified");
+        else if (style === "BADGE_STYLE_TYPE_VERIFIED_ARTIST") badges.push("artist");
+        else if (style === "BADGE_STYLE_TYPE_LIVE_NOW") badges.push("live");
+        else if (style === "BADGE_STYLE_TYPE_MEMBERS_ONLY") badges.push("members");
+      }
+      return badges;
+    }
+
+    // Walk a compound rule tree compiled by background.js, a missing value never matches
+    function evaluateRule(rule, getValue) {
+      switch (rule.op) {
+        case 'and':
+          return rule.rules.every(r => evaluateRule(r, getValue));
+        case 'or':
+          return rule.rules.some(r => evaluateRule(r, getValue));
+        case 'not':
+          return !evaluateRule(rule.rule, getValue);
+        default:
+          break;
+      }
+
+      const value = getValue(rule.field);
+      if (value === undefined) return false;
+
+      if (rule.badge !== undefined) return value.includes(rule.badge);
+
+      if (has.call(rule, 'regex')) {
+        if (!rule.regex) return false;
+        const values = Array.isArray(value) ? value : [value];
+        return values.some(v => v !== undefined && rule.regex.test(v));
+      }
+
+      switch (rule.cmp) {
+        case '<': return value < rule.value;
+        case '<=': return value <= rule.value;
+        case '>': return value > rule.value;
+        case '>=': return value >= rule.value;
+        default: return value === rule.value;
+      }
+    }
+
+    // Relative upload times in YouTube's UI languages, e.g. "3 years ago", "vor 3 Jahren", "3 年前".
+    // Units are tried from the longest, the short patterns of small units could match longer words.
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const agoPattern = /ago|\bvor\b|il y a|hace|\bhá\s|\bfa\b|geleden|назад|temu|önce|前|전/i;
+    const ageUnits = [
+      [365, /year|\ba[ñn]os?\b|\d\s?an\b|\bans\b|jahr|jaar|\bann[io]\b/i],
+      [365, /год|лет|\brok|\blata?\b|yıl|年|년/i],
+      [30, /month|\bmes(es|e|i)?\b|\bmois\b|monat|maand|месяц|miesi|\bay\b|か月|ヶ月|个月|個月|개월/i],
+      [7, /week|weken|semana|semaine|woche|settiman|недел|tydz|tygod|hafta|週|周|주/i],
+      [1, /\bday|\bd[ií]as?\b|jour|\btag|\bdag|giorn|дн|день|dzie|\bdni\b|gün|日|天|일/i],
+      [1 / 24, /hour|\bhoras?\b|heure|stunde|\buur\b|\bor[ae]\b|час|godzin|saat|時間|小时|小時|시간/i],
+      [1 / 1440, /min|мин|dakika|分|분/i],
+      [1 / 86400, /sec|seg|sek|сек|saniye|秒|초/i],
+    ];
+
+    // Age in days of a publish date like 2024-03-01 or a relative time like "3 years ago"
+    function parseUploadAge(text) {
+      if (typeof text !== 'string') return undefined;
+      if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const time = Date.parse(text);
+        return isNaN(time) ? undefined : Math.max(0, (Date.now() - time) / DAY_MS);
+      }
+      if (!agoPattern.test(text)) return undefined;
+
+      const unit = ageUnits.find(([, pattern]) => pattern.test(text));
+      if (unit === undefined) return undefined;
+      const number = /\d+/.exec(text);
+      return (number ? parseInt(number[0], 10) : 1) * unit[0];
+    }
+
+    // Compact view counts in YouTube's UI languages, e.g. 1.2K, 3,4 Mio., 1.2 lakh, 12 mil, 1.5万
+    const viewMultipliers = {
+      k: 1e3, m: 1e6, b: 1e9,
+      thousand: 1e3, million: 1e6, billion: 1e9,
+      tsd: 1e3, mio: 1e6, mrd: 1e9,
+      md: 1e9, mil: 1e3, mi: 1e6, bi: 1e9, mln: 1e6, mld: 1e9,
+      'тыс': 1e3, 'млн': 1e6, 'млрд': 1e9, tys: 1e3,
+      lakh: 1e5, lac: 1e5, crore: 1e7, cr: 1e7, 'हज़ार': 1e3, 'लाख': 1e5, 'करोड़': 1e7,
+    };
+    // written right after the number, without a space
+    const cjkViewMultipliers = {
+      '千': 1e3, '万': 1e4, '萬': 1e4, '億': 1e8, '亿': 1e8, '천': 1e3, '만': 1e4, '억': 1e8,
+    };
+    const noViewsPattern = new RegExp(`^(${[
+      'no views', 'keine aufrufe', 'aucune vue', 'sin vistas', 'sem visualiza',
+      'nessuna visualizzazione', 'geen weergaven', 'нет просмотров', 'brak wyświetleń',
+      'görüntüleme yok', '視聴回数なし', '조회수 없음', '无人观看',
+    ].join('|')})`, 'i');
+
+    // Views, or live viewers ("1.2K watching"), of a view count text. Undefined when there is no
+    // number.
+    function parseViewCount(viewCount) {
+      if (typeof viewCount !== 'string') return undefined;
+      const text = viewCount.trim();
+      if (noViewsPattern.test(text)) return 0;
+
+      const match = /(\d[\d.,\s\u00a0\u202f']*)(.*)/.exec(text);
+      if (match === null) return undefined;
+
+      let number = match[1].replace(/[\s\u00a0\u202f']/g, '').replace(/[.,]$/, '');
+      const suffix = /^\s*([^\s\d]+)/.exec(match[2]) || /^()/.exec('');
+      const word = suffix[1].toLowerCase().replace(/\.$/, '');
+      const multiplier = viewMultipliers[word] || cjkViewMultipliers[word[0]] || 1;
+
+      // the last separator is a decimal one when followed by fewer than three digits, or when
+      // both kinds are used, e.g. 1.234,5; the others group thousands, e.g. 1,234,567 or 1,23,456
+      const separators = number.match(/[.,]/g) || [];
+      const last = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+      const isDecimal = last !== -1 &&
+        (number.length - last - 1 !== 3 || new Set(separators).size > 1);
+      if (isDecimal && separators.filter(v => v === number[last]).length === 1) {
+        number = number.slice(0, last).replace(/[.,]/g, '') + '.' + number.slice(last + 1);
+      } else {
+        number = number.replace(/[.,]/g, '');
+      }
+
+      const count = parseFloat(number) * multiplier;
+      return isNaN(count) ? undefined : Math.round(count);
+    }
+
+    // Whether a [min, max] filter removes the value: "block" ranges remove what lies within both
+    // bounds, "allow" ranges what lies outside either of them
+    function isOutOfRange(value, range, type) {
+      if (value === undefined || !Array.isArray(range) || range.length !== 2) return false;
+      const [min, max] = range;
+      if (type === 'block') return min !== null && value >= min && max !== null && value <= max;
+      return (min !== null && value < min) || (max !== null && value > max);
+    }
+
+    // Tags and handles are read from other values, everything else as it is
+    function getPropertyValue(obj, h, filterPath) {
+      if (h === 'tags') return getTags(obj, filterPath);
+      if (h === 'channelHandle') return parseHandle(getFlattenByPath(obj, filterPath));
+      return getFlattenByPath(obj, filterPath);
+    }
+
+    const handlePattern = /@[^/?#\s@]+/;
+
+    // "@name" from a handle, "/@name" or a channel URL
+    function parseHandle(value) {
+      if (typeof value !== 'string') return undefined;
+      const match = handlePattern.exec(value);
+      if (match === null) return undefined;
+      try {
+        return decodeURIComponent(match[0]);
+      } catch (e) {
+        return match[0];
+      }
+    }
+
+    const hashtagPattern = /#[\p{L}\p{N}_]+/gu;
+
+    // Tags as "#tag" lines, taken from keyword arrays and the hashtags of texts on all the paths
+    function getTags(obj, filterPath) {
+      const paths = Array.isArray(filterPath) ? filterPath : [filterPath];
+      const tags = [];
+      for (let i = 0; i < paths.length; i++) {
+        const value = getFlattenByPath(obj, paths[i]);
+        if (Array.isArray(value)) {
+          value.forEach((tag) => {
+            if (typeof tag === 'string' && tag.trim() !== '') {
+              tags.push(`#${tag.trim().replace(/^#/, '')}`);
+            }
+          });
+        } else if (typeof value === 'string') {
+          tags.push(...(value.match(hashtagPattern) || []));
+        }
+      }
+      return tags.length > 0 ? tags.join('\n') : undefined;
+    }
+
+    function transformToRegExp(data) {
+      if (!has.call(data, 'filterData')) return;
+      const filterData = data.filterData;
+      const sources = filterData.sources || {};
+      for (let i = 0, len = compiledProps.length; i < len; i++) {
+        const p = compiledProps[i];
+        if (has.call(filterData, p)) {
+          filterData[p] = toRegExpList(filterData[p], sources[p]);
+        }
+      }
+      if (has.call(filterData, 'exceptions')) {
+        const exceptionSources = sources.exceptions || {};
+        const exceptionKeys = Object.keys(filterData.exceptions);
+        for (let i = 0, len = exceptionKeys.length; i < len; i++) {
+          const p = exceptionKeys[i];
+          filterData.exceptions[p] = toRegExpList(filterData.exceptions[p], exceptionSources[p]);
+        }
+      }
+      if (has.call(filterData, 'compoundRules')) {
+        filterData.compoundRules.forEach(transformRuleRegExp);
+      }
+    }
+
+    // sources, the entries the patterns were compiled from, are kept on the RegExp for hit
+    // statistics
+    function toRegExpList(arr, sources = undefined) {
+      const result = new Array(arr.length);
+      for (let j = 0, jlen = arr.length; j < jlen; j++) {
+        const v = arr[j];
+        try {
+          result[j] = new RegExp(v[0], v[1].replace('g', ''));
+          if (v[2] !== undefined) result[j].scopes = v[2];
+          if (sources !== undefined) result[j].entry = sources[j];
+        } catch (e) {
+          console.error(`RegExp parsing error: /${v[0]}/${v[1]}`);
+          result[j] = undefined;
+        }
+      }
+      return result;
+    }
+
+    function transformRuleRegExp(rule) {
+      if (rule.rules) {
+        rule.rules.forEach(transformRuleRegExp);
+      } else if (rule.rule) {
+        transformRuleRegExp(rule.rule);
+      } else if (Array.isArray(rule.regex)) {
+        const v = rule.regex;
+        try {
+          rule.regex = new RegExp(v[0], v[1].replace('g', ''));
+        } catch (e) {
+          console.error(`RegExp parsing error: /${v[0]}/${v[1]}`);
+          rule.regex = undefined;
+        }
+      }
+    }
+
+    // Rule tester of the options page: runs filters compiled by the background script over object,
+    // without touching the page's filters or reporting hits. Custom functions act on the page,
+    // so they are left out and blocked objects are simply removed.
+    function testFilters(data, object, surface) {
+      const saved = [storageData, jsFilterEnabled, ruleHits, blockedItems];
+      const isPlayer = has.call(object, 'videoDetails') || has.call(object, 'args') ||
+        has.call(object, 'PLAYER_VARS');
+      const source = isPlayer ? filterRules.ytPlayer : mergedFilterRules;
+      const rules = {};
+      Object.keys(source).forEach((name) => {
+        const rule = source[name];
+        rules[name] = has.call(rule, 'properties')
+          ? { properties: rule.properties, related: rule.related }
+          : rule;
+      });
+
+      testing = true;
+      storageData = data;
+      jsFilterEnabled = false;
+      ruleHits = undefined;
+      blockedItems = undefined;
+      try {
+        transformToRegExp(data);
+        ObjectFilter(object, rules, [], false, surface);
+        return { blocked: blockedItems || [], hits: ruleHits || {}, object };
+      } finally {
+        [storageData, jsFilterEnabled, ruleHits, blockedItems] = saved;
+        testing = false;
+      }
+    }
+
+    function setStorageData(data) {
+      storageData = data;
+    }
+
+    // fn is the advanced blocking function, undefined turns it off
+    function setJsFilter(fn) {
+      jsFilter = fn;
+      jsFilterEnabled = !!fn;
+    }
+
+    return {
+      hooks,
+      setStorageData,
+      setJsFilter,
+      countHit,
+      logBlocked,
+      takeReports,
+      testFilters,
+      ObjectFilter,
+      filterRules,
+      mergedFilterRules,
+      regexProps,
+      regexPropsSet,
+      compiledProps,
+      allowlistObjects,
+      deleteAllowed,
+      channelPagePattern,
+      getObjectByPath,
+      getFlattenByPath,
+      flattenRuns,
+      parseTime,
+      parseViewCount,
+      parseUploadAge,
+      parseBadges,
+      parseHandle,
+      isOutOfRange,
+      evaluateRule,
+      isInScope,
+      getPathSurface,
+      getEndpointSurface,
+      transformToRegExp,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createFilter };
+  } else {
+    Object.defineProperty(root, 'btFilter', { value: Object.freeze({ createFilter }) });
+  }
+}(globalThis));
@@ -96,6 +96,15 @@
     trapChain(window, chain);
   }
 
+  // the filter rules and ObjectFilter, shared with the rule tester of the options page
+  const filter = (typeof btFilter !== 'undefined' ? btFilter : require('./filter.js'))
+    .createFilter();
+  const {
+    ObjectFilter, filterRules, mergedFilterRules, channelPagePattern, getObjectByPath,
+    getFlattenByPath, flattenRuns, parseHandle, getPathSurface, getEndpointSurface,
+    transformToRegExp,
+  } = filter;
+
   // !! Globals
 
   window.btReloadRequired = false;
@@ -103,10 +112,6 @@
   // extension storageData
   let storageData;
 
-  // JavaScript filtering
-  let jsFilter;
-  let jsFilterEnabled = false;
-
   // TODO: hack for blocking data in other objects
   let currentBlock = false;
 
@@ -135,590 +140,6 @@
   ];
   const contextMenuObjects = new Set(contextMenuObjectsList);
 
-  // those properties can be safely deleted when one of their child got filtered - use Set for O(1) lookup
-  const deleteAllowed = new Set([
-    'richItemRenderer',
-    'content',
-    'horizontalListRenderer',
-    'verticalListRenderer',
-    'shelfRenderer',
-    'richShelfRenderer',
-    'gridRenderer',
-    'expandedShelfContentsRenderer',
-    'comment',
-    'commentThreadRenderer',
-    'reelShelfRenderer',
-    'richSectionRenderer'
-  ]);
-
-  // those filter properties require RegExp checking - use Set for O(1) lookup
-  const regexPropsSet = new Set([
-    'videoId',
-    'channelId',
-    'channelName',
-    'title',
-    'comment',
-    'description',
-  ]);
-  const regexProps = ['videoId', 'channelId', 'channelName', 'title', 'comment', 'description'];
-
-  // TODO: add rules descriptions
-  // !! Filter Rules definitions
-  const baseRules = {
-    videoId: 'videoId',
-    channelId: 'shortBylineText.runs.navigationEndpoint.browseEndpoint.browseId',
-    channelBadges: 'ownerBadges',
-    channelName: [
-      'shortBylineText',
-      'longBylineText',
-    ],
-    title: ['title'],
-    description: ['descriptionSnippet', 'detailedMetadataSnippets.snippetText'],
-    vidLength: ['thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text'],
-    viewCount: [
-        'viewCountText'
-    ],
-    badges: 'badges',
-    publishTimeText: ['publishedTimeText'],
-    percentWatched: 'thumbnailOverlays.thumbnailOverlayResumePlaybackRenderer.percentDurationWatched'
-  };
-
-  const filterRules = {
-    main: {
-      compactMovieRenderer: {
-        videoId: 'videoId',
-        title: ['title'],
-        vidLength: 'thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text',
-        badges: 'badges',
-        percentWatched: 'thumbnailOverlays.thumbnailOverlayResumePlaybackRenderer.percentDurationWatched'
-      },
-      movieRenderer: {
-        videoId: 'videoId',
-        title: ['title'],
-        vidLength: 'thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text',
-        badges: 'badges',
-        percentWatched: 'thumbnailOverlays.thumbnailOverlayResumePlaybackRenderer.percentDurationWatched'
-      },
-      gridVideoRenderer: baseRules,
-      videoRenderer: baseRules,
-      radioRenderer: baseRules,
-      playlistRenderer: baseRules,
-      gridRadioRenderer: baseRules,
-      compactVideoRenderer: baseRules,
-      compactRadioRenderer: baseRules,
-      playlistVideoRenderer: baseRules,
-      endScreenVideoRenderer: baseRules,
-      endScreenPlaylistRenderer: baseRules,
-      gridPlaylistRenderer: baseRules,
-      postRenderer: {
-        channelId: 'authorEndpoint.browseEndpoint.browseId',
-        channelName: ['authorText']
-      },
-      backstagePostRenderer: {
-        channelId: 'authorEndpoint.browseEndpoint.browseId',
-        channelName: ['authorText']
-      },
-
-      watchCardCompactVideoRenderer: {
-        title: 'title',
-        channelId: 'subtitles.runs.navigationEndpoint.browseEndpoint.browseId',
-        channelName: 'subtitles',
-        videoId: 'navigationEndpoint.watchEndpoint.videoId',
-      },
-
-      shelfRenderer: {
-        channelId: 'endpoint.browseEndpoint.browseId',
-      },
-
-      channelVideoPlayerRenderer: {
-        title: 'title',
-      },
-
-      channelRenderer: {
-        properties: {...baseRules, title: undefined},
-        related: 'shelfRenderer'
-      },
-
-      playlistPanelVideoRenderer: {
-        properties: baseRules,
-        customFunc: blockPlaylistVid,
-      },
-
-      videoPrimaryInfoRenderer: {
-        properties: {
-          title: 'title',
-        },
-        customFunc: redirectToNext,
-      },
-
-      videoSecondaryInfoRenderer: {
-        properties: {
-          channelId: 'owner.videoOwnerRenderer.navigationEndpoint.browseEndpoint.browseId',
-          channelName: 'owner.videoOwnerRenderer.title',
-        },
-        customFunc: redirectToNext,
-      },
-
-      // channel page header
-      channelMetadataRenderer: {
-        properties: {
-          channelId: 'externalId',
-          channelName: 'title',
-        },
-        customFunc: redirectToIndex,
-      },
-
-      // related channels
-      gridChannelRenderer: {
-        channelId: 'channelId',
-        channelName: 'title',
-      },
-
-      miniChannelRenderer: {
-        channelId: 'channelId',
-        channelName: 'title',
-      },
-
-      // sidemenu subscribed channels
-      guideEntryRenderer: {
-        channelId: 'navigationEndpoint.browseEndpoint.browseId',
-        channelName: ['title', 'formattedTitle'],
-      },
-
-      universalWatchCardRenderer: {
-        properties: {
-          channelId: 'header.watchCardRichHeaderRenderer.titleNavigationEndpoint.browseEndpoint.browseId',
-          channelName: 'header.watchCardRichHeaderRenderer.title',
-        },
-      },
-
-      playlist: {
-        properties: {
-          channelId: 'shortBylineText.runs.navigationEndpoint.browseEndpoint.browseId',
-          channelName: ['shortBylineText'],
-          title: 'title',
-        },
-        customFunc: redirectToIndex,
-      },
-
-      compactChannelRecommendationCardRenderer: {
-        properties: {
-          channelId: 'channelEndpoint.browseEndpoint.browseId',
-          channelName: ['channelTitle'],
-        },
-      },
-
-      playerOverlayAutoplayRenderer: {
-        properties: {
-          videoId: 'videoId',
-          channelId: 'byline.runs.navigationEndpoint.browseEndpoint.browseId',
-          channelName: 'byline',
-          title: ['videoTitle'],
-          publishTimeText: 'publishedTimeText',
-          vidLength: 'thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text',
-        },
-        customFunc: markAutoplay,
-      },
-
-      reelItemRenderer: {
-        properties: {
-          videoId: 'videoId',
-          channelId: 'navigationEndpoint.reelWatchEndpoint.overlay.reelPlayerOverlayRenderer.reelPlayerHeaderSupportedRenderers.reelPlayerHeaderRenderer.channelNavigationEndpoint.browseEndpoint.browseId',
-          channelName: 'navigationEndpoint.reelWatchEndpoint.overlay.reelPlayerOverlayRenderer.reelPlayerHeaderSupportedRenderers.reelPlayerHeaderRenderer.channelTitleText',
-          title: ['headline'],
-          publishTimeText: 'navigationEndpoint.reelWatchEndpoint.overlay.reelPlayerOverlayRenderer.reelPlayerHeaderSupportedRenderers.reelPlayerHeaderRenderer.timestampText'
-        }
-      },
-
-      shortsLockupViewModel: {
-        properties: {
-          videoId: 'onTap.innertubeCommand.reelWatchEndpoint.videoId',
-          title: 'overlayMetadata.primaryText.content',
-          viewCount: 'overlayMetadata.secondaryText.content'
-        }
-      },
-
-      richShelfRenderer: {
-        channelId: 'endpoint.browseEndpoint.browseId'
-      },
-
-      channelFeaturedVideoRenderer: {
-        ...baseRules,
-        vidLength: 'lengthText'
-      },
-
-      videoWithContextRenderer: {
-        ...baseRules,
-        title: 'headline',
-        vidLength: ['thumbnailOverlays.thumbnailOverlayTimeStatusRenderer.text'],
-        viewCount: 'shortViewCountText',
-      },
-
-      compactChannelRenderer: {
-        channelId: 'channelId',
-        channelName: 'displayName',
-        channelBadges: 'ownerBadges',
-      },
-
-      lockupViewModel: {
-        videoId: 'contentId',
-        title: 'metadata.lockupMetadataViewModel.title.content',
-        channelName: 'metadata.lockupMetadataViewModel.metadata.contentMetadataViewModel.metadataRows.metadataParts.text.content',
-        vidLength: 'contentImage.thumbnailViewModel.overlays.thumbnailOverlayBadgeViewModel.thumbnailBadges.thumbnailBadgeViewModel.text',
-        viewCount: 'metadata.lockupMetadataViewModel.metadata.contentMetadataViewModel.metadataRows[1].metadataParts.text.content',
-        channelId: ['metadata.lockupMetadataViewModel.image.decoratedAvatarViewModel.rendererContext.commandContext.onTap.innertubeCommand.browseEndpoint.browseId', 
-                    'metadata.lockupMetadataViewModel.metadata.contentMetadataViewModel.metadataRows.metadataParts.text.commandRuns.onTap.innertubeCommand.browseEndpoint.browseId'],
-        percentWatched: 'contentImage.thumbnailViewModel.overlays.thumbnailBottomOverlayViewModel.progressBar.thumbnailOverlayProgressBarViewModel.startPercent'
-      },
-
-      // Mobile top chips
-      chipCloudChipRenderer: {
-        channelId: 'icon.iconType'
-      },
-
-      // Mobile Video page data
-      slimVideoMetadataSectionRenderer: {
-        properties: {
-          videoId: 'videoId',
-          title: 'contents.slimVideoInformationRenderer.title',
-          channelId: 'contents.slimOwnerRenderer.navigationEndpoint.browseEndpoint.browseId',
-          channelName: 'contents.slimOwnerRenderer.title'
-        },
-        customFunc: redirectToNextMobile,
-      },
-
-      tabRenderer: {
-        channelId: 'endpoint.commandMetadata.webCommandMetadata.url'
-      },
-
-      // Empty for blocking short headers
-      gridShelfViewModel: {
-      },
-
-      richSectionRenderer: {
-      }
-    },
-    ytPlayer: {
-      args: {
-        properties: {
-          videoId: ['video_id', 'raw_player_response.videoDetails.videoId'],
-          channelId: ['ucid', 'raw_player_response.videoDetails.channelId'],
-          channelName: ['author', 'raw_player_response.videoDetails.author'],
-          title: ['title', 'raw_player_response.videoDetails.title'],
-          vidLength: ['length_seconds', 'raw_player_response.videoDetails.lengthSeconds']
-        },
-        customFunc: disableEmbedPlayer,
-      },
-      videoDetails: {
-        properties: {
-          videoId: 'videoId',
-          channelId: 'channelId',
-          channelName: 'author',
-          title: 'title',
-          vidLength: 'lengthSeconds',
-        },
-        customFunc: disablePlayer,
-      },
-      PLAYER_VARS: {
-        properties: {
-          videoId: ['video_id'],
-          channelId: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.videoDetails.embeddedPlayerOverlayVideoDetailsRenderer.expandedRenderer.embeddedPlayerOverlayVideoDetailsExpandedRenderer.subscribeButton.subscribeButtonRenderer.channelId'],
-          channelName: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.videoDetails.embeddedPlayerOverlayVideoDetailsRenderer.expandedRenderer.embeddedPlayerOverlayVideoDetailsExpandedRenderer.title'],
-          title: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.title'],
-          vidLength: ['raw_player_response.embedPreview.thumbnailPreviewRenderer.videoDurationSeconds']
-        },
-        customFunc: disableEmbedPlayer
-      }
-    },
-    guide: {
-      // sidemenu subscribed channels
-      guideEntryRenderer: {
-        properties: {
-          channelId: ['navigationEndpoint.browseEndpoint.browseId', 'icon.iconType'],
-          channelName: ['title', 'formattedTitle'],
-        },
-      },
-      // Mobile buttom navigation bar
-      pivotBarItemRenderer: {
-          channelId: 'icon.iconType'
-      },
-    },
-    comments: {
-      commentEntityPayload: {
-        channelId: ['author.channelId'],
-        channelName: ['author.displayName'],
-        comment: ['properties.content.content']
-      },
-      commentThreadRenderer: {},
-      commentViewModel: {},
-      commentRenderer: {
-        channelId: 'authorEndpoint.browseEndpoint.browseId',
-        channelName: ['authorText'],
-        comment: ['contentText'],
-      },
-      liveChatTextMessageRenderer: {
-        channelId: 'authorExternalChannelId',
-        channelName: ['authorName'],
-        comment: 'message',
-      },
-    }
-  }
-
-  const mergedFilterRules = Object.assign({}, filterRules.main, filterRules.comments);
-
-  // !! ObjectFilter
-  function ObjectFilter(object, filterRules, postActions = [], contextMenus = false) {
-    if (!(this instanceof ObjectFilter))
-      return new ObjectFilter(object, filterRules, postActions, contextMenus);
-
-    this.object = object;
-    this.filterRules = filterRules;
-    this.contextMenus = contextMenus;
-    this.blockedComments = [];
-
-    this.filter();
-    try {
-      postActions.forEach(x => x.call(this));
-    } catch(e) {
-      console.error("postActions Exception");
-      console.error(e);
-    }
-    return this;
-  }
-
-  ObjectFilter.prototype.isDataEmpty = function () {
-    if (storageData.options.shorts || storageData.options.movies || storageData.options.mixes) return false;
-    if (!isNaN(storageData.options.percent_watched_hide)) return false;
-
-    if (!isNaN(storageData.filterData.vidLength[0]) ||
-        !isNaN(storageData.filterData.vidLength[1])) return false;
-
-    for (let idx = 0; idx < regexProps.length; idx += 1) {
-      if (storageData.filterData[regexProps[idx]].length > 0) return false;
-    }
-
-    return !jsFilterEnabled;
-  };
-
-  // Cache for pathname checks to avoid repeated string operations
-  const historyPaths = new Set(['/feed/history', '/feed/library', '/playlist']);
-
-  ObjectFilter.prototype.matchFilterData = function (filters, obj, objectType) {
-    const friendlyVideoObj = jsFilterEnabled ? {} : null;
-    const currentPath = document.location.pathname;
-
-    if (currentPath === '/feed/history' && storageData.options.disable_on_history) return false;
-
-    let doBlock = false;
-    const filterKeys = Object.keys(filters);
-    
-    for (let i = 0; i < filterKeys.length; i++) {
-      const h = filterKeys[i];
-      const filterPath = filters[h];
-      if (filterPath === undefined) continue;
-
-      const properties = storageData.filterData[h];
-      const isRegexProp = regexPropsSet.has(h);
-      if (isRegexProp && (properties === undefined || (properties.length === 0 && !jsFilterEnabled))) continue;
-
-      let value = getFlattenByPath(obj, filterPath);
-      if (value === undefined) continue;
-
-      if (h === 'percentWatched' && storageData.options.percent_watched_hide && objectType !== 'playlistPanelVideoRenderer'
-           && !historyPaths.has(currentPath)
-           && parseInt(value) >= storageData.options.percent_watched_hide) {
-        doBlock = true;
-        break;
-      }
-
-      if (isRegexProp) {
-        for (let j = 0; j < properties.length; j++) {
-          if (properties[j] && properties[j].test(value)) {
-            doBlock = true;
-            break;
-          }
-        }
-        if (doBlock) break;
-      }
-
-      if (h === 'vidLength') {
-        const vidLen = parseTime(value);
-        if (vidLen === -2 && storageData.options.shorts) {
-          doBlock = true;
-          break;
-        }
-        if (vidLen > 0 && properties.length === 2) {
-          if (storageData.options.vidLength_type === 'block') {
-            if ((properties[0] !== null && vidLen >= properties[0]) && (properties[1] !== null && vidLen <= properties[1])) {
-              doBlock = true;
-              break;
-            }
-          } else {
-            if ((properties[0] !== null && vidLen < properties[0]) || (properties[1] !== null && vidLen > properties[1])) {
-              doBlock = true;
-              break;
-            }
-          }
-        }
-        value = vidLen;
-      }
-
-      if (jsFilterEnabled) {
-        if (h === 'viewCount') {
-          value = parseViewCount(value);
-        } else if (h === 'channelBadges' || h === 'badges') {
-          const badges = [];
-          const valueLen = value.length;
-          for (let k = 0; k < valueLen; k++) {
-            const style = value[k]?.metadataBadgeRenderer?.style;
-            if (style === "BADGE_STYLE_TYPE_VERIFIED") badges.push("verified");
-            else if (style === "BADGE_STYLE_TYPE_VERIFIED_ARTIST") badges.push("artist");
-            else if (style === "BADGE_STYLE_TYPE_LIVE_NOW") badges.push("live");
-            else if (style === "BADGE_STYLE_TYPE_MEMBERS_ONLY") badges.push("members");
-          }
-          value = badges;
-        }
-        friendlyVideoObj[h] = value;
-      }
-    }
-
-    if (!doBlock && jsFilterEnabled) {
-      try {
-        doBlock = !!jsFilter(friendlyVideoObj, objectType);
-      } catch (e) {
-        console.error("Custom function exception", e, "friendlyVideoObj: ", friendlyVideoObj, "objectType: ", objectType);
-      }
-    }
-    if (doBlock && objectType === 'commentEntityPayload') {
-      this.blockedComments.push(obj.properties.commentId);
-    }
-    return doBlock;
-  };
-
-  ObjectFilter.prototype.isExtendedMatched = function(filteredObject, h) {
-    if (storageData.options.movies) {
-      if (h === 'movieRenderer' || h === 'compactMovieRenderer') return true;
-      if (h === 'videoRenderer' && !getObjectByPath(filteredObject, "shortBylineText.runs.navigationEndpoint.browseEndpoint") && filteredObject.longBylineText && filteredObject.badges) return true;
-    }
-    if (storageData.options.shorts && (h === 'shortsLockupViewModel' || h === 'reelItemRenderer' || h === 'gridShelfViewModel') ) return true;
-    if (storageData.options.mixes && (h === 'radioRenderer' || h === 'compactRadioRenderer')) return true;
-    if (storageData.options.mixes && h === 'lockupViewModel') {
-      let imgName = getObjectByPath(filteredObject, 'contentImage.collectionThumbnailViewModel.primaryThumbnail.thumbnailViewModel.overlays.thumbnailOverlayBadgeViewModel.thumbnailBadges.thumbnailBadgeViewModel.icon.sources.clientResource.imageName');
-      if (imgName === 'MIX') {
-        return true;
-      }
-    }
-
-    if (h === 'commentThreadRenderer') {
-      if (this.blockedComments.includes(getObjectByPath(filteredObject, 'commentViewModel.commentViewModel.commentId'))) {
-        return true;
-      }
-    }
-
-    if (h === 'commentViewModel') {
-      if (this.blockedComments.includes(getObjectByPath(filteredObject, 'commentId'))) {
-        return true;
-      } 
-    }
-
-    return false;
-  }
-
-  ObjectFilter.prototype.matchFilterRule = function (obj) {
-    if (this.isDataEmpty()) return [];
-
-    const res = [];
-    const ruleKeys = Object.keys(this.filterRules);
-    const ruleLen = ruleKeys.length;
-    
-    for (let i = 0; i < ruleLen; i++) {
-      const h = ruleKeys[i];
-      const filteredObject = obj[h];
-      if (!filteredObject) continue;
-
-      const filterRule = this.filterRules[h];
-      let properties, customFunc, related;
-      
-      if (has.call(filterRule, 'properties')) {
-        properties = filterRule.properties;
-        customFunc = filterRule.customFunc;
-        related = filterRule.related;
-      } else {
-        properties = filterRule;
-      }
-
-      if (this.isExtendedMatched(filteredObject, h) || this.matchFilterData(properties, filteredObject, h)) {
-        res.push({ name: h, customFunc, related });
-      }
-    }
-    return res;
-  };
-
-  ObjectFilter.prototype.filter = function (obj = this.object) {
-    let deletePrev = false;
-
-    // we reached the end of the object
-    if (typeof obj !== 'object' || obj === null) {
-      return deletePrev;
-    }
-
-    // object filtering
-    const matchedRules = this.matchFilterRule(obj);
-    for (let ri = 0, rlen = matchedRules.length; ri < rlen; ri++) {
-      const r = matchedRules[ri];
-      let customRet = true;
-      if (r.customFunc !== undefined) {
-        customRet = r.customFunc.call(this, obj, r.name);
-      }
-      if (customRet) {
-        delete obj[r.name];
-        deletePrev = r.related || true;
-      }
-    }
-
-    let len = 0;
-    let keys;
-
-    // If object is an array len is the number of it's members
-    if (obj instanceof Array) {
-      len = obj.length;
-      // otherwise, this is a plain object, len is number of keys
-    } else {
-      keys = Object.keys(obj);
-      len = keys.length;
-    }
-
-    // loop backwards for easier splice
-    for (let i = len - 1; i >= 0; i -= 1) {
-      const idx = keys ? keys[i] : i;
-      if (obj[idx] === undefined) continue;
-
-      // filter next child
-      // also if current object is an array, splice child
-      const childDel = this.filter(obj[idx]);
-      if (childDel && keys === undefined) {
-        deletePrev = true;
-        obj.splice(idx, 1);
-        // Hack for deleting related objects with missing data
-        if (typeof childDel === "string" && obj.length > 0 && obj[idx] && obj[idx][childDel]) {
-          obj.splice(idx, 1);
-        }
-      }
-
-      // if next child is an empty array that we filtered, mark parent for removal.
-      if (obj[idx] instanceof Array && obj[idx].length === 0 && childDel) {
-        deletePrev = true;
-      } else if (childDel && deleteAllowed.has(idx)) {
-        // special children that need removing if they're empty
-        delete obj[idx];
-        deletePrev = true;
-      }
-    }
-
-    if (this.contextMenus) !isMobileInterface ? addContextMenus(obj) : addContextMenusMobile(obj);
-    return deletePrev;
-  };
-
   // !! Custom filtering functions
 
   function disableEmbedPlayer(ytData) {
@@ -939,165 +360,24 @@
 
   // !! Utils
 
-  function flattenRuns(arr) {
-    if (arr.simpleText !== undefined) return arr.simpleText;
-    const runs = arr.runs;
-    if (!Array.isArray(runs)) return arr;
-    
-    const len = runs.length;
-    if (len === 0) return '';
-    if (len === 1) return runs[0].text || '';
-    
-    let result = '';
-    for (let i = 0; i < len; i++) {
-      const v = runs[i];
-      if (v.text) {
-        if (result) result += ' ';
-        result += v.text;
-      }
-    }
-    return result;
-  }
-
-  function getFlattenByPath(obj, filterPath) {
-    if (filterPath === undefined) return;
-    const filterPathArr = filterPath instanceof Array ? filterPath : [filterPath];
-    let value;
-    for (let idx = 0; idx < filterPathArr.length; idx += 1) {
-      value = getObjectByPath(obj, filterPathArr[idx]);
-      if (value !== undefined) return flattenRuns(value);
-    }
-  }
-
   function postMessage(type, data) {
     window.postMessage({ from: 'BLOCKTUBE_PAGE', type, data }, document.location.origin);
   }
 
-  // Regex for bracket notation - compiled once
-  const bracketRegex = /\[.*\]/;
-  const baseMatchRegex = /^([^\[]+)/;
-  const idxMatchRegex = /\[(\d+)\]/g;
-
-  function getObjectByPath(obj, path, def = undefined) {
-    if (!obj || !path) return def;
-    
-    const paths = Array.isArray(path) ? path : path.split('.');
-    let nextObj = obj;
-    const pathLen = paths.length;
-
-    for (let i = 0; i < pathLen; i++) {
-      const v = paths[i];
-      
-      // support bracket/index notation like "metadataRows[1]"
-      if (bracketRegex.test(v)) {
-        const baseMatch = v.match(baseMatchRegex);
-        if (baseMatch && baseMatch[1]) {
-          const key = baseMatch[1];
-          if (!nextObj || !has.call(nextObj, key)) return def;
-          nextObj = nextObj[key];
-        }
-
-        // Reset lastIndex and find all numeric indices
-        idxMatchRegex.lastIndex = 0;
-        let match;
-        while ((match = idxMatchRegex.exec(v)) !== null) {
-          const idx = parseInt(match[1], 10);
-          if (!Array.isArray(nextObj) || idx < 0 || idx >= nextObj.length) return def;
-          nextObj = nextObj[idx];
-        }
-        continue;
-      }
+  // Rule hits and blocked items collected by filter.js are sent to the background script in batches
+  const REPORT_DELAY = 5000;
+  let reportTimer;
 
-      // segment is a plain token (no bracket)
-      if (Array.isArray(nextObj)) {
-        // when we have an array of objects, find an element that contains the key v
-        let found = undefined;
-        for (let j = 0, len = nextObj.length; j < len; j++) {
-          if (has.call(nextObj[j], v)) {
-            found = nextObj[j];
-            break;
-          }
-        }
-        if (found === undefined) return def;
-        nextObj = found[v];
-      } else {
-        if (!nextObj || !has.call(nextObj, v)) return def;
-        nextObj = nextObj[v];
-      }
-    }
-
-    return nextObj;
-  }
-
-  function parseTime(timeStr) {
-    if (timeStr === 'SHORTS') {
-      return -2;
-    }
-    const parts = String(timeStr).split(':').map(x => parseInt(x, 10));
-    switch (parts.length) {
-      case 3: {
-        return (parts[0] * 60 * 60) + (parts[1] * 60) + parts[2];
-      }
-      case 2: {
-        return (parts[0] * 60) + parts[1];
-      }
-      case 1: {
-        return parts[0];
-      }
-      default: {
-        return -1;
-      }
-    }
+  function scheduleReports() {
+    if (reportTimer === undefined) reportTimer = setTimeout(sendReports, REPORT_DELAY);
   }
 
-  function parseViewCount(viewCount) {
-    const parts = viewCount.split(" ");
-    if (parts[1] !== "views" && parts[1] !== "view") return undefined; // Fail if not english formatting
-    let views = parts[0];
-    
-    // Handle abbreviated formats (K, M, B)
-    const multipliers = {
-      'K': 1000,
-      'M': 1000000,
-      'B': 1000000000
-    };
-    
-    // Remove commas first before any other processing
-    let numericPart = views.replace(/,/g, '');
-    
-    // Check if it ends with a multiplier
-    const lastChar = numericPart.slice(-1).toUpperCase();
-    let multiplier = 1;
-    
-    if (multipliers[lastChar]) {
-      multiplier = multipliers[lastChar];
-      numericPart = numericPart.slice(0, -1); // Remove the letter
-    }
-    
-    // Return the final count
-    return (parseFloat(numericPart) * multiplier);
-  }
-
-  function transformToRegExp(data) {
-    if (!has.call(data, 'filterData')) return;
-    const filterData = data.filterData;
-    for (let i = 0, len = regexProps.length; i < len; i++) {
-      const p = regexProps[i];
-      if (has.call(filterData, p)) {
-        const arr = filterData[p];
-        const result = new Array(arr.length);
-        for (let j = 0, jlen = arr.length; j < jlen; j++) {
-          const v = arr[j];
-          try {
-            result[j] = new RegExp(v[0], v[1].replace('g', ''));
-          } catch (e) {
-            console.error(`RegExp parsing error: /${v[0]}/${v[1]}`);
-            result[j] = undefined;
-          }
-        }
-        filterData[p] = result;
-      }
-    }
+  function sendReports() {
+    clearTimeout(reportTimer);
+    reportTimer = undefined;
+    const { ruleHits, blockedItems } = filter.takeReports();
+    if (ruleHits !== undefined) postMessage('ruleHits', ruleHits);
+    if (blockedItems !== undefined) postMessage('blockedItems', blockedItems);
   }
 
   function playerMiscFilters() {
@@ -1113,6 +393,11 @@
       }
     }
 
+    if (storageData.options.paid_promotion === 'warn' &&
+        start_obj.paidContentOverlay !== undefined) {
+      openToast('This video includes paid promotion', 5000);
+    }
+
     if (storageData.options.disable_db_normalize === true) {
       const audioConfig = getObjectByPath(start_obj, 'playerConfig.audioConfig');
       if (audioConfig !== undefined) {
@@ -1133,19 +418,29 @@
   function fetchFilter(url, resp) {
     if (storageData === undefined) return;
 
-    if (['/youtubei/v1/search', '/youtubei/v1/browse'].includes(url.pathname)) {
-      ObjectFilter(resp, filterRules.main, [], true);
+    const surface = getEndpointSurface(url, resp);
+    if (url.pathname === '/youtubei/v1/browse') {
+      ObjectFilter(resp, filterRules.main, [reportChannelMapping], true, surface);
+    }
+    else if (url.pathname === '/youtubei/v1/search') {
+      ObjectFilter(resp, filterRules.main, [], true, surface);
     }
     else if (url.pathname === '/youtubei/v1/next') {
       const postActions = [fixAutoplay];
       if (currentBlock) postActions.push(redirectToNext);
-      ObjectFilter(resp, mergedFilterRules, postActions, true);
+      ObjectFilter(resp, mergedFilterRules, postActions, true, surface);
     }
     else if (url.pathname === '/youtubei/v1/guide') {
-      ObjectFilter(resp, filterRules.guide, [], true);
+      ObjectFilter(resp, filterRules.guide, [], true, surface);
     }
     else if (url.pathname === '/youtubei/v1/player') {
-      ObjectFilter(resp, filterRules.ytPlayer, [playerMiscFilters]);
+      ObjectFilter(resp, filterRules.ytPlayer, [playerMiscFilters], false, surface);
+    }
+    else if (url.pathname.startsWith('/youtubei/v1/live_chat/get_live_chat')) {
+      ObjectFilter(resp, filterRules.comments, [], false, surface);
+    }
+    else if (url.pathname === '/youtubei/v1/live_chat/get_item_context_menu') {
+      addChatMenu(resp);
     }
   }
 
@@ -1156,6 +451,7 @@
     ytDataArr = Array.isArray(ytDataArr) ? ytDataArr : [ytDataArr];
 
     const pathname = url.pathname;
+    const surface = getPathSurface(pathname);
     for (let i = 0, len = ytDataArr.length; i < len; i++) {
       const obj = ytDataArr[i];
       
@@ -1164,11 +460,11 @@
           const player_resp = getObjectByPath(obj.player, 'args.player_response');
           obj.player.args.raw_player_response = JSON.parse(player_resp);
         } catch (e) { }
-        ObjectFilter(obj.player, filterRules.ytPlayer, [playerMiscFilters]);
+        ObjectFilter(obj.player, filterRules.ytPlayer, [playerMiscFilters], false, surface);
       }
 
       if (has.call(obj, 'playerResponse')) {
-        ObjectFilter(obj.playerResponse, filterRules.ytPlayer);
+        ObjectFilter(obj.playerResponse, filterRules.ytPlayer, [], false, surface);
       }
 
       if (has.call(obj, 'response') || has.call(obj, 'data')) {
@@ -1188,7 +484,7 @@
           default:
             rules = filterRules.main;
         }
-        ObjectFilter(obj.response || obj.data, rules, postActions, true);
+        ObjectFilter(obj.response || obj.data, rules, postActions, true, surface);
       }
     }
   }
@@ -1218,6 +514,23 @@
     data.filterData.channelId.push(/^.+\/shorts$/);
   }
 
+  // Channel pages tell which channel ID their handle and vanity URLs belong to, the background
+  // script resolves channel URLs pasted into the channel ID list with that
+  function reportChannelMapping(pageUrl = undefined) {
+    const metadata = getObjectByPath(this?.object, 'metadata.channelMetadataRenderer');
+    if (typeof metadata?.externalId !== 'string') return;
+    const urls = [metadata.vanityChannelUrl, pageUrl]
+      .concat(Array.isArray(metadata.ownerUrls) ? metadata.ownerUrls : [])
+      .filter(url => typeof url === 'string');
+    if (urls.length > 0) postMessage('channelMapping', { id: metadata.externalId, urls });
+  }
+
+  // the URL only belongs to the data on page load, later responses may arrive before navigating
+  function reportPageChannelMapping() {
+    const pathname = document.location.pathname;
+    reportChannelMapping.call(this, channelPagePattern.test(pathname) ? pathname : undefined);
+  }
+
   function fixAutoplay() {
     if (!this?.object?.playerOverlays) return;
     if (isMobileInterface) return fixAutoPlayMobile.call(this);
@@ -1530,12 +843,14 @@
 
     const searchIn = mergedFilterRules['lockupViewModel'];
     const channelId = getFlattenByPath(renderer, searchIn.channelId);
+    const channelHandle = parseHandle(getFlattenByPath(renderer, searchIn.channelHandle));
     const channelName = getFlattenByPath(renderer, searchIn.channelName);
     const videoId = getFlattenByPath(renderer, searchIn.videoId);
     const videoName = getFlattenByPath(renderer, searchIn.title);
 
     const metadataBlock = { metadata: { 
       channelId, 
+      channelHandle,
       channelName, 
       videoId, 
       videoName, 
@@ -1579,11 +894,13 @@
     return { ...result, attr };
   }
 
-  function injectBlockMenuItems(items, hasChannel, hasVideo, isLockupViewModel, currentObj, storageData) {
+  function injectBlockMenuItems(
+    items, hasChannel, hasVideo, isLockupViewModel, currentObj, attr, storageData,
+  ) {
     if (isLockupViewModel) {
       return injectLockupViewModelButtons(items, hasChannel, hasVideo, currentObj,  storageData);
     } else {
-      return injectStandardMenuButtons(items, hasChannel, hasVideo, storageData);
+      return injectStandardMenuButtons(items, hasChannel, hasVideo, currentObj, attr, storageData);
     }
   }
 
@@ -1595,9 +912,14 @@
 
     const blockChannelItem = createLockupButtonItem('Block Channel', cleanChannelContext);
     const blockVideoItem = createLockupButtonItem('Block Video', cleanVideoContext);
+    const blockKeywordItem = createLockupButtonItem('Block Keyword', createKeywordContext(items));
 
     if (hasChannel) items.push(blockChannelItem);
-    if (hasVideo) items.push(blockVideoItem);
+    if (hasChannel && getHandle(currentObj, 'lockupViewModel') !== undefined) {
+      const context = createCleanContext(items, storageData, true, currentObj);
+      items.push(createLockupButtonItem('Block Handle', context));
+    }
+    if (hasVideo) items.push(blockVideoItem, blockKeywordItem);
 
     return true;
   }
@@ -1660,6 +982,33 @@
     return cleanContext;
   }
 
+  // The keyword picker decides what gets hidden, the item only closes the menu
+  function createKeywordContext(items) {
+    const baseContext = items[0]?.listItemViewModel?.rendererContext;
+    if (!baseContext) return null;
+
+    const context = deepClone(baseContext);
+    if (context.commandContext?.onTap) {
+      context.commandContext.onTap.innertubeCommand = {
+        "clickTrackingParams": "",
+        "commandMetadata": {
+          "webCommandMetadata": {
+            "sendPost": false,
+            "apiUrl": ""
+          }
+        },
+        "feedbackEndpoint": {
+          "feedbackToken": "",
+          "uiActions": {
+            "hideEnclosingContainer": false
+          },
+          "actions": []
+        }
+      };
+    }
+    return context;
+  }
+
   function createLockupButtonItem(title, rendererContext) {
     const item = {
       listItemViewModel: {
@@ -1674,9 +1023,10 @@
     return item;
   }
 
-  function injectStandardMenuButtons(items, hasChannel, hasVideo, storageData) {
+  function injectStandardMenuButtons(items, hasChannel, hasVideo, currentObj, attr, storageData) {
     const blockChannelItem = createStandardBlockItem('Block Channel');
     const blockVideoItem = createStandardBlockItem('Block Video');
+    const blockKeywordItem = createStandardBlockItem('Block Keyword');
 
     if (storageData.options.block_feedback) {
       for (const item of items) {
@@ -1693,11 +1043,20 @@
     }
 
     if (hasChannel) items.push(blockChannelItem);
-    if (hasVideo) items.push(blockVideoItem);
+    if (hasChannel && getHandle(currentObj, attr) !== undefined) {
+      items.push(createStandardBlockItem('Block Handle'));
+    }
+    if (hasVideo) items.push(blockVideoItem, blockKeywordItem);
 
     return false;
   }
 
+  function getHandle(renderer, attr) {
+    const rule = mergedFilterRules[attr];
+    const path = rule?.properties ? rule.properties.channelHandle : rule?.channelHandle;
+    return parseHandle(getFlattenByPath(renderer, path));
+  }
+
   function createStandardBlockItem(text) {
     return {
       menuServiceItemRenderer: {
@@ -1725,13 +1084,114 @@
     return clone;
   }
 
+  // Modern comments keep their author in one entity and their menu in another, the comment
+  // view model links the two. The author is looked up once "Block user" is clicked.
+  const MAX_TRACKED_COMMENTS = 5000;
+  const commentAuthors = new Map();
+  const commentSurfaces = new Map();
+  // the live chat message whose menu was opened last, its menu is fetched separately
+  let lastChatMessage;
+
+  function rememberComment(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > MAX_TRACKED_COMMENTS) map.delete(map.keys().next().value);
+  }
+
+  function createBlockUserItem(data) {
+    const item = createStandardBlockItem('Block user');
+    Object.assign(item.menuServiceItemRenderer, { _btMenuAction: 'block_user' }, data);
+    return item;
+  }
+
+  function hasBlockUserItem(items) {
+    return items.some(item => item?.menuServiceItemRenderer?._btMenuAction === 'block_user');
+  }
+
+  function addCommentMenus(obj) {
+    const viewModel = obj.commentViewModel;
+    if (viewModel?.commentId && viewModel.commentSurfaceKey) {
+      rememberComment(commentSurfaces, viewModel.commentSurfaceKey, viewModel.commentId);
+    }
+
+    const comment = obj.commentEntityPayload;
+    if (comment?.author?.channelId && comment.properties?.commentId) {
+      rememberComment(commentAuthors, comment.properties.commentId, {
+        id: comment.author.channelId,
+        text: comment.author.displayName,
+      });
+    }
+
+    const surface = obj.commentSurfaceEntityPayload;
+    if (!surface) return;
+    const itemsPath = 'menuCommand.innertubeCommand.menuEndpoint.menu.menuRenderer.items';
+    const items = getObjectByPath(surface, itemsPath);
+    if (!Array.isArray(items) || hasBlockUserItem(items)) return;
+    items.push(createBlockUserItem({ _btSurfaceKey: surface.key }));
+  }
+
+  function addChatMenu(resp) {
+    const itemsPath = 'liveChatItemContextMenuSupportedRenderers.menuRenderer.items';
+    const items = getObjectByPath(resp, itemsPath);
+    const message = lastChatMessage?.data;
+    if (!Array.isArray(items) || !message?.authorExternalChannelId) return;
+    if (hasBlockUserItem(items)) return;
+    const text = message.authorName ? flattenRuns(message.authorName) : '';
+    items.push(createBlockUserItem({
+      _btOriginalData: { id: message.authorExternalChannelId, text },
+    }));
+  }
+
+  function commentAuthor(item) {
+    if (item._btOriginalData) return item._btOriginalData;
+    return commentAuthors.get(commentSurfaces.get(item._btSurfaceKey));
+  }
+
+  // Hides what the user already posted on the page, returns a function showing it again
+  function hideUserContent(channelId) {
+    const hidden = [];
+    const hideIf = (selector, getChannelId) => {
+      document.querySelectorAll(selector).forEach((el) => {
+        if (el.style.display === 'none' || getChannelId(el.data) !== channelId) return;
+        el.style.display = 'none';
+        hidden.push(el);
+      });
+    };
+    const authorOf = commentId => commentAuthors.get(commentId)?.id;
+
+    hideIf(
+      'ytd-comment-thread-renderer',
+      data => authorOf(data?.commentViewModel?.commentViewModel?.commentId),
+    );
+    hideIf('ytd-comment-view-model', data => authorOf(data?.commentId));
+    hideIf(
+      'ytd-comment-renderer',
+      data => getObjectByPath(data, 'authorEndpoint.browseEndpoint.browseId'),
+    );
+    hideIf('yt-live-chat-text-message-renderer', data => data?.authorExternalChannelId);
+
+    return () => hidden.forEach((el) => {
+      el.style.display = '';
+    });
+  }
+
+  function blockUser(item) {
+    const author = commentAuthor(item);
+    if (!author?.id) return;
+    contextBlock('channelId', author, hideUserContent(author.id), 'User');
+  }
+
   function addContextMenus(obj) {
+    addCommentMenus(obj);
+
     const extracted = findAndExtractMenuItems(obj);
     if (!extracted) return;
 
     const { items, hasChannel, hasVideo, isLockupViewModel, attr } = extracted;
 
-    injectBlockMenuItems(items, hasChannel, hasVideo, isLockupViewModel, obj[attr], storageData);
+    injectBlockMenuItems(
+      items, hasChannel, hasVideo, isLockupViewModel, obj[attr], attr, storageData,
+    );
 
     // Attach metadata only if needed
     if (hasChannel || hasVideo) {
@@ -1786,7 +1246,7 @@
       defineProperty('ytInitialPlayerResponse', undefined, (v) => ObjectFilter(v, filterRules.ytPlayer));
     }
 
-    const postActions = [fixAutoplay];
+    const postActions = [fixAutoplay, reportPageChannelMapping];
     if (typeof window.ytInitialData === 'object' && window.ytInitialData !== null) {
       ObjectFilter(window.ytInitialData, mergedFilterRules, (window.ytInitialData.contents && currentBlock) ? postActions.concat(redirectToNext) : postActions, true);
     } else {
@@ -1812,8 +1272,10 @@
 
     const shouldStartHook = (storageData === undefined);
     storageData = data;
+    filter.setStorageData(data);
 
     // Enable JS filtering only if function has something in it
+    let jsFilter;
     if (storageData.options.enable_javascript && storageData.filterData.javascript) {
       try {
         try {
@@ -1829,23 +1291,63 @@
         if (!(jsFilter instanceof Function)) {
           throw Error("Function not found");
         }
-        jsFilterEnabled = storageData.options.enable_javascript;
       } catch (e) {
         console.error("Custom function syntax error", e);
-        jsFilterEnabled = false;
+        jsFilter = undefined;
       }
-    } else {
-      jsFilterEnabled = false;
     }
+    filter.setJsFilter(jsFilter);
 
     if (shouldStartHook && !window.btDispatched) {
       startHook();
     }
   }
 
-  function openToast(msg, duration) {
+  // Context menu blocks can be undone from their toast for a while
+  const UNDO_TOAST_DURATION = 8000;
+  let contextBlockCount = 0;
+  let toastAction;
+  const contextBlockNames = {
+    videoId: 'Video', channelId: 'Channel', title: 'Keyword', channelHandle: 'Handle',
+  };
+
+  // Adds the block through the content script and offers to undo it, restore puts back what
+  // the page changed. The token lets the content script find the entries it added.
+  function contextBlock(type, info, restore, name = contextBlockNames[type]) {
+    const token = `${Date.now()}-${++contextBlockCount}`;
+    postMessage('contextBlockData', { type, info, token });
+    openToast(`${name} blocked`, UNDO_TOAST_DURATION, {
+      label: 'Undo',
+      onClick: () => {
+        postMessage('contextUndo', token);
+        if (restore) restore();
+      },
+    });
+  }
+
+  // action is an optional {label, onClick} button
+  function openToast(msg, duration, action = undefined) {
     const ytdApp = document.getElementsByTagName('ytd-app')[0];
-    if (ytdApp === undefined) return;
+    if (ytdApp === undefined) {
+      if (action !== undefined) openPageToast(msg, duration, action);
+      return;
+    }
+    const notification = {
+      responseText: {
+        runs: [{
+          text: msg
+        }]
+      }
+    };
+    if (action !== undefined) {
+      notification.actionButton = {
+        buttonRenderer: {
+          style: 'STYLE_BLUE_TEXT',
+          size: 'SIZE_DEFAULT',
+          text: { runs: [{ text: action.label }] },
+        }
+      };
+    }
     const ytEvent = new CustomEvent('yt-action', {
       bubbles: true,
       cancelable: false,
@@ -1857,13 +1359,7 @@
             openPopupAction: {
               durationHintMs: duration,
               popup: {
-                notificationActionRenderer: {
-                  responseText: {
-                    runs: [{
-                      text: msg
-                    }]
-                  }
-                }
+                notificationActionRenderer: notification
               },
               popupType: 'TOAST'
             }
@@ -1876,6 +1372,143 @@
       }
     });
     ytdApp.dispatchEvent(ytEvent);
+    if (action !== undefined) setTimeout(() => bindToastAction(action), 0);
+  }
+
+  // The toast button has no command of ours, its click is handled here. YouTube reuses the
+  // toast, so the handler of an earlier toast is dropped first.
+  function bindToastAction(action) {
+    const button = document.querySelector('yt-notification-action-renderer #action-button');
+    if (!button) return;
+    if (toastAction) toastAction.button.removeEventListener('click', toastAction.listener);
+    const listener = () => {
+      button.removeEventListener('click', listener);
+      toastAction = undefined;
+      action.onClick();
+    };
+    toastAction = { button, listener };
+    button.addEventListener('click', listener);
+  }
+
+  // Words of a title that can be blocked, without the punctuation around them
+  function titleWords(title) {
+    const words = [];
+    const wordPattern = /\S+/g;
+    let match;
+    while ((match = wordPattern.exec(title)) !== null) {
+      const word = match[0].replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+      if (word === '') continue;
+      const start = match.index + match[0].indexOf(word);
+      words.push({ word, start, end: start + word.length });
+    }
+    return words;
+  }
+
+  // Picked words are blocked on their own, or as the phrase running from the first to the last
+  function pickedKeywords(title, words, picked, asPhrase) {
+    const chosen = words.filter((_, i) => picked.has(i));
+    if (chosen.length === 0) return [];
+    if (asPhrase) return [title.slice(chosen[0].start, chosen[chosen.length - 1].end)];
+    return [...new Set(chosen.map(w => w.word))];
+  }
+
+  // Lets the user choose which words of a title to block, onPick gets the entries
+  function openKeywordPicker(title, onPick) {
+    const words = titleWords(title);
+    if (words.length === 0) return;
+    const picked = new Set();
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:9999;display:flex;align-items:center;' +
+      'justify-content:center;background:rgba(0,0,0,.5)';
+    const dialog = document.createElement('div');
+    dialog.style.cssText = 'max-width:480px;padding:16px;border-radius:12px;font-size:14px;' +
+      'background:var(--yt-spec-base-background,#fff);color:var(--yt-spec-text-primary,#0f0f0f)';
+    const heading = document.createElement('div');
+    heading.textContent = 'Block videos with these words in the title';
+    heading.style.cssText = 'font-weight:500;margin-bottom:12px';
+
+    const wordList = document.createElement('div');
+    wordList.style.cssText = 'display:flex;flex-wrap:wrap;gap:6px';
+    const phraseLabel = document.createElement('label');
+    phraseLabel.style.cssText = 'display:block;margin-top:12px';
+    const phrase = document.createElement('input');
+    phrase.type = 'checkbox';
+    phraseLabel.append(phrase, ' Match as one phrase');
+    const preview = document.createElement('div');
+    preview.style.cssText = 'min-height:1.4em;margin-top:8px;opacity:.7';
+
+    const update = () => {
+      const keywords = pickedKeywords(title, words, picked, phrase.checked);
+      preview.textContent = keywords.map(k => `"${k}"`).join(', ');
+      blockButton.disabled = keywords.length === 0;
+    };
+    const close = () => {
+      overlay.remove();
+      document.removeEventListener('keydown', onKey, true);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') close();
+    };
+
+    words.forEach(({ word }, i) => {
+      const button = document.createElement('button');
+      button.textContent = word;
+      button.style.cssText = 'padding:4px 10px;border-radius:8px;border:1px solid currentColor;' +
+        'cursor:pointer;background:none;color:inherit;font:inherit';
+      button.addEventListener('click', () => {
+        if (picked.has(i)) picked.delete(i);
+        else picked.add(i);
+        button.style.background = picked.has(i) ? 'rgba(62,166,255,.3)' : 'none';
+        update();
+      });
+      wordList.append(button);
+    });
+    phrase.addEventListener('change', update);
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display:flex;justify-content:flex-end;gap:8px;margin-top:12px';
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = 'Cancel';
+    cancelButton.addEventListener('click', close);
+    const blockButton = document.createElement('button');
+    blockButton.textContent = 'Block';
+    blockButton.addEventListener('click', () => {
+      const keywords = pickedKeywords(title, words, picked, phrase.checked);
+      if (keywords.length === 0) return;
+      close();
+      onPick(keywords);
+    });
+    buttons.append(cancelButton, blockButton);
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+    document.addEventListener('keydown', onKey, true);
+    dialog.append(heading, wordList, phraseLabel, preview, buttons);
+    overlay.append(dialog);
+    document.body.append(overlay);
+    update();
+  }
+
+  // The mobile site has no toast YouTube can be asked to open
+  function openPageToast(msg, duration, action) {
+    const toast = document.createElement('div');
+    toast.style.cssText = 'position:fixed;left:50%;bottom:16px;transform:translateX(-50%);' +
+      'z-index:9999;display:flex;gap:16px;align-items:center;padding:12px 16px;border-radius:8px;' +
+      'background:#212121;color:#fff;font-size:14px';
+    toast.textContent = msg;
+    const button = document.createElement('button');
+    button.textContent = action.label;
+    button.style.cssText = 'background:none;border:none;color:#3ea6ff;font-size:14px;' +
+      'font-weight:500';
+    button.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.append(button);
+    document.body.append(toast);
+    setTimeout(() => toast.remove(), duration);
   }
 
   function menuOnTapMobile(event) {
@@ -1906,11 +1539,12 @@
         return;
     }
 
-    postMessage('contextBlockData', { type, info: data._btOriginalData });
+    let restore;
     if (data._btOriginalAttr === 'slimVideoMetadataSectionRenderer') {
       document.getElementById('movie_player').stopVideo();
-      alert( (type === 'videoId' ? 'Video' : 'Channel') + ' Blocked');
+      restore = () => document.getElementById('movie_player').playVideo();
     }
+    contextBlock(type, data._btOriginalData, restore);
     if (data._btOriginalAttr === 'commentRenderer') {
       let comments = document.querySelector('ytm-section-list-renderer')
       storageData.filterData.channelId.push(RegExp('^' + data._btOriginalData.id + '$'));
@@ -1935,7 +1569,7 @@
   }
 
   function getBlockData(parentDom, parentData, isDataFromRightHandSide, menuAction) {
-    let channelData, videoData;
+    let channelData, handleData, videoData;
     let removeParent = true;
     let stopPlayer = false;
 
@@ -1969,6 +1603,10 @@
         id: parentData.blockTube?.metadata?.channelId,
         text: parentData.blockTube?.metadata?.channelName,
       };
+      handleData = {
+        id: parentData.blockTube?.metadata?.channelHandle,
+        text: parentData.blockTube?.metadata?.channelName,
+      };
 
       videoData = {
         id: parentData.blockTube?.metadata?.videoId,
@@ -1985,6 +1623,10 @@
         id: getFlattenByPath(parentData, searchIn.channelId),
         text: getFlattenByPath(parentData, searchIn.channelName),
       };
+      handleData = {
+        id: parseHandle(getFlattenByPath(parentData, searchIn.channelHandle)),
+        text: channelData.text,
+      };
 
       videoData = {
         id: getFlattenByPath(parentData, searchIn.videoId),
@@ -2000,6 +1642,12 @@
       case 'Block Video':
         result = { type: 'videoId', data: videoData };
         break;
+      case 'Block Keyword':
+        result = { type: 'title', data: videoData };
+        break;
+      case 'Block Handle':
+        result = { type: 'channelHandle', data: handleData };
+        break;
       default:
         return null;
     }
@@ -2062,33 +1710,57 @@
     return { parentDom, parentData };
   }
 
+  // Returns a function putting the component back, for undo
   function removeParentHelper(isDataFromRightHandSide, parentDom) {
+    let removed;
     if (['YTD-BACKSTAGE-POST-RENDERER', 'YTD-POST-RENDERER'].includes(parentDom.tagName)) {
-      parentDom.parentNode.remove();
+      removed = parentDom.parentNode;
     } else if (['YTD-PLAYLIST-PANEL-VIDEO-RENDERER', 'YTD-MOVIE-RENDERER'].includes(parentDom.tagName)) {
-      parentDom.remove();
+      removed = parentDom;
     } else if ('YTD-COMMENT-RENDERER' === parentDom.tagName) {
       if (parentDom.parentNode.tagName === 'YTD-COMMENT-THREAD-RENDERER') {
-        parentDom.parentNode.remove();
+        removed = parentDom.parentNode;
       } else {
-        parentDom.remove();
+        removed = parentDom;
       }
     } else {
+      const dismissedRenderer = parentDom.dismissedRenderer;
       parentDom.dismissedRenderer = {
         notificationMultiActionRenderer: {
           responseText: {simpleText: 'Blocked'},
         }
       };
       parentDom.setAttribute('is-dismissed', '');
+      return () => {
+        parentDom.dismissedRenderer = dismissedRenderer;
+        parentDom.removeAttribute('is-dismissed');
+      };
     }
+
+    const { parentNode, nextSibling } = removed;
+    removed.remove();
+    return () => {
+      if (!parentNode || !parentNode.isConnected) return;
+      const before = nextSibling && nextSibling.parentNode === parentNode ? nextSibling : null;
+      parentNode.insertBefore(removed, before);
+    };
   }
 
   function menuOnTap(event) {
     if (storageData === undefined) return;
 
+    if (this.data?._btMenuAction === 'block_user') {
+      if (window.btReloadRequired) {
+        window.btExports.openToast("BlockTube was updated, this tab needs to be reloaded to use this function", 5000);
+        return;
+      }
+      blockUser(this.data);
+      return;
+    }
+
     const { isDataFromRightHandSide, menuAction } = getActionMenuData(this);
 
-    if (!['Block Channel', 'Block Video'].includes(menuAction)) {
+    if (!['Block Channel', 'Block Video', 'Block Keyword', 'Block Handle'].includes(menuAction)) {
       event.preventDefault();
       return;
     }
@@ -2107,14 +1779,26 @@
     if (!blockData) return;
     const {type, data, removeParent, stopPlayer} = blockData;
 
-    // Notify system what data should be added to the block list
-    postMessage('contextBlockData', { type, info: data });
+    const block = (info) => {
+      let restore;
+      if (removeParent) {
+        // Remove correct component based on parentDom
+        restore = removeParentHelper(isDataFromRightHandSide, parentDom);
+      } else if (stopPlayer) {
+        document.getElementById('movie_player').stopVideo();
+        restore = () => document.getElementById('movie_player').playVideo();
+      }
 
-    if (removeParent) {
-      // Remove correct component based on parentDom
-      removeParentHelper(isDataFromRightHandSide, parentDom)
-    } else if (stopPlayer) {
-      document.getElementById('movie_player').stopVideo();
+      // Notify system what data should be added to the block list
+      contextBlock(type, info, restore);
+    };
+
+    if (type === 'title') {
+      if (data.text) {
+        openKeywordPicker(data.text, keywords => block({ id: keywords, text: data.text }));
+      }
+    } else {
+      block(data);
     }
 
     if (this.data?.serviceEndpoint) {
@@ -2128,6 +1812,27 @@
 
   const isMobileInterface = document.location.hostname.startsWith('m.');
 
+  // filter rules name the custom function that acts on the page when they block something
+  Object.assign(filter.hooks.customFuncs, {
+    blockPlaylistVid,
+    markAutoplay,
+    redirectToIndex,
+    redirectToNext,
+    redirectToNextMobile,
+    disableEmbedPlayer,
+    disablePlayer,
+  });
+  filter.hooks.addContextMenus = isMobileInterface ? addContextMenusMobile : addContextMenus;
+  filter.hooks.scheduleReports = scheduleReports;
+
+  // remember which chat message a context menu is opened for
+  if (document.location.pathname.startsWith('/live_chat')) {
+    document.addEventListener('click', (event) => {
+      const message = event.target.closest?.('yt-live-chat-text-message-renderer');
+      if (message) lastChatMessage = message;
+    }, true);
+  }
+
   // listen for messages from content script
   window.addEventListener('message', (event) => {
     if (event.source !== window) return;
@@ -2152,29 +1857,29 @@
     fetchFilter,
     openToast,
     menuOnTap,
-    menuOnTapMobile
+    menuOnTapMobile,
   }
 
   // Export for testing (Node.js/Jest environment)
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+      // ObjectFilter, the filter rules and their helpers
+      ...filter,
       // Utility functions
-      getObjectByPath,
-      getFlattenByPath,
-      flattenRuns,
-      parseTime,
-      parseViewCount,
       deepClone,
-      transformToRegExp,
       postMessage,
-      // ObjectFilter class
-      ObjectFilter,
-      // Filter rules and constants
-      filterRules,
-      mergedFilterRules,
-      regexProps,
-      regexPropsSet,
-      deleteAllowed,
+      sendReports,
+      contextBlock,
+      removeParentHelper,
+      titleWords,
+      pickedKeywords,
+      addCommentMenus,
+      addChatMenu,
+      createBlockUserItem,
+      blockUser,
+      fetchFilter,
+      openKeywordPicker,
+      // Constants
       contextMenuObjects,
       contextMenuObjectsList,
       // Functions for testing
@@ -2182,9 +1887,10 @@
       blockTrending,
       blockShorts,
       // Test helpers
-      _setStorageData: (data) => { storageData = data; },
+      _setStorageData: (data) => { storageData = data; filter.setStorageData(data); },
       _getStorageData: () => storageData,
-      _setJsFilter: (fn) => { jsFilter = fn; jsFilterEnabled = !!fn; },
+      _setLastChatMessage: (el) => { lastChatMessage = el; },
+      _setJsFilter: filter.setJsFilter,
     };
   }
 }());
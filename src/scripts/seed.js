@@ -55,7 +55,9 @@
     '/youtubei/v1/guide',
     '/youtubei/v1/browse',
     '/youtubei/v1/next',
-    '/youtubei/v1/player'
+    '/youtubei/v1/player',
+    '/youtubei/v1/live_chat/get_live_chat',
+    '/youtubei/v1/live_chat/get_item_context_menu'
   ];
 
   const hooks = {
@@ -1,12 +1,16 @@
 'use strict';
 
+// the "$expires=" suffix is matched on its own, so it is left out of the other tokens
 CodeMirror.defineSimpleMode("blocktube", {
   start: [
     { regex: /\/\/.*/, token: "comment", sol: true },
+    { regex: /(?:@@)?\[\s*!?[a-z]+(?:\s*,\s*!?[a-z]+)*\s*\]/, token: "meta", sol: true },
+    { regex: /@@.*?(?=\s+\$expires=\S+$|$)/, token: "atom", sol: true },
     {
-      regex: /\/.+\/(.*)/,
+      regex: /\/.+\/(.*?)(?=\s+\$expires=\S+$|$)/,
       token: "keyword", sol: true
     },
+    { regex: /\s+\$expires=\S+$/, token: "string-2" },
   ],
   comment: [],
   meta: {
@@ -14,3 +18,133 @@ CodeMirror.defineSimpleMode("blocktube", {
     lineComment: "//"
   }
 });
+
+CodeMirror.defineSimpleMode("blocktube-rules", {
+  start: [
+    { regex: /\/\/.*/, token: "comment", sol: true },
+    { regex: /(?:AND|OR|NOT)\b/i, token: "keyword" },
+    {
+      regex: /(?:title|description|channelName|channelId|channel|duration|views|badge):/,
+      token: "def",
+    },
+    { regex: /"[^"]*"/, token: "string" },
+    { regex: /\/(?:[^\\\/]|\\.)+\/[a-z]*/, token: "string-2" },
+    { regex: /[()]/, token: "bracket" },
+    { regex: /\s+\$expires=\S+$/, token: "string-2" },
+  ],
+  comment: [],
+  meta: {
+    dontIndentStates: ["comment"],
+    lineComment: "//"
+  }
+});
+
+// Problems in the entries of a filter list editor as {from, to, message, severity}.
+// list is the filter list the editor holds, channel and video IDs are checked by their format
+// and compound rules are parsed like the background script does.
+function lintEntries(text, list) {
+  const idFormats = {
+    channelId: [
+      /^UC[\w-]{22}$/,
+      "Channel IDs are UC followed by 22 letters, digits, - or _, or a channel URL",
+    ],
+    videoId: [/^[\w-]{11}$/, "Video IDs are 11 letters, digits, - or _"],
+    channelHandle: [
+      /^(?:https?:\/\/\S+\/)?@?[^\s@/?#]+$/,
+      "Handles look like @name or a youtube.com/@name channel URL",
+    ],
+  };
+  const regexFlags = /^[dgimsuvy]*$/;
+  const scopeNames = ["home", "search", "watch", "subscriptions", "channel", "history", "playlist"];
+  const found = [];
+  const seen = new Map();
+
+  text.split("\n").forEach((raw, line) => {
+    const trimmed = raw.trim();
+    if (trimmed === "" || trimmed.startsWith("//")) return;
+    const start = raw.indexOf(trimmed);
+    const problem = (from, to, message, severity = "error") => {
+      found.push({
+        from: CodeMirror.Pos(line, start + from),
+        to: CodeMirror.Pos(line, start + to),
+        message,
+        severity,
+      });
+    };
+
+    if (seen.has(trimmed)) {
+      problem(0, trimmed.length, `Duplicate of line ${seen.get(trimmed) + 1}`, "warning");
+      return;
+    }
+    seen.set(trimmed, line);
+
+    let entry = trimmed;
+    let offset = 0;
+    const expiry = /\s+\$expires=(\S*)$/.exec(entry);
+    if (expiry !== null) {
+      if (!/^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2})?$/.test(expiry[1])) {
+        const message = "Expiry dates look like 2025-01-31 or 2025-01-31T18:30";
+        problem(expiry.index, entry.length, message, "warning");
+      }
+      entry = entry.slice(0, expiry.index);
+    }
+    if (entry.startsWith("@@") && list !== "compoundRules") {
+      entry = entry.slice(2);
+      offset = 2;
+    }
+    const scopes = /^(\s*\[\s*(!?[a-z]+(?:\s*,\s*!?[a-z]+)*)\s*\]\s*)(.+)$/.exec(entry);
+    const isScope = v => scopeNames.includes(v.trim().replace(/^!/, ""));
+    if (scopes !== null && scopes[2].split(",").every(isScope)) {
+      entry = scopes[3];
+      offset += scopes[1].length;
+    }
+    entry = entry.trim();
+    if (entry === "") {
+      problem(0, trimmed.length, "Nothing to match after the prefix");
+      return;
+    }
+
+    if (list === "compoundRules") {
+      try {
+        btCommon.compileRule(entry);
+      } catch (e) {
+        problem(offset, offset + entry.length, `Invalid rule: ${e.message}`);
+      }
+      return;
+    }
+
+    const id = idFormats[list];
+    if (id !== undefined) {
+      // the background script swaps channel URLs and handles for the ID once it is known
+      if (list === "channelId" && btCommon.channelRefPattern.test(entry)) {
+        const message = "Waiting for the channel ID, it is looked up in the background";
+        problem(offset, offset + entry.length, message, "info");
+      } else if (!id[0].test(entry)) {
+        problem(offset, offset + entry.length, id[1]);
+      }
+      return;
+    }
+
+    const regex = /^\/(.*)\/(.*)$/.exec(entry);
+    if (regex === null) return;
+    const flags = regex[2];
+    if (!regexFlags.test(flags)) {
+      const from = offset + entry.length - flags.length;
+      const unknown = flags.replace(/[dgimsuvy]/g, "");
+      problem(from, offset + entry.length, `Unknown regex flag "${unknown}"`);
+      return;
+    }
+    let re;
+    try {
+      re = new RegExp(regex[1], flags.replace("g", ""));
+    } catch (e) {
+      problem(offset, offset + entry.length, `Invalid regex: ${e.message}`);
+      return;
+    }
+    if (re.test("")) {
+      const message = "This regex matches empty text, so it matches everything";
+      problem(offset, offset + entry.length, message);
+    }
+  });
+  return found;
+}
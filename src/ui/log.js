@@ -0,0 +1,201 @@
+(function () {
+  const has = Object.prototype.hasOwnProperty;
+
+  const { listNames, contentTypeNames } = btPages;
+
+  let storageData;
+  let blockLog = [];
+
+  function loadData() {
+    chrome.storage.local.get(['storageData', 'blockLog'], (data) => {
+      storageData = data.storageData;
+      blockLog = Array.isArray(data.blockLog) ? data.blockLog : [];
+      detectColorScheme();
+      if (storageData && storageData.uiPass) {
+        $('login').setAttribute('style', '');
+      } else {
+        unlockPage();
+      }
+    });
+  }
+
+  function detectColorScheme() {
+    document.documentElement.setAttribute('data-theme', btPages.theme(storageData));
+  }
+
+  function unlockPage() {
+    $('login').setAttribute('style', 'display: none');
+    $('log').setAttribute('style', '');
+    showLog();
+  }
+
+  function showLog() {
+    const search = $('log_search').value.trim().toLowerCase();
+    const list = $('log_list').value;
+    const surface = $('log_surface').value;
+
+    // lists that appear in the log can be filtered on
+    const lists = new Set(blockLog.map(item => item.list));
+    Object.keys(listNames).forEach((name) => {
+      if (!lists.has(name) || $('log_list').querySelector(`option[value="${name}"]`)) return;
+      $('log_list').add(new Option(listNames[name], name));
+    });
+
+    const rows = $('log_rows');
+    rows.textContent = '';
+    for (let i = blockLog.length - 1; i >= 0; i--) {
+      const item = blockLog[i];
+      if (list && item.list !== list) continue;
+      if (surface && item.surface !== surface) continue;
+      if (search) {
+        const fields = [
+          item.title, item.comment, item.channelName, item.channelId, item.videoId, item.entry,
+        ];
+        const text = fields
+          .filter(v => v !== undefined).join('\n').toLowerCase();
+        if (!text.includes(search)) continue;
+      }
+      addRow(rows, item);
+    }
+    if (rows.rows.length === 0) {
+      rows.insertRow().insertCell().textContent = blockLog.length === 0
+        ? 'Nothing was blocked yet'
+        : 'No blocked items match';
+    }
+  }
+
+  function addRow(rows, item) {
+    const row = rows.insertRow();
+    row.insertCell().textContent = new Date(item.time).toLocaleString();
+
+    const what = row.insertCell();
+    const name = document.createElement('div');
+    if (item.videoId) {
+      const link = document.createElement('a');
+      link.href = `https://www.youtube.com/watch?v=${encodeURIComponent(item.videoId)}`;
+      link.target = '_blank';
+      link.textContent = item.title || item.videoId;
+      name.append(link);
+    } else {
+      name.textContent = item.title || item.comment || item.channelName || item.objectType;
+    }
+    const channel = document.createElement('small');
+    channel.textContent = [item.channelName, item.channelId].filter(v => v).join(' - ');
+    what.append(name, channel);
+
+    row.insertCell().textContent = item.surface || '-';
+
+    const rule = row.insertCell();
+    const listName = document.createElement('div');
+    listName.textContent = listNames[item.list] || item.list;
+    const entry = document.createElement('code');
+    entry.textContent = item.list === 'contentTypes'
+      ? (contentTypeNames[item.entry] || item.entry)
+      : (item.entry || '');
+    rule.append(listName, entry);
+
+    const actions = row.insertCell();
+    if (storageData === undefined) return;
+    if (isUserRule(item)) {
+      actions.append(button('Remove rule', () => removeRule(item)));
+    }
+    const exception = exceptionFor(item);
+    if (exception !== undefined) {
+      actions.append(button('Always allow', () => addException(exception)));
+    }
+  }
+
+  function button(label, onClick) {
+    const el = document.createElement('input');
+    el.type = 'button';
+    el.value = label;
+    el.addEventListener('click', onClick);
+    return el;
+  }
+
+  // only the user's own entries can be removed, not those of filter lists or policies
+  function isUserRule(item) {
+    if (!item.entry || item.list === 'contentTypes') return false;
+    const entries = storageData && storageData.filterData[item.list];
+    return Array.isArray(entries)
+      && entries.some(v => typeof v === 'string' && v.trim() === item.entry);
+  }
+
+  // an @@ entry for the video, or the channel for items without one, wins over every block
+  function exceptionFor(item) {
+    if (item.videoId) return { list: 'videoId', entry: `@@${item.videoId}` };
+    if (item.channelId) return { list: 'channelId', entry: `@@${item.channelId}` };
+    return undefined;
+  }
+
+  function removeRule(item) {
+    const entries = storageData.filterData[item.list];
+    storageData.filterData[item.list] = entries
+      .filter(v => typeof v !== 'string' || v.trim() !== item.entry);
+    saveData(`Removed "${item.entry}" from ${listNames[item.list]}`);
+  }
+
+  function addException(exception) {
+    const entries = storageData.filterData[exception.list] || [];
+    if (!entries.includes(exception.entry)) {
+      // keep the editor's trailing empty line last
+      const last = entries.length - 1;
+      const at = entries.length > 0 && entries[last] === '' ? last : entries.length;
+      entries.splice(at, 0, exception.entry);
+      storageData.filterData[exception.list] = entries;
+    }
+    saveData(`Added ${exception.entry} to ${listNames[exception.list]}`);
+  }
+
+  function saveData(status) {
+    chrome.storage.local.set({ storageData }, () => {
+      $('log_status').textContent = status;
+      showLog();
+    });
+  }
+
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  // !! Start
+  document.addEventListener('DOMContentLoaded', loadData);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (has.call(changes, 'storageData')) {
+      storageData = changes.storageData.newValue;
+    }
+    if (has.call(changes, 'blockLog')) {
+      blockLog = changes.blockLog.newValue || [];
+    }
+    const changed = has.call(changes, 'storageData') || has.call(changes, 'blockLog');
+    if (changed && $('log').style.display !== 'none') {
+      showLog();
+    }
+  });
+
+  $('login').addEventListener('submit', (evt) => {
+    evt.preventDefault();
+    if (storageData.uiPass === $('pass_login').value) {
+      unlockPage();
+    } else {
+      $('status_login').textContent = 'Incorrect Password';
+    }
+  });
+
+  $('log').addEventListener('submit', (evt) => {
+    evt.preventDefault();
+  });
+
+  $('log_search').addEventListener('input', showLog);
+  $('log_list').addEventListener('change', showLog);
+  $('log_surface').addEventListener('change', showLog);
+
+  $('log_clear').addEventListener('click', () => {
+    if (confirm('Clear the blocked items log?')) {
+      chrome.storage.local.set({ blockLog: [] });
+    }
+  });
+
+}());
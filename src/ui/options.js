@@ -9,33 +9,96 @@
 }`;
 
   const jsEditors = {};
+  const lintMarks = {};
   let isLoggedIn = false;
+  let syncEnabled = false;
+  let managed = {};
+  let subscriptions = [];
+  let ruleStats = {};
+  let profiles = {};
+  let activeProfile = 'Default';
   let storageData = {
     filterData: {
       javascript: defaultJSFunction,
       videoId: ['// Add your video ID filters below', ''],
       channelId: ['// Add your channel ID filters below', ''],
+      channelHandle: ['// Add your channel handle filters below, e.g. @example', ''],
       channelName: ['// Add your channel name filters below', ''],
       comment: ['// Add your comment filters below', ''],
       title: ['// Add your video title filters below', ''],
       description: ['// Add your video description filters below', ''],
+      tags: ['// Add your tag and hashtag filters below, e.g. minecraft or #minecraft', ''],
+      allowlist: ['// Add channel IDs or names to allow below', ''],
+      compoundRules: [
+        '// Add your compound rules below, e.g. channelId:UCxxxx AND title:reaction',
+        '',
+      ],
     },
     options: {},
     uiPass: '',
   };
+  // filters of a new profile
+  const defaultFilterData = JSON.stringify(storageData.filterData);
 
-  const textAreas = ['title', 'description', 'channelName', 'channelId', 'videoId', 'comment'];
+  const textAreas = ['title', 'description', 'tags', 'channelName', 'channelId', 'channelHandle',
+    'videoId', 'comment', 'allowlist', 'compoundRules'];
 
-  function detectColorScheme(){
-    let theme="light";
+  const UNUSED_RULE_AGE = 90 * 24 * 60 * 60 * 1000;
+  const scheduleDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const scheduleOptions = {
+    shorts: 'Block Shorts',
+    mixes: 'Block Mixes',
+    movies: 'Block Movies',
+    trending: 'Block Explore page',
+    allowlist_mode: 'Allowlist mode',
+  };
+  const scheduleLists = {
+    title: 'Extra video title entries',
+    channelId: 'Extra channel ID entries',
+  };
+  const { expiryPattern, timePattern } = btCommon;
+  const { listNames, contentTypeNames } = btPages;
+  // runs the unsaved filters in the rule tester
+  const testFilter = btFilter.createFilter();
+  // YouTube's own categories, the player names them in English whatever the UI language
+  const videoCategories = [
+    'Film & Animation', 'Autos & Vehicles', 'Music', 'Pets & Animals', 'Sports', 'Travel & Events',
+    'Gaming', 'People & Blogs', 'Comedy', 'Entertainment', 'News & Politics', 'Howto & Style',
+    'Education', 'Science & Technology', 'Nonprofits & Activism',
+  ];
+  const countFormatter = new Intl.NumberFormat(undefined, { notation: 'compact' });
 
-    if(storageData.uiTheme){
-      theme = storageData.uiTheme;
-    } else if(!window.matchMedia) {
-      theme = "light";
-    } else if(window.matchMedia("(prefers-color-scheme: dark)").matches) {
-      theme = "dark";
-    }
+  // Option key -> form element, used to lock options set by an enterprise policy
+  const optionInputs = {
+    trending: 'disable_trending',
+    shorts: 'disable_shorts',
+    movies: 'disable_movies',
+    mixes: 'disable_mixes',
+    live: 'disable_live',
+    upcoming: 'disable_upcoming',
+    premieres: 'disable_premieres',
+    members: 'disable_members',
+    paid: 'disable_paid',
+    paid_promotion: 'paid_promotion',
+    family_safe_only: 'family_safe_only',
+    age_restricted: 'age_restricted',
+    autoplay: 'autoplay',
+    suggestions_only: 'suggestions_only',
+    disable_db_normalize: 'disable_db_normalize',
+    disable_on_history: 'disable_on_history',
+    disable_you_there: 'disable_you_there',
+    block_feedback: 'block_feedback',
+    enable_javascript: 'enable_javascript',
+    allowlist_mode: 'allowlist_mode',
+    block_message: 'block_message',
+    vidLength_type: 'vidLength_type',
+    uploadAge_type: 'uploadAge_type',
+    percent_watched_hide: 'percent_watched_hide',
+    context_block_expiry: 'context_block_expiry',
+  };
+
+  function detectColorScheme(){
+    const theme = btPages.theme(storageData);
 
     if (!storageData.uiTheme) {
       storageData.uiTheme = theme;
@@ -54,12 +117,33 @@
   }
 
   function loadData() {
-    chrome.storage.local.get('storageData', (data) => {
-      if (Object.keys(data).length > 0) {
+    const keys = ['storageData', 'syncEnabled', 'syncStatus', 'subscriptions', 'ruleStats',
+      'profiles', 'activeProfile'];
+    chrome.storage.local.get(keys, (data) => {
+      if (data.storageData !== undefined) {
         storageData = data.storageData;
       }
+      syncEnabled = !!data.syncEnabled;
+      subscriptions = data.subscriptions || [];
+      ruleStats = data.ruleStats || {};
+      profiles = data.profiles || {};
+      activeProfile = data.activeProfile || 'Default';
+      showSyncStatus(data.syncStatus);
+      showSubscriptions();
+      showProfiles();
       detectColorScheme();
-      checkForLogin();
+      loadManaged(checkForLogin);
+    });
+  }
+
+  function loadManaged(callback) {
+    if (!chrome.storage.managed) {
+      callback();
+      return;
+    }
+    chrome.storage.managed.get(null, (data) => {
+      managed = chrome.runtime.lastError || !data ? {} : data;
+      callback();
     });
   }
 
@@ -70,37 +154,86 @@
     });
   }
 
-  function saveForm() {
+  // Read the form into data, shared by saving and the rule tester
+  function readForm(data) {
+    const userOptions = { ...data.options };
+    const userVidLength = data.filterData.vidLength;
+    const userUploadAge = data.filterData.uploadAge;
+    const userViewCount = data.filterData.viewCount;
+
     for (let i = 0, len = textAreas.length; i < len; i++) {
       const v = textAreas[i];
-      storageData.filterData[v] = multilineToArray(jsEditors[v].getValue());
+      data.filterData[v] = multilineToArray(jsEditors[v].getValue());
     }
 
     const vidLenMin = parseInt($('vidLength_0').value, 10);
     const vidLenMax = parseInt($('vidLength_1').value, 10);
 
-    storageData.filterData.vidLength   = [vidLenMin, vidLenMax];
-    storageData.filterData.javascript  = jsEditors['javascript'].getValue();
-
-    storageData.uiTheme = $('ui_theme').value;
-
-    storageData.uiPass = $('pass_save').value;
-    storageData.options.trending = $('disable_trending').checked;
-    storageData.options.shorts = $('disable_shorts').checked;
-    storageData.options.movies = $('disable_movies').checked;
-    storageData.options.mixes = $('disable_mixes').checked;
-    storageData.options.autoplay = $('autoplay').checked;
-    storageData.options.suggestions_only = $('suggestions_only').checked;
-    storageData.options.disable_db_normalize = $('disable_db_normalize').checked;
-    storageData.options.disable_on_history = $('disable_on_history').checked;
-    storageData.options.disable_you_there = $('disable_you_there').checked;
-    storageData.options.block_feedback = $('block_feedback').checked;
-    storageData.options.enable_javascript = $('enable_javascript').checked;
-    storageData.options.block_message = $('block_message').value;
-    storageData.options.vidLength_type = $('vidLength_type').value;
-    storageData.options.percent_watched_hide = parseInt($('percent_watched_hide').value, 10);
+    const range = id => [parseInt($(`${id}_0`).value, 10), parseInt($(`${id}_1`).value, 10)];
+
+    data.filterData.vidLength   = [vidLenMin, vidLenMax];
+    data.filterData.uploadAge   = range('uploadAge');
+    data.filterData.viewCount   = range('viewCount');
+    data.filterData.javascript  = jsEditors['javascript'].getValue();
+    data.schedules = readSchedules();
+
+    data.uiTheme = $('ui_theme').value;
+
+    data.uiPass = $('pass_save').value;
+    data.profileLock = $('profile_lock').checked;
+    data.options.trending = $('disable_trending').checked;
+    data.options.shorts = $('disable_shorts').checked;
+    data.options.movies = $('disable_movies').checked;
+    data.options.mixes = $('disable_mixes').checked;
+    data.options.live = $('disable_live').checked;
+    data.options.upcoming = $('disable_upcoming').checked;
+    data.options.premieres = $('disable_premieres').checked;
+    data.options.members = $('disable_members').checked;
+    data.options.paid = $('disable_paid').checked;
+    data.options.family_safe_only = $('family_safe_only').checked;
+    data.options.age_restricted = $('age_restricted').checked;
+    data.options.autoplay = $('autoplay').checked;
+    data.options.suggestions_only = $('suggestions_only').checked;
+    data.options.disable_db_normalize = $('disable_db_normalize').checked;
+    data.options.disable_on_history = $('disable_on_history').checked;
+    data.options.disable_you_there = $('disable_you_there').checked;
+    data.options.block_feedback = $('block_feedback').checked;
+    data.options.enable_javascript = $('enable_javascript').checked;
+    data.options.allowlist_mode = $('allowlist_mode').checked;
+    data.options.block_message = $('block_message').value;
+    data.options.vidLength_type = $('vidLength_type').value;
+    data.options.uploadAge_type = $('uploadAge_type').value;
+    data.options.paid_promotion = $('paid_promotion').value;
+    // categories locked by a policy are already in its list
+    data.filterData.category = Array.from($('categories').querySelectorAll('input'))
+      .filter(input => input.checked && !input.disabled)
+      .map(input => input.value);
+    data.options.percent_watched_hide = parseInt($('percent_watched_hide').value, 10);
+    data.options.context_block_expiry = parseInt($('context_block_expiry').value, 10);
+
+    // Locked inputs show the policy value, keep the user's own choice underneath
+    Object.keys(get('options', {}, managed)).forEach((k) => {
+      data.options[k] = userOptions[k];
+    });
+    if (get('filterData.vidLength', undefined, managed) !== undefined) {
+      data.filterData.vidLength = userVidLength;
+    }
+    if (get('filterData.uploadAge', undefined, managed) !== undefined) {
+      data.filterData.uploadAge = userUploadAge;
+    }
+    if (get('filterData.viewCount', undefined, managed) !== undefined) {
+      data.filterData.viewCount = userViewCount;
+    }
+  }
+
+  function saveForm() {
+    readForm(storageData);
 
     saveData('status_save');
+    if ($('sync_enabled').checked !== syncEnabled) {
+      syncEnabled = $('sync_enabled').checked;
+      chrome.storage.local.set({ syncEnabled });
+    }
     detectColorScheme();
     $('save_btn').classList.add('disabled-btn');
   }
@@ -142,12 +275,31 @@
     $('vidLength_1').value         = vidLength[1];
     $('vidLength_type').value      = get('options.vidLength_type', 'allow', obj);
 
+    const uploadAge = get('filterData.uploadAge', [NaN, NaN], obj);
+    $('uploadAge_0').value         = uploadAge[0];
+    $('uploadAge_1').value         = uploadAge[1];
+    $('uploadAge_type').value      = get('options.uploadAge_type', 'allow', obj);
+
+    const viewCount = get('filterData.viewCount', [NaN, NaN], obj);
+    $('viewCount_0').value         = viewCount[0];
+    $('viewCount_1').value         = viewCount[1];
+
     $('ui_theme').value            = get('uiTheme', 'light', obj);
     $('pass_save').value           = get('uiPass', '', obj);
+    $('profile_lock').checked      = get('profileLock', false, obj);
     $('disable_trending').checked  = get('options.trending', false, obj);
     $('disable_shorts').checked    = get('options.shorts', false, obj);
     $('disable_movies').checked    = get('options.movies', false, obj);
     $('disable_mixes').checked     = get('options.mixes', false, obj);
+    $('disable_live').checked      = get('options.live', false, obj);
+    $('disable_upcoming').checked  = get('options.upcoming', false, obj);
+    $('disable_premieres').checked = get('options.premieres', false, obj);
+    $('disable_members').checked   = get('options.members', false, obj);
+    $('disable_paid').checked      = get('options.paid', false, obj);
+    $('paid_promotion').value      = get('options.paid_promotion', '', obj);
+    $('family_safe_only').checked  = get('options.family_safe_only', false, obj);
+    $('age_restricted').checked    = get('options.age_restricted', false, obj);
+    showCategories(get('filterData.category', [], obj));
     $('autoplay').checked          = get('options.autoplay', false, obj);
     $('disable_db_normalize').checked = get('options.disable_db_normalize', false, obj);
     $('disable_on_history').checked = get('options.disable_on_history', false, obj);
@@ -155,13 +307,24 @@
     $('suggestions_only').checked  = get('options.suggestions_only', false, obj);
     $('block_feedback').checked    = get('options.block_feedback', false, obj);
     $('enable_javascript').checked = get('options.enable_javascript', false, obj);
+    $('allowlist_mode').checked    = get('options.allowlist_mode', false, obj);
     $('block_message').value       = get('options.block_message', '', obj);
+    $('context_block_expiry').value = get('options.context_block_expiry', 0, obj) || 0;
+    $('sync_enabled').checked      = syncEnabled;
     const percentWatched = get('options.percent_watched_hide', null, obj);
     $('percent_watched_hide').value = (percentWatched !== null && !isNaN(percentWatched)) ? percentWatched : '';
 
     const jsContent = get('filterData.javascript', defaultJSFunction, obj);
     jsEditors['javascript'].setValue(jsContent);
 
+    showSchedules(get('schedules', [], obj));
+
+    showManaged();
+    textAreas.forEach(showHits);
+    textAreas.forEach(showExpiry);
+    textAreas.forEach(showLint);
+    showStatistics();
+
     if ($('enable_javascript').checked) {
       $('advanced_tab').style.removeProperty("display");
     }
@@ -205,6 +368,641 @@
     return nextObj;
   }
 
+  function showCategories(selected) {
+    const container = $('categories');
+    if (container.childElementCount === 0) {
+      videoCategories.forEach((name, i) => {
+        const item = document.createElement('div');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = `category_${i}`;
+        input.value = name;
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.textContent = name;
+        item.append(input, label);
+        container.append(item);
+      });
+    }
+    const names = selected.map(v => String(v).toLowerCase());
+    container.querySelectorAll('input').forEach((input) => {
+      input.checked = names.includes(input.value.toLowerCase());
+    });
+  }
+
+  function showManaged() {
+    for (let i = 0, len = textAreas.length; i < len; i++) {
+      const v = textAreas[i];
+      const entries = get(`filterData.${v}`, [], managed);
+      let el = $(`${v}_managed`);
+      if (!Array.isArray(entries) || entries.length === 0) {
+        if (el) el.remove();
+        continue;
+      }
+      if (!el) {
+        el = document.createElement('div');
+        el.id = `${v}_managed`;
+        el.className = 'managed-entries';
+        jsEditors[v].getWrapperElement().before(el);
+      }
+      el.textContent = '';
+      const title = document.createElement('small');
+      title.textContent = 'Locked by your administrator:';
+      const list = document.createElement('pre');
+      list.textContent = entries.join('\n');
+      el.append(title, list);
+    }
+
+    const options = get('options', {}, managed);
+    Object.keys(optionInputs).forEach((k) => {
+      const input = $(optionInputs[k]);
+      const locked = has.call(options, k);
+      if (locked) {
+        if (input.type === 'checkbox') {
+          input.checked = !!options[k];
+        } else {
+          input.value = options[k];
+        }
+      }
+      input.disabled = locked;
+      input.title = locked ? 'Set by your administrator' : '';
+    });
+
+    const categories = get('filterData.category', [], managed).map(v => String(v).toLowerCase());
+    $('categories').querySelectorAll('input').forEach((input) => {
+      const locked = categories.includes(input.value.toLowerCase());
+      if (locked) input.checked = true;
+      input.disabled = locked;
+      input.title = locked ? 'Set by your administrator' : '';
+    });
+
+    ['vidLength', 'uploadAge', 'viewCount'].forEach((key) => {
+      const range = get(`filterData.${key}`, undefined, managed);
+      [`${key}_0`, `${key}_1`].forEach((id, i) => {
+        const input = $(id);
+        if (range !== undefined) input.value = range[i] ?? '';
+        input.disabled = range !== undefined;
+      });
+    });
+  }
+
+  function showSyncStatus(status) {
+    if (!status) {
+      $('sync_status').textContent = '';
+      return;
+    }
+    const when = new Date(status.updated).toLocaleString();
+    $('sync_status').textContent = status.error
+      ? `Sync failed: ${status.error} (${when})`
+      : `Last synced: ${when}`;
+  }
+
+  // same keys as the background script, exceptions are counted as "@@" followed by the trimmed
+  // pattern
+  function statsKey(line) {
+    return line.startsWith('@@') ? `@@${line.slice(2).trim()}` : line;
+  }
+
+  function editorRules(list, callback) {
+    jsEditors[list].eachLine((handle) => {
+      const line = handle.text.trim();
+      if (line === '' || line.startsWith('//')) return;
+      // entries may contain dots, so no get() here
+      const key = statsKey(line);
+      const records = ruleStats[list] || {};
+      callback(handle, key, has.call(records, key) ? records[key] : undefined);
+    });
+  }
+
+  function showHits(list) {
+    const cm = jsEditors[list];
+    cm.clearGutter('hit-gutter');
+    editorRules(list, (handle, key, record) => {
+      // rules are tracked once saved
+      if (record === undefined) return;
+      const marker = document.createElement('span');
+      marker.className = record.hits > 0 ? 'hit-count' : 'hit-count hit-count-none';
+      marker.textContent = countFormatter.format(record.hits);
+      marker.title = record.last
+        ? `${record.hits} hits, last on ${new Date(record.last).toLocaleString()}`
+        : 'No hits yet';
+      cm.setGutterMarker(handle, 'hit-gutter', marker);
+    });
+  }
+
+  // same format as the background script, "$expires=YYYY-MM-DD[THH:MM]" in local time
+  function parseExpiry(line) {
+    const parts = expiryPattern.exec(line);
+    if (parts === null) return undefined;
+    return new Date(+parts[1], parts[2] - 1, +parts[3], +(parts[4] || 0), +(parts[5] || 0));
+  }
+
+  function lint(list) {
+    return lintEntries(jsEditors[list].getValue(), list);
+  }
+
+  function showLint(list) {
+    const cm = jsEditors[list];
+    (lintMarks[list] || []).forEach(mark => mark.clear());
+    cm.clearGutter('lint-gutter');
+    const problems = lint(list);
+    lintMarks[list] = problems.map((problem) => {
+      const marker = document.createElement('span');
+      marker.className = `lint-marker lint-marker-${problem.severity}`;
+      marker.textContent = problem.severity === 'info' ? '…' : '!';
+      marker.title = problem.message;
+      cm.setGutterMarker(problem.from.line, 'lint-gutter', marker);
+      return cm.markText(problem.from, problem.to, {
+        className: `lint-${problem.severity}`,
+        title: problem.message,
+      });
+    });
+  }
+
+  // entries with errors are skipped by the background script, so saving them needs a confirmation
+  function confirmLintErrors() {
+    const errors = [];
+    textAreas.forEach((list) => {
+      lint(list).filter(v => v.severity === 'error').forEach((problem) => {
+        errors.push(`${listNames[list]}, line ${problem.from.line + 1}: ${problem.message}`);
+      });
+    });
+    // schedules with a time outside 00:00 to 23:59 never start
+    readSchedules().forEach((schedule) => {
+      ['start', 'end'].filter(k => !timePattern.test(schedule[k])).forEach((k) => {
+        errors.push(`Schedule "${schedule.name}": invalid ${k} time "${schedule[k]}"`);
+      });
+    });
+    if (errors.length === 0) return true;
+    const more = errors.length > 10 ? `\n...and ${errors.length - 10} more` : '';
+    const shown = errors.slice(0, 10).join('\n') + more;
+    return confirm(
+      `These entries have errors and will not block anything:\n\n${shown}\n\nSave anyway?`,
+    );
+  }
+
+  function showExpiry(list) {
+    const cm = jsEditors[list];
+    const now = Date.now();
+    cm.clearGutter('expiry-gutter');
+    cm.eachLine((handle) => {
+      ['expiring-line', 'expired-line'].forEach(v => cm.removeLineClass(handle, 'wrap', v));
+      const line = handle.text.trim();
+      if (line.startsWith('//')) return;
+      const expires = parseExpiry(line);
+      if (expires === undefined) return;
+      const expired = expires.getTime() <= now;
+      cm.addLineClass(handle, 'wrap', expired ? 'expired-line' : 'expiring-line');
+      const marker = document.createElement('span');
+      marker.className = 'expiry-marker';
+      marker.textContent = '\u23F1';
+      marker.title = expired
+        ? `Expired on ${expires.toLocaleString()}, removed shortly`
+        : `Expires on ${expires.toLocaleString()}`;
+      cm.setGutterMarker(handle, 'expiry-gutter', marker);
+    });
+  }
+
+  function showStatistics() {
+    const types = $('content_type_stats');
+    types.textContent = '';
+    Object.keys(contentTypeNames).forEach((type) => {
+      const record = get(`contentTypes.${type}`, undefined, ruleStats);
+      if (record === undefined) return;
+      const row = types.insertRow();
+      row.insertCell().textContent = contentTypeNames[type];
+      const last = new Date(record.last).toLocaleString();
+      row.insertCell().textContent = `${record.hits} blocked, last on ${last}`;
+    });
+    if (types.rows.length === 0) {
+      types.insertRow().insertCell().textContent = 'Nothing blocked by content type yet';
+    }
+
+    // rules are read from the editors so removing them here is reflected right away
+    const unused = $('unused_rules');
+    unused.textContent = '';
+    const cutoff = Date.now() - UNUSED_RULE_AGE;
+    textAreas.forEach((list) => {
+      editorRules(list, (handle, key, record) => {
+        if (record === undefined || (record.last || record.added) > cutoff) return;
+        const row = unused.insertRow();
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.dataset.list = list;
+        check.dataset.key = key;
+        row.insertCell().append(check);
+        row.insertCell().textContent = listNames[list];
+        row.insertCell().textContent = handle.text.trim();
+        row.insertCell().textContent = record.last
+          ? `last hit on ${new Date(record.last).toLocaleDateString()}`
+          : 'never hit';
+      });
+    });
+    $('unused_remove').style.display = unused.rows.length > 0 ? '' : 'none';
+    if (unused.rows.length === 0) {
+      const row = unused.insertRow();
+      row.insertCell().textContent = 'Every rule blocked something in the last 90 days';
+    }
+  }
+
+  function removeUnusedRules() {
+    const selected = {};
+    $('unused_rules').querySelectorAll('input[type="checkbox"]:checked').forEach((check) => {
+      const { list, key } = check.dataset;
+      (selected[list] = selected[list] || new Set()).add(key);
+    });
+    Object.keys(selected).forEach((list) => {
+      const cm = jsEditors[list];
+      const lines = cm.getValue().split('\n').filter((text) => {
+        const line = text.trim();
+        return line === '' || line.startsWith('//') || !selected[list].has(statsKey(line));
+      });
+      cm.setValue(lines.join('\n'));
+    });
+    showStatistics();
+  }
+
+  // Objects built from the tester fields, shaped like the ones YouTube sends for each test type
+  const testObjects = {
+    video: (f) => {
+      const video = {
+        videoId: f.video_id,
+        title: { runs: [{ text: f.title }] },
+        shortBylineText: {
+          runs: [{
+            text: f.channel_name,
+            navigationEndpoint: { browseEndpoint: { browseId: f.channel_id } },
+          }],
+        },
+        descriptionSnippet: { runs: [{ text: f.description }] },
+      };
+      if (f.duration !== '') {
+        const time = { text: { simpleText: f.duration } };
+        video.thumbnailOverlays = [{ thumbnailOverlayTimeStatusRenderer: time }];
+      }
+      return { contents: [{ videoRenderer: video }] };
+    },
+    lockup: (f) => {
+      const browse = { browseEndpoint: { browseId: f.channel_id } };
+      const lockup = {
+        contentId: f.video_id,
+        metadata: {
+          lockupMetadataViewModel: {
+            title: { content: f.title },
+            metadata: {
+              contentMetadataViewModel: {
+                metadataRows: [{
+                  metadataParts: [{
+                    text: {
+                      content: f.channel_name,
+                      commandRuns: [{ onTap: { innertubeCommand: browse } }],
+                    },
+                  }],
+                }],
+              },
+            },
+          },
+        },
+      };
+      if (f.duration !== '') {
+        const badge = { thumbnailBadgeViewModel: { text: f.duration } };
+        lockup.contentImage = {
+          thumbnailViewModel: {
+            overlays: [{ thumbnailOverlayBadgeViewModel: { thumbnailBadges: [badge] } }],
+          },
+        };
+      }
+      return { contents: [{ lockupViewModel: lockup }] };
+    },
+    comment: f => ({
+      mutations: [{
+        payload: {
+          commentEntityPayload: {
+            author: { channelId: f.channel_id, displayName: f.channel_name },
+            properties: { commentId: 'test', content: { content: f.comment } },
+          },
+        },
+      }],
+    }),
+    player: (f) => {
+      const videoDetails = {
+        videoId: f.video_id,
+        title: f.title,
+        author: f.channel_name,
+        channelId: f.channel_id,
+        shortDescription: f.description,
+      };
+      if (f.duration !== '') videoDetails.lengthSeconds = f.duration;
+      return { playabilityStatus: { status: 'OK' }, videoDetails };
+    },
+  };
+
+  function testObject() {
+    const json = $('test_json').value.trim();
+    if (json !== '') return JSON.parse(json);
+    const fields = {};
+    const names = ['title', 'channel_name', 'channel_id', 'video_id', 'duration', 'description',
+      'comment'];
+    names.forEach((name) => {
+      fields[name] = $(`test_${name}`).value.trim();
+    });
+    return testObjects[$('test_type').value](fields);
+  }
+
+  // Runs the unsaved filters over the test object with the same code that filters YouTube
+  function runTest() {
+    let object;
+    try {
+      object = testObject();
+    } catch (e) {
+      setLabel('test_status', `Invalid JSON: ${e.message}`);
+      return;
+    }
+    if (object === null || typeof object !== 'object') {
+      setLabel('test_status', 'The JSON must be an object');
+      return;
+    }
+
+    const data = JSON.parse(JSON.stringify({
+      filterData: storageData.filterData,
+      options: storageData.options,
+    }));
+    readForm(data);
+    chrome.runtime.sendMessage({ type: 'compileFilters', data }, (compiled) => {
+      if (chrome.runtime.lastError || !compiled) {
+        setLabel('test_status', 'The filters could not be compiled');
+        return;
+      }
+      showTestResult(testFilter.testFilters(compiled, object, $('test_surface').value));
+    });
+  }
+
+  function showTestResult(result) {
+    const rows = $('test_results');
+    rows.textContent = '';
+    result.blocked.forEach((item) => {
+      const row = rows.insertRow();
+      row.insertCell().textContent = item.objectType;
+      row.insertCell().textContent = item.title || item.comment || item.channelName || item.videoId
+        || '-';
+      row.insertCell().textContent = listNames[item.list] || item.list;
+      row.insertCell().textContent = item.list === 'contentTypes'
+        ? (contentTypeNames[item.entry] || item.entry)
+        : (item.entry || '');
+    });
+    if (rows.rows.length === 0) {
+      rows.insertRow().insertCell().textContent = 'Nothing would be blocked';
+    }
+    $('test_output').textContent = JSON.stringify(result.object, null, 2);
+  }
+
+  function showSubscriptions() {
+    const table = $('subscriptions');
+    table.textContent = '';
+    subscriptions.forEach((sub) => {
+      const row = table.insertRow();
+
+      const name = row.insertCell();
+      const link = document.createElement('a');
+      link.href = sub.url;
+      link.target = '_blank';
+      link.textContent = sub.title || sub.url;
+      link.title = sub.url;
+      name.append(link);
+
+      const info = row.insertCell();
+      if (!sub.lastAttempt) {
+        info.textContent = 'Updating...';
+      } else {
+        const parts = [];
+        if (sub.lastUpdated) {
+          parts.push(`${sub.count} entries, updated ${new Date(sub.lastUpdated).toLocaleString()}`);
+        }
+        if (sub.error) {
+          parts.push(`Update failed: ${sub.error} (${new Date(sub.lastAttempt).toLocaleString()})`);
+          info.classList.add('subscription-error');
+        }
+        info.textContent = parts.join(' - ');
+      }
+
+      const actions = row.insertCell();
+      const remove = document.createElement('input');
+      remove.type = 'button';
+      remove.value = 'Remove';
+      remove.addEventListener('click', () => {
+        chrome.storage.local.set({ subscriptions: subscriptions.filter(v => v.url !== sub.url) });
+      });
+      actions.append(remove);
+    });
+  }
+
+  function addSubscription() {
+    const url = $('subscription_url').value.trim();
+    let origin;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') throw Error();
+      origin = parsed.origin;
+    } catch (e) {
+      $('subscription_status').textContent = 'Enter a valid http(s) URL';
+      return;
+    }
+    if (subscriptions.some(v => v.url === url)) {
+      $('subscription_status').textContent = 'Already subscribed';
+      return;
+    }
+    // lists are fetched by the background script, which needs access to the list's site
+    chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+      if (!granted) {
+        $('subscription_status').textContent = `Access to ${origin} is required to fetch this list`;
+        return;
+      }
+      $('subscription_status').textContent = '';
+      $('subscription_url').value = '';
+      chrome.storage.local.set({ subscriptions: [...subscriptions, { url }] });
+    });
+  }
+
+  function showSchedules(list) {
+    $('schedules').textContent = '';
+    list.forEach(addSchedule);
+  }
+
+  function addSchedule(schedule = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }) {
+    const el = document.createElement('div');
+    el.className = 'schedule';
+
+    const head = document.createElement('div');
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'schedule-name';
+    name.placeholder = 'Name';
+    name.value = schedule.name || '';
+    const start = document.createElement('input');
+    start.type = 'time';
+    start.className = 'schedule-start';
+    start.value = schedule.start || '';
+    const end = document.createElement('input');
+    end.type = 'time';
+    end.className = 'schedule-end';
+    end.value = schedule.end || '';
+    const remove = document.createElement('input');
+    remove.type = 'button';
+    remove.value = 'Remove';
+    remove.addEventListener('click', () => {
+      el.remove();
+      optionsEl.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    head.append(name, ' from ', start, ' to ', end, ' ', remove);
+
+    const days = document.createElement('div');
+    scheduleDays.forEach((day, i) => {
+      const label = document.createElement('label');
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.dataset.day = i;
+      check.checked = Array.isArray(schedule.days) && schedule.days.includes(i);
+      label.append(check, day);
+      days.append(label);
+    });
+
+    const profile = document.createElement('div');
+    const profileLabel = document.createElement('label');
+    const profileSelect = document.createElement('select');
+    profileSelect.className = 'select schedule-profile';
+    profileSelect.dataset.value = schedule.profile || '';
+    profileLabel.append('Filters and options of ', profileSelect);
+    profile.append(profileLabel);
+    showScheduleProfile(profileSelect);
+
+    const options = document.createElement('div');
+    Object.keys(scheduleOptions).forEach((k) => {
+      const label = document.createElement('label');
+      const select = document.createElement('select');
+      select.className = 'select';
+      select.dataset.option = k;
+      [['', 'unchanged'], ['on', 'on'], ['off', 'off']].forEach(([value, text]) => {
+        select.add(new Option(text, value));
+      });
+      const value = get(`options.${k}`, undefined, schedule);
+      select.value = value === undefined ? '' : (value ? 'on' : 'off');
+      label.append(`${scheduleOptions[k]} `, select);
+      options.append(label);
+    });
+
+    const lists = document.createElement('div');
+    Object.keys(scheduleLists).forEach((list) => {
+      const area = document.createElement('textarea');
+      area.dataset.list = list;
+      area.placeholder = scheduleLists[list];
+      area.value = get(`filterData.${list}`, [], schedule).join('\n');
+      lists.append(area);
+    });
+
+    el.append(head, days, profile, options, lists);
+    $('schedules').append(el);
+  }
+
+  // Schedules belong to the active profile, so they can switch to any other one
+  function showScheduleProfile(select) {
+    const value = select.value || select.dataset.value;
+    select.textContent = '';
+    select.add(new Option('this profile', ''));
+    Object.keys(profiles).sort().forEach(name => select.add(new Option(name, name)));
+    if (value !== '' && !has.call(profiles, value)) {
+      select.add(new Option(`${value} (deleted)`, value));
+    }
+    select.value = value;
+  }
+
+  function readSchedules() {
+    return [...$('schedules').querySelectorAll('.schedule')].map((el, i) => {
+      const schedule = {
+        name: el.querySelector('.schedule-name').value.trim() || `Schedule ${i + 1}`,
+        days: [...el.querySelectorAll('[data-day]')]
+          .filter(v => v.checked)
+          .map(v => +v.dataset.day),
+        start: el.querySelector('.schedule-start').value,
+        end: el.querySelector('.schedule-end').value,
+        profile: el.querySelector('.schedule-profile').value || undefined,
+        options: {},
+        filterData: {},
+      };
+      el.querySelectorAll('[data-option]').forEach((select) => {
+        if (select.value !== '') schedule.options[select.dataset.option] = select.value === 'on';
+      });
+      el.querySelectorAll('[data-list]').forEach((area) => {
+        const entries = multilineToArray(area.value).filter(v => v !== '');
+        if (entries.length > 0) schedule.filterData[area.dataset.list] = entries;
+      });
+      return schedule;
+    });
+  }
+
+  function showProfiles() {
+    const select = $('profile_select');
+    select.textContent = '';
+    [activeProfile, ...Object.keys(profiles).sort()].forEach((name) => {
+      select.add(new Option(name === activeProfile ? `${name} (active)` : name, name));
+    });
+    select.value = activeProfile;
+    selectProfile();
+    document.querySelectorAll('.schedule-profile').forEach(showScheduleProfile);
+  }
+
+  function selectProfile() {
+    const isActive = $('profile_select').value === activeProfile;
+    $('profile_switch').disabled = isActive;
+    $('profile_delete').disabled = isActive;
+  }
+
+  function askProfileName(current = '') {
+    const name = (prompt('Profile name', current) || '').trim();
+    if (name === '' || name === current) return undefined;
+    if (name === activeProfile || has.call(profiles, name)) {
+      setLabel('profile_status', 'A profile with this name already exists');
+      return undefined;
+    }
+    return name;
+  }
+
+  function addProfile() {
+    const name = askProfileName();
+    if (name === undefined) return;
+    const profile = { filterData: JSON.parse(defaultFilterData), options: {} };
+    chrome.storage.local.set({ profiles: { ...profiles, [name]: profile } });
+  }
+
+  function renameProfile() {
+    const selected = $('profile_select').value;
+    const name = askProfileName(selected);
+    if (name === undefined) return;
+    if (selected === activeProfile) {
+      chrome.storage.local.set({ activeProfile: name });
+      return;
+    }
+    const next = { ...profiles, [name]: profiles[selected] };
+    delete next[selected];
+    chrome.storage.local.set({ profiles: next });
+  }
+
+  function deleteProfile() {
+    const selected = $('profile_select').value;
+    if (selected === activeProfile) return;
+    if (!confirm(`Delete the "${selected}" profile and all its filters?`)) return;
+    const next = { ...profiles };
+    delete next[selected];
+    chrome.storage.local.set({ profiles: next });
+  }
+
+  function switchProfile() {
+    const unsaved = !$('save_btn').classList.contains('disabled-btn');
+    if (unsaved && !confirm('Switching profiles discards unsaved changes, continue?')) return;
+    // the background script swaps the profiles, the forms are filled again from
+    // chrome.storage.onChanged
+    chrome.runtime.sendMessage({ type: 'switchProfile', name: $('profile_select').value });
+  }
+
   function setLabel(label, text) {
     const status = $(label);
     status.textContent = text;
@@ -238,7 +1036,10 @@
       let json;
       try {
         json = JSON.parse(e.target.result);
-        if (json.filterData && json.options) {
+        if (json.profiles && typeof json.profiles === 'object') {
+          importProfiles(json);
+        } else if (json.filterData && json.options) {
+          // a single profile backup replaces the active profile
           populateForms(json);
           saveForm();
         }
@@ -249,6 +1050,14 @@
     reader.readAsText(f);
   }
 
+  function importProfiles(json) {
+    if (!confirm('This backup holds all profiles, replace your profiles with them?')) return;
+    const { profiles: imported, activeProfile: importedActive, ...data } = json;
+    populateForms(data);
+    saveForm();
+    chrome.storage.local.set({ profiles: imported, activeProfile: importedActive || 'Default' });
+  }
+
   function cmResizer(cm, resizer) {
     const MIN_HEIGHT = 220;
 
@@ -302,26 +1111,74 @@
   
   const optionsEl = $('options');
   
-  const allEditorAreas = ['title', 'description', 'channelName', 'channelId', 'videoId', 'comment', 'javascript'];
+  const allEditorAreas = [...textAreas, 'javascript'];
+  const editorModes = { javascript: 'javascript', compoundRules: 'blocktube-rules' };
   for (let i = 0, len = allEditorAreas.length; i < len; i++) {
     const v = allEditorAreas[i];
-    const opts = Object.assign({ mode: v === 'javascript' ? 'javascript' : 'blocktube' }, cmOptions);
+    const opts = Object.assign({ mode: editorModes[v] || 'blocktube' }, cmOptions);
+    if (textAreas.includes(v)) {
+      opts.gutters = ['CodeMirror-linenumbers', 'lint-gutter', 'expiry-gutter', 'hit-gutter'];
+    }
     jsEditors[v] = CodeMirror.fromTextArea($(v), opts);
     cmResizer(jsEditors[v], $(v + '_resizer'));
+    let hitsTimer;
     jsEditors[v].on("change", () => {
       optionsEl.dispatchEvent(new Event('change', { bubbles: true }));
+      if (opts.gutters) {
+        clearTimeout(hitsTimer);
+        hitsTimer = setTimeout(() => {
+          showHits(v);
+          showExpiry(v);
+          showLint(v);
+          showStatistics();
+        }, 300);
+      }
     });
   }
 
   // !! Start
   document.addEventListener('DOMContentLoaded', loadData);
 
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && has.call(changes, 'syncStatus')) {
+      showSyncStatus(changes.syncStatus.newValue);
+    }
+    if (areaName === 'local' && has.call(changes, 'ruleStats')) {
+      ruleStats = changes.ruleStats.newValue || {};
+      textAreas.forEach(showHits);
+      showStatistics();
+    }
+    if (areaName === 'local' && has.call(changes, 'subscriptions')) {
+      subscriptions = changes.subscriptions.newValue || [];
+      showSubscriptions();
+    }
+    const profilesChanged = has.call(changes, 'profiles') || has.call(changes, 'activeProfile');
+    if (areaName === 'local' && profilesChanged) {
+      if (has.call(changes, 'profiles')) profiles = changes.profiles.newValue || {};
+      if (has.call(changes, 'activeProfile')) {
+        activeProfile = changes.activeProfile.newValue || 'Default';
+      }
+      showProfiles();
+      // switched to another profile
+      if (has.call(changes, 'storageData') && has.call(changes, 'activeProfile')) {
+        storageData = changes.storageData.newValue;
+        if (isLoggedIn) populateForms();
+      }
+    }
+    if (areaName === 'managed') {
+      loadManaged(() => {
+        if (isLoggedIn) populateForms();
+      });
+    }
+  });
+
   $('options').addEventListener('submit', (evt) => {
     evt.preventDefault();
   });
 
   $('save_btn').addEventListener('click', (evt) => {
     if(evt.target.classList.contains('disabled-btn')) return;
+    if (!confirmLintErrors()) return;
     saveForm();
   });
 
@@ -333,7 +1190,11 @@
   $('export').addEventListener('click', () => {
     if (isLoggedIn) {
       saveForm();
-      saveFile(storageData, 'blocktube_backup.json');
+      if ($('export_scope').value === 'all') {
+        saveFile({ ...storageData, activeProfile, profiles }, 'blocktube_backup_all.json');
+      } else {
+        saveFile(storageData, 'blocktube_backup.json');
+      }
     }
   });
 
@@ -345,6 +1206,30 @@
 
   $('myfile').addEventListener('change', importOptions, false);
 
+  $('subscription_add').addEventListener('click', addSubscription);
+
+  $('unused_remove').addEventListener('click', removeUnusedRules);
+
+  $('test_run').addEventListener('click', runTest);
+
+  $('profile_select').addEventListener('change', selectProfile);
+  $('profile_switch').addEventListener('click', switchProfile);
+  $('profile_add').addEventListener('click', addProfile);
+  $('profile_rename').addEventListener('click', renameProfile);
+  $('profile_delete').addEventListener('click', deleteProfile);
+
+  $('schedule_add').addEventListener('click', () => {
+    addSchedule();
+    optionsEl.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+
+  $('subscription_update').addEventListener('click', () => {
+    // the background script fetches every list without a lastAttempt
+    chrome.storage.local.set({
+      subscriptions: subscriptions.map(({ lastAttempt, ...sub }) => sub),
+    });
+  });
+
   $('enable_javascript').addEventListener('change', (v) => {
     if (v.target.checked) {
       $('advanced_tab').style.removeProperty("display");
@@ -357,6 +1242,11 @@
 
   $('options').addEventListener('change', (evt) => {
     if (evt.target.tagName === 'INPUT' && evt.target.getAttribute('type') === 'radio') return;
+    // not saved with the form
+    const notSaved = [
+      '#unused_rules', '#subscription_url', '#profile_select', '#export_scope', '#test-tab-content',
+    ];
+    if (evt.target.closest(notSaved.join(', '))) return;
     $('save_btn').classList.remove('disabled-btn');
   });
 
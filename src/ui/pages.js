@@ -0,0 +1,45 @@
+// Names and the theme shared by the options page and the blocked items log
+const btPages = {
+  listNames: {
+    title: 'Video title',
+    description: 'Description',
+    tags: 'Tags & hashtags',
+    channelName: 'Channel name',
+    channelId: 'Channel ID',
+    channelHandle: 'Channel handle',
+    videoId: 'Video ID',
+    comment: 'Comment content',
+    allowlist: 'Allowed channels',
+    compoundRules: 'Compound rules',
+    contentTypes: 'Content type',
+  },
+
+  // blocks by an option rather than a list entry, reported under the "contentTypes" list
+  contentTypeNames: {
+    shorts: 'Shorts',
+    movies: 'Movies',
+    mixes: 'Mixes',
+    percentWatched: 'Watched videos',
+    duration: 'Runtime',
+    live: 'Live streams',
+    upcoming: 'Upcoming streams',
+    premieres: 'Premieres',
+    members: 'Members-only',
+    paid: 'Paid content',
+    paidPromotion: 'Paid promotion',
+    category: 'Video category',
+    familySafe: 'Not family-safe',
+    ageRestricted: 'Age-restricted',
+    uploadAge: 'Upload age',
+    viewCount: 'View count',
+    allowlist: 'Allowlist mode',
+    javascript: 'Advanced blocking',
+  },
+
+  // The saved theme, or the system's while none was picked
+  theme(storageData) {
+    if (storageData && storageData.uiTheme) return storageData.uiTheme;
+    const dark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return dark ? 'dark' : 'light';
+  },
+};
@@ -4,6 +4,9 @@
 
 const background = require('../src/scripts/background.js');
 const { utils } = background;
+// registered on load, before the mocks are cleared
+const [[onRuntimeMessage]] = chrome.runtime.onMessage.addListener.mock.calls;
+const [[onStorageChanged]] = chrome.storage.onChanged.addListener.mock.calls;
 
 describe('background.js', () => {
   
@@ -127,6 +130,14 @@ describe('background.js', () => {
       expect(result.length).toBe(1);
       expect(result[0][0]).toContain('spam');
     });
+
+    test('should compile channel handles as exact case-insensitive matches', () => {
+      const result = utils.compileRegex(['@Some.Channel', 'other', 'https://www.youtube.com/@third/videos'], 'channelHandle');
+      expect(result).toEqual([['^@Some\\.Channel$', 'i'], ['^@other$', 'i'], ['^@third$', 'i']]);
+      const regex = new RegExp(...result[0]);
+      expect(regex.test('@some.channel')).toBe(true);
+      expect(regex.test('@some.channel2')).toBe(false);
+    });
   });
 
   describe('utils.compileAll', () => {
@@ -206,6 +217,21 @@ describe('background.js', () => {
       expect(result.options).toEqual(data.options);
     });
 
+    test('should compile the channel allowlist', () => {
+      const data = {
+        filterData: {
+          allowlist: ['// Allowed channels', 'UC_ALLOWED', '/^Good Channel$/i'],
+          vidLength: [null, null],
+          javascript: ''
+        },
+        options: { allowlist_mode: true }
+      };
+
+      const result = utils.compileAll(data);
+      expect(result.filterData.allowlist.length).toBe(2);
+      expect(result.filterData.allowlist[1]).toEqual(['^Good Channel$', 'i']);
+    });
+
     test('should handle missing properties gracefully', () => {
       const data = {
         filterData: {
@@ -218,6 +244,240 @@ describe('background.js', () => {
       const result = utils.compileAll(data);
       expect(result.filterData.vidLength).toEqual([null, null]);
     });
+
+    test('should send blocked categories in lower case', () => {
+      const data = {
+        filterData: {
+          category: ['Gaming', ' News & Politics ', ''],
+          vidLength: [null, null],
+          javascript: ''
+        },
+        options: {}
+      };
+
+      const result = utils.compileAll(data);
+      expect(result.filterData.category).toEqual(['gaming', 'news & politics']);
+    });
+  });
+
+  describe('utils.parseScopes', () => {
+
+    test('should compile scoped entries with their scopes', () => {
+      expect(utils.compileRegex(['[home, watch] UC123'], 'channelId')).toEqual([
+        ['^UC123$', '', { include: ['home', 'watch'], exclude: [] }]
+      ]);
+    });
+
+    test('should compile negated scopes', () => {
+      expect(utils.compileRegex(['[!subscriptions]/spam/i'], 'title')).toEqual([
+        ['spam', 'i', { include: [], exclude: ['subscriptions'] }]
+      ]);
+    });
+
+    test('should keep unknown bracket prefixes as part of the keyword', () => {
+      const result = utils.compileRegex(['[live] stream'], 'title');
+      expect(result[0].length).toBe(2);
+      expect(result[0][0]).toContain('\\[live\\] stream');
+    });
+
+    test('should attach scopes to exceptions and compound rules', () => {
+      expect(utils.compileExceptions(['@@[search]UC1'], 'channelId')[0][2]).toEqual({ include: ['search'], exclude: [] });
+      expect(utils.compileRules(['[home] title:a'])[0].scopes).toEqual({ include: ['home'], exclude: [] });
+    });
+  });
+
+  describe('utils.compileExceptions', () => {
+
+    test('should compile @@ entries without the prefix', () => {
+      const result = utils.compileExceptions(['blocked', '@@UC123', '  @@other'], 'channelId');
+      expect(result).toEqual([['^UC123$', ''], ['^other$', '']]);
+    });
+
+    test('should compile raw regex exceptions', () => {
+      expect(utils.compileExceptions(['@@/tutorial/i'], 'title')).toEqual([['tutorial', 'i']]);
+    });
+
+    test('should ignore a bare @@ prefix', () => {
+      expect(utils.compileExceptions(['@@'], 'title')).toEqual([]);
+    });
+
+    test('should not compile exceptions as block entries', () => {
+      expect(utils.compileRegex(['@@UC123', 'UC456'], 'channelId')).toEqual([['^UC456$', '']]);
+    });
+
+    test('should collect exceptions per list in compileAll', () => {
+      const result = utils.compileAll({
+        filterData: { title: ['news', '@@good news'], channelId: ['UC1'], vidLength: [null, null], javascript: '' },
+        options: {}
+      });
+      expect(result.filterData.title.length).toBe(1);
+      expect(result.filterData.exceptions.title.length).toBe(1);
+      expect(result.filterData.exceptions.channelId).toBeUndefined();
+    });
+  });
+
+  describe('utils.compileRule', () => {
+
+    test('should compile a single keyword condition', () => {
+      const result = utils.compileRule('title:reaction');
+      expect(result.field).toBe('title');
+      expect(result.regex[0]).toContain('reaction');
+      expect(result.regex[1]).toBe('i');
+    });
+
+    test('should compile channelId as exact match', () => {
+      expect(utils.compileRule('channelId:UC123')).toEqual({ field: 'channelId', regex: ['^UC123$', ''] });
+    });
+
+    test('should compile raw regex and quoted phrases', () => {
+      expect(utils.compileRule('title:/live (now)?/i').regex).toEqual(['live (now)?', 'i']);
+      expect(utils.compileRule('title:"two words"').regex[0]).toContain('two words');
+    });
+
+    test('should give AND precedence over OR', () => {
+      const result = utils.compileRule('title:a OR title:b AND title:c');
+      expect(result.op).toBe('or');
+      expect(result.rules[1].op).toBe('and');
+    });
+
+    test('should support parentheses and NOT', () => {
+      const result = utils.compileRule('NOT (title:a OR channel:b) and badge:verified');
+      expect(result.op).toBe('and');
+      expect(result.rules[0].op).toBe('not');
+      expect(result.rules[0].rule.op).toBe('or');
+      expect(result.rules[1]).toEqual({ field: 'badge', badge: 'verified' });
+    });
+
+    test('should compile numeric comparisons and ranges', () => {
+      expect(utils.compileRule('duration:<1:30')).toEqual({ field: 'duration', cmp: '<', value: 90 });
+      expect(utils.compileRule('views:1.5K')).toEqual({ field: 'views', cmp: '=', value: 1500 });
+      expect(utils.compileRule('views:1,000-2M')).toEqual({
+        op: 'and',
+        rules: [
+          { field: 'views', cmp: '>=', value: 1000 },
+          { field: 'views', cmp: '<=', value: 2000000 },
+        ]
+      });
+    });
+
+    test('should reject invalid rules', () => {
+      expect(() => utils.compileRule('unknown:value')).toThrow('unknown field');
+      expect(() => utils.compileRule('title:a title:b')).toThrow('unexpected');
+      expect(() => utils.compileRule('title:a XOR title:b')).toThrow('unknown operator');
+      expect(() => utils.compileRule('(title:a')).toThrow('missing closing parenthesis');
+      expect(() => utils.compileRule('duration:long')).toThrow('invalid duration');
+      expect(() => utils.compileRule('badge:gold')).toThrow('unknown badge');
+      expect(() => utils.compileRule('title:"open')).toThrow('missing closing quote');
+    });
+  });
+
+  describe('utils.compileRules', () => {
+
+    test('should skip comments, empty lines and duplicates', () => {
+      const result = utils.compileRules(['// comment', '', 'title:a', 'title:a', 'title:b']);
+      expect(result.length).toBe(2);
+    });
+
+    test('should skip invalid rules and log them', () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const result = utils.compileRules(['title:a AND', 'title:b']);
+      expect(result.length).toBe(1);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test('should return empty array for missing rules', () => {
+      expect(utils.compileRules(undefined)).toEqual([]);
+    });
+  });
+
+  describe('managed policy', () => {
+    const userData = () => ({
+      filterData: { title: ['user'], channelId: [], vidLength: [60, null] },
+      options: { shorts: false, mixes: true },
+    });
+
+    afterEach(() => {
+      background._setManaged({});
+    });
+
+    test('should return data unchanged without a policy', () => {
+      const data = userData();
+      expect(utils.mergeManaged(data, {})).toBe(data);
+    });
+
+    test('should append policy entries and override options', () => {
+      const merged = utils.mergeManaged(userData(), {
+        filterData: { title: ['locked'], channelName: ['spam'] },
+        options: { shorts: true },
+      });
+      expect(merged.filterData.title).toEqual(['user', 'locked']);
+      expect(merged.filterData.channelName).toEqual(['spam']);
+      expect(merged.options).toEqual({ shorts: true, mixes: true });
+    });
+
+    test('should replace video length limits', () => {
+      const merged = utils.mergeManaged(userData(), { filterData: { vidLength: [null, 600] } });
+      expect(merged.filterData.vidLength).toEqual([null, 600]);
+    });
+
+    test('should replace upload age limits', () => {
+      const merged = utils.mergeManaged({ ...userData(), filterData: { title: [], uploadAge: [7, null] } },
+        { filterData: { uploadAge: [null, 365] } });
+      expect(merged.filterData.uploadAge).toEqual([null, 365]);
+    });
+
+    test('should replace view count limits', () => {
+      const merged = utils.mergeManaged({ ...userData(), filterData: { title: [], viewCount: [1000, null] } },
+        { filterData: { viewCount: [null, 500] } });
+      expect(merged.filterData.viewCount).toEqual([null, 500]);
+    });
+
+    test('should not modify the stored user data', () => {
+      const data = userData();
+      utils.mergeManaged(data, { filterData: { title: ['locked'] }, options: { shorts: true } });
+      expect(data.filterData.title).toEqual(['user']);
+      expect(data.options.shorts).toBe(false);
+    });
+
+    test('compileAll should include the active policy', () => {
+      background._setManaged({ filterData: { title: ['locked'] }, options: { shorts: true } });
+      const result = utils.compileAll(userData());
+      expect(result.filterData.title.length).toBe(2);
+      expect(result.filterData.title[1][0]).toContain('(locked)');
+      expect(result.options.shorts).toBe(true);
+    });
+
+    test('loadManaged should fall back to an empty policy', () => {
+      const callback = jest.fn();
+      utils.loadManaged(callback);
+      expect(callback).toHaveBeenCalledWith({});
+    });
+
+    test('loadManaged should ignore errors from the managed area', () => {
+      chrome.storage.managed = { get: jest.fn((keys, cb) => cb(undefined)) };
+      chrome.runtime.lastError = { message: 'Managed storage manifest not found' };
+      const callback = jest.fn();
+      utils.loadManaged(callback);
+      expect(callback).toHaveBeenCalledWith({});
+      delete chrome.storage.managed;
+      delete chrome.runtime.lastError;
+    });
+
+    test('loadManaged should tolerate a managed area that throws or rejects', async () => {
+      const callback = jest.fn();
+      chrome.storage.managed = { get: jest.fn(() => { throw Error('storage.managed is not supported'); }) };
+      utils.loadManaged(callback);
+      expect(callback).toHaveBeenCalledWith({});
+
+      callback.mockClear();
+      chrome.storage.managed = { get: jest.fn(() => Promise.reject(Error('Managed storage manifest not found'))) };
+      utils.loadManaged(callback);
+      await Promise.resolve();
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith({});
+      delete chrome.storage.managed;
+    });
   });
 
   describe('utils.sendFilters', () => {
@@ -339,6 +599,892 @@ describe('background.js', () => {
     });
   });
 
+  describe('sync', () => {
+    const { sync } = background;
+    let syncArea;
+
+    beforeAll(() => {
+      const util = require('util');
+      global.TextEncoder = util.TextEncoder;
+      global.TextDecoder = util.TextDecoder;
+    });
+
+    beforeEach(() => {
+      syncArea = {};
+      chrome.storage.sync = {
+        get: jest.fn((keys, callback) => {
+          if (keys === null) return callback({ ...syncArea });
+          const result = {};
+          [].concat(keys).forEach((k) => { if (k in syncArea) result[k] = syncArea[k]; });
+          return callback(result);
+        }),
+        set: jest.fn((items, callback) => { Object.assign(syncArea, items); callback(); }),
+        remove: jest.fn((keys) => { [].concat(keys).forEach((k) => { delete syncArea[k]; }); }),
+      };
+      sync.deviceId = 'this-device';
+      sync.profile = 'Default';
+      sync.base = undefined;
+    });
+
+    afterAll(() => {
+      delete chrome.storage.sync;
+    });
+
+    test('hash should be stable and detect changes', () => {
+      expect(sync.hash('abc')).toBe(sync.hash('abc'));
+      expect(sync.hash('abc')).not.toBe(sync.hash('abd'));
+    });
+
+    test('split should respect the per-item quota', () => {
+      const chunks = sync.split('x'.repeat(20000));
+      expect(chunks.length).toBe(3);
+      expect(chunks.every(c => c.length <= 7680)).toBe(true);
+      expect(chunks.join('')).toBe('x'.repeat(20000));
+    });
+
+    test('encode and decode should round trip unicode data', async () => {
+      const json = JSON.stringify({ title: ['日本語', 'émoji 🎉'] });
+      const { encoded, encoding } = await sync.encode(json);
+      expect(await sync.decode(encoded, encoding)).toBe(json);
+    });
+
+    test('write and read should round trip storage through chunks', async () => {
+      const data = { filterData: { title: Array.from({ length: 2000 }, (_, i) => `keyword ${i}`) }, options: {} };
+      await sync.write(data);
+
+      expect(syncArea.sync_meta.chunks).toBeGreaterThan(1);
+      expect(syncArea.sync_meta.device).toBe('this-device');
+      const remote = await sync.read();
+      expect(remote.data).toEqual(data);
+    });
+
+    test('write should remove stale chunks', async () => {
+      await sync.write({ filterData: { title: Array.from({ length: 2000 }, (_, i) => `keyword ${i}`) } });
+      const chunks = syncArea.sync_meta.chunks;
+      await sync.write({ filterData: { title: ['one'] } });
+      expect(syncArea.sync_meta.chunks).toBe(1);
+      expect(chrome.storage.sync.remove).toHaveBeenCalledWith(
+        Array.from({ length: chunks - 1 }, (_, i) => `sync_chunk_${i + 1}`)
+      );
+    });
+
+    test('read should reject mixed up chunks', async () => {
+      await sync.write({ filterData: { title: ['one'] } });
+      syncArea.sync_meta.hash = 'bad';
+      await expect(sync.read()).rejects.toThrow('checksum');
+    });
+
+    test('merge should keep list additions and removals from both sides', () => {
+      const base = { filterData: { title: ['a', 'b', 'c'] } };
+      const local = { filterData: { title: ['a', 'b', 'c', 'local'] } };
+      const remote = { filterData: { title: ['a', 'c', 'remote'] } };
+      expect(sync.merge(base, local, remote).filterData.title).toEqual(['a', 'c', 'local', 'remote']);
+    });
+
+    test('merge should take the changed side for other values', () => {
+      const base = { options: { shorts: false, mixes: false }, filterData: { vidLength: [null, null] } };
+      const local = { options: { shorts: true, mixes: false }, filterData: { vidLength: [null, null] } };
+      const remote = { options: { shorts: false, mixes: true }, filterData: { vidLength: [60, 120] } };
+      expect(sync.merge(base, local, remote)).toEqual({
+        options: { shorts: true, mixes: true },
+        filterData: { vidLength: [60, 120] }
+      });
+    });
+
+    test('merge should prefer remote values on conflicts', () => {
+      expect(sync.merge({ a: 1 }, { a: 2 }, { a: 3 })).toEqual({ a: 3 });
+    });
+
+    test('merge should union lists when there is no base', () => {
+      expect(sync.merge({}, { title: ['a', 'b'] }, { title: ['b', 'c'] })).toEqual({ title: ['a', 'b', 'c'] });
+    });
+
+    test('pull should ignore changes written by this device', async () => {
+      await sync.write({ filterData: { title: ['one'] } });
+      chrome.storage.local.set.mockClear();
+      await sync.pull();
+      expect(chrome.storage.local.set).not.toHaveBeenCalledWith(expect.objectContaining({ storageData: expect.anything() }));
+    });
+
+    test('pull should merge remote changes into local storage', async () => {
+      const base = { filterData: { title: ['a'] }, options: {} };
+      background._setStorage({ filterData: { title: ['a', 'local'] }, options: {} });
+      sync.deviceId = 'other-device';
+      await sync.write({ filterData: { title: ['a', 'remote'] }, options: {} });
+      sync.deviceId = 'this-device';
+      sync.base = JSON.stringify(base);
+      chrome.storage.local.set.mockClear();
+
+      await sync.pull();
+
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        storageData: { filterData: { title: ['a', 'local', 'remote'] }, options: {} }
+      });
+      // local edits are sent back to the other devices
+      expect(syncArea.sync_meta.device).toBe('this-device');
+    });
+
+    test('pull should ignore data of another profile', async () => {
+      background._setStorage({ filterData: { title: ['a'] }, options: {} });
+      sync.deviceId = 'other-device';
+      sync.profile = 'Kids';
+      await sync.write({ filterData: { title: ['kids'] }, options: {} });
+      sync.deviceId = 'this-device';
+      sync.profile = 'Default';
+      chrome.storage.local.set.mockClear();
+
+      await sync.pull();
+      await sync.start();
+
+      expect(chrome.storage.local.set).not.toHaveBeenCalledWith(expect.objectContaining({ storageData: expect.anything() }));
+      expect(syncArea.sync_meta.profile).toBe('Kids');
+    });
+
+    test('switchProfile should sync with the new profile instead of pushing the switch', async () => {
+      sync.deviceId = 'other-device';
+      sync.profile = 'Kids';
+      await sync.write({ filterData: { title: ['kids', 'remote'] }, options: {} });
+      sync.deviceId = 'this-device';
+      sync.profile = 'Default';
+      sync.base = JSON.stringify({ filterData: { title: ['a'] }, options: {} });
+      background._setStorage({ filterData: { title: ['kids'] }, options: {} });
+      chrome.storage.local.set.mockClear();
+
+      await sync.switchProfile('Kids');
+
+      expect(sync.profile).toBe('Kids');
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith('syncBase');
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        storageData: { filterData: { title: ['kids', 'remote'] }, options: {} }
+      });
+      expect(syncArea.sync_meta.profile).toBe('Kids');
+    });
+
+    test('push should skip unchanged data', async () => {
+      background._setStorage({ filterData: { title: ['a'] }, options: {} });
+      sync.base = JSON.stringify(background._getStorage());
+      await sync.push();
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+    });
+
+    test('start should upload local data when sync storage is empty', async () => {
+      background._setStorage({ filterData: { title: ['a'] }, options: {} });
+      await sync.start();
+      expect((await sync.read()).data).toEqual({ filterData: { title: ['a'] }, options: {} });
+    });
+  });
+
+  describe('filterLists', () => {
+    const http = require('http');
+    const { filterLists } = background;
+    let server;
+    let baseUrl;
+    let localArea;
+    const pages = {
+      '/list.txt': [200, '! Title: Spam channels\n! comment\n[channelId]\nUC_SPAM_1\nUC_SPAM_2\n\n[title]\n/free giveaway/i\n'],
+      '/list.json': [200, JSON.stringify({ title: 'JSON list', filterData: { videoId: ['vid1'], vidLength: [1, 2] } })],
+      '/empty.txt': [200, '! nothing here\n'],
+      '/missing.txt': [404, 'Not found'],
+    };
+
+    // minimal fetch over node's http module, jsdom has no fetch of its own
+    const fetchShim = (url) => new Promise((resolve, reject) => {
+      http.get(url, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          text: async () => body,
+        }));
+      }).on('error', reject);
+    });
+
+    beforeAll((done) => {
+      server = http.createServer((req, res) => {
+        const [status, body] = pages[req.url] || [404, ''];
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(body);
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      global.fetch = jest.fn(fetchShim);
+      localArea = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        [].concat(keys).forEach((k) => { if (k in localArea) result[k] = localArea[k]; });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items) => { Object.assign(localArea, items); });
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation(() => {});
+      background._setSubscriptions([]);
+    });
+
+    test('parse should read sections of a text list', () => {
+      const list = filterLists.parse(pages['/list.txt'][1]);
+      expect(list.title).toBe('Spam channels');
+      expect(list.filterData).toEqual({ channelId: ['UC_SPAM_1', 'UC_SPAM_2'], title: ['/free giveaway/i'] });
+      expect(list.count).toBe(3);
+    });
+
+    test('parse should skip entries of unknown sections', () => {
+      const list = filterLists.parse('[future]\nsomething\n[title]\nkeyword');
+      expect(list.filterData).toEqual({ title: ['keyword'] });
+    });
+
+    test('parse should keep only known lists of a JSON list', () => {
+      const list = filterLists.parse(pages['/list.json'][1]);
+      expect(list.title).toBe('JSON list');
+      expect(list.filterData).toEqual({ videoId: ['vid1'] });
+    });
+
+    test('parse should reject lists without entries', () => {
+      expect(() => filterLists.parse('! nothing here')).toThrow('No filter entries found');
+      expect(() => filterLists.parse('{"filterData": ')).toThrow();
+    });
+
+    test('update should fetch new lists and store them', async () => {
+      localArea.subscriptions = [{ url: `${baseUrl}/list.txt` }];
+      await filterLists.update();
+
+      const [sub] = localArea.subscriptions;
+      expect(sub.title).toBe('Spam channels');
+      expect(sub.count).toBe(3);
+      expect(sub.error).toBeNull();
+      expect(sub.lastUpdated).toBe(sub.lastAttempt);
+    });
+
+    test('update should record errors and keep the last good copy', async () => {
+      const filterData = { channelId: ['UC_OLD'] };
+      localArea.subscriptions = [
+        { url: `${baseUrl}/missing.txt`, filterData, count: 1, lastUpdated: 1, lastAttempt: 1 },
+        { url: `${baseUrl}/empty.txt` },
+      ];
+      await filterLists.update();
+
+      const [missing, empty] = localArea.subscriptions;
+      expect(missing.error).toBe('HTTP 404');
+      expect(missing.filterData).toEqual(filterData);
+      expect(missing.lastUpdated).toBe(1);
+      expect(empty.error).toBe('No filter entries found');
+    });
+
+    test('update should skip lists fetched recently unless forced', async () => {
+      localArea.subscriptions = [{ url: `${baseUrl}/list.txt`, lastAttempt: Date.now() }];
+      await filterLists.update();
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      await filterLists.update(true);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('update should not bring back a list removed while fetching', async () => {
+      localArea.subscriptions = [{ url: `${baseUrl}/list.txt` }, { url: `${baseUrl}/list.json` }];
+      global.fetch.mockImplementation((url) => {
+        localArea.subscriptions = localArea.subscriptions.filter(v => v.url !== `${baseUrl}/list.json`);
+        return fetchShim(url);
+      });
+      await filterLists.update();
+      expect(localArea.subscriptions.map(v => v.url)).toEqual([`${baseUrl}/list.txt`]);
+    });
+
+    test('schedule should create the alarm only once', () => {
+      filterLists.schedule();
+      expect(chrome.alarms.create).toHaveBeenCalledWith('filterLists', { periodInMinutes: 60 });
+
+      chrome.alarms.create.mockClear();
+      chrome.alarms.get.mockImplementationOnce((name, callback) => callback({ name }));
+      filterLists.schedule();
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    test('compileAll should add subscribed entries to the user lists', () => {
+      const data = { filterData: { channelId: ['UC_MINE'], vidLength: [null, null] }, options: {} };
+      background._setSubscriptions([{ url: 'x', filterData: { channelId: ['UC_SPAM_1'] } }]);
+      const result = utils.compileAll(data);
+      expect(result.filterData.channelId).toEqual([['^UC_MINE$', ''], ['^UC_SPAM_1$', '']]);
+      expect(data.filterData.channelId).toEqual(['UC_MINE']);
+    });
+  });
+
+  describe('ruleStats', () => {
+    const { ruleStats } = background;
+    let localArea;
+
+    beforeEach(() => {
+      localArea = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        [].concat(keys).forEach((k) => { if (k in localArea) result[k] = localArea[k]; });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items) => { Object.assign(localArea, items); });
+      ruleStats.pending = {};
+    });
+
+    afterEach(() => {
+      clearTimeout(ruleStats.timer);
+      ruleStats.timer = undefined;
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation(() => {});
+    });
+
+    test('compileAll should keep the source entry of every pattern', () => {
+      const result = utils.compileAll({
+        filterData: {
+          title: ['// comment', 'news', 'news', '[home] /clickbait/i', '@@ good news'],
+          compoundRules: ['title:a AND title:b'],
+          vidLength: [null, null],
+          javascript: ''
+        },
+        options: {}
+      });
+      expect(result.filterData.sources.title).toEqual(['news', '[home] /clickbait/i']);
+      expect(result.filterData.sources.exceptions.title).toEqual(['@@good news']);
+      expect(result.filterData.compoundRules[0].source).toBe('title:a AND title:b');
+    });
+
+    test('add should sum batches until the flush', () => {
+      ruleStats.add({ title: { news: 2 }, contentTypes: { shorts: 1 } });
+      ruleStats.add({ title: { news: 1, bogus: 'x' }, nope: null });
+      expect(ruleStats.pending.title.news.hits).toBe(3);
+      expect(ruleStats.pending.title.bogus).toBeUndefined();
+      expect(ruleStats.timer).toBeDefined();
+    });
+
+    test('flush should store hits of the user entries and content types', async () => {
+      background._setStorage({ filterData: { title: ['news', 'sports'], channelId: [] }, options: {} });
+      ruleStats.add({ title: { news: 2, 'from a list': 1 }, contentTypes: { shorts: 1 } });
+      await ruleStats.flush();
+
+      const stats = localArea.ruleStats;
+      expect(stats.title.news.hits).toBe(2);
+      expect(stats.title.news.last).toEqual(expect.any(Number));
+      expect(stats.title.sports).toEqual({ hits: 0, last: null, added: expect.any(Number) });
+      expect(stats.title['from a list']).toBeUndefined();
+      expect(stats.contentTypes.shorts.hits).toBe(1);
+    });
+
+    test('track should keep records of existing entries and drop removed ones', () => {
+      const stats = { title: { news: { hits: 5, last: 1, added: 1 }, old: { hits: 1, last: 1, added: 1 } } };
+      const changed = ruleStats.track(stats, { filterData: { title: ['news', '@@ good'] } }, 2);
+      expect(changed).toBe(true);
+      expect(stats.title).toEqual({
+        news: { hits: 5, last: 1, added: 1 },
+        '@@good': { hits: 0, last: null, added: 2 }
+      });
+      expect(ruleStats.track(stats, { filterData: { title: ['news', '@@ good'] } }, 3)).toBe(false);
+    });
+
+    test('update should only write when entries changed', async () => {
+      background._setStorage({ filterData: { title: ['news'] }, options: {} });
+      await ruleStats.update();
+      expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+      await ruleStats.update();
+      expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('blockLog', () => {
+    const { blockLog } = background;
+    let localArea;
+
+    beforeEach(() => {
+      localArea = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        [].concat(keys).forEach((k) => { if (k in localArea) result[k] = localArea[k]; });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items) => { Object.assign(localArea, items); });
+      blockLog.pending = [];
+    });
+
+    afterEach(() => {
+      clearTimeout(blockLog.timer);
+      blockLog.timer = undefined;
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation(() => {});
+    });
+
+    test('add should keep only known text fields', () => {
+      blockLog.add([{ time: 5, videoId: 'vid1', title: 'x'.repeat(500), list: 'title', entry: 'x', extra: 'no', surface: 3 }, null]);
+      expect(blockLog.pending).toEqual([{ time: 5, videoId: 'vid1', title: 'x'.repeat(200), list: 'title', entry: 'x' }]);
+      expect(blockLog.timer).toBeDefined();
+    });
+
+    test('add should ignore malformed batches', () => {
+      blockLog.add({ videoId: 'vid1' });
+      expect(blockLog.pending).toEqual([]);
+      expect(blockLog.timer).toBeUndefined();
+    });
+
+    test('flush should append to the stored log', async () => {
+      localArea.blockLog = [{ time: 1, videoId: 'old' }];
+      blockLog.add([{ time: 2, videoId: 'new' }]);
+      await blockLog.flush();
+      expect(localArea.blockLog.map(v => v.videoId)).toEqual(['old', 'new']);
+      expect(blockLog.pending).toEqual([]);
+    });
+
+    test('flush should keep only the newest 1000 items', async () => {
+      localArea.blockLog = Array.from({ length: 1000 }, (v, i) => ({ time: i }));
+      blockLog.add([{ time: 1000 }, { time: 1001 }]);
+      await blockLog.flush();
+      expect(localArea.blockLog.length).toBe(1000);
+      expect(localArea.blockLog[0].time).toBe(2);
+      expect(localArea.blockLog[999].time).toBe(1001);
+    });
+  });
+
+  describe('expiring entries', () => {
+    const { expiry } = background;
+    const past = '2000-01-01';
+    const future = '2999-01-01T12:30';
+    let localArea;
+
+    beforeEach(() => {
+      localArea = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        [].concat(keys).forEach((k) => { if (k in localArea) result[k] = localArea[k]; });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items) => { Object.assign(localArea, items); });
+    });
+
+    afterEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation(() => {});
+    });
+
+    test('parseExpiry should read the date in local time', () => {
+      expect(utils.parseExpiry('news $expires=2025-03-04T05:06')).toEqual({
+        entry: 'news',
+        expires: new Date(2025, 2, 4, 5, 6).getTime()
+      });
+      expect(utils.parseExpiry('news $expires=2025-03-04').expires).toBe(new Date(2025, 2, 4).getTime());
+      expect(utils.parseExpiry('price $5')).toEqual({ entry: 'price $5' });
+    });
+
+    test('compileRegex should skip expired entries and strip the expiry', () => {
+      const sources = [];
+      const result = utils.compileRegex([`UC1 $expires=${past}`, `UC2 $expires=${future}`, 'UC3'], 'channelId', sources);
+      expect(result).toEqual([['^UC2$', ''], ['^UC3$', '']]);
+      expect(sources).toEqual([`UC2 $expires=${future}`, 'UC3']);
+    });
+
+    test('expiry should work with scopes, exceptions and compound rules', () => {
+      expect(utils.compileRegex([`[home] news $expires=${future}`], 'title')[0][2]).toEqual({ include: ['home'], exclude: [] });
+      expect(utils.compileExceptions([`@@UC1 $expires=${future}`, `@@UC2 $expires=${past}`], 'channelId')).toEqual([['^UC1$', '']]);
+      const rules = utils.compileRules([`title:a $expires=${past}`, `title:b $expires=${future}`]);
+      expect(rules.length).toBe(1);
+      expect(rules[0].source).toBe(`title:b $expires=${future}`);
+    });
+
+    test('nextExpiry should return the earliest expiry', () => {
+      const filterData = {
+        title: ['news', `// $expires=${past}`, `a $expires=2030-01-01`],
+        channelId: [`UC1 $expires=2029-01-01`],
+        vidLength: [null, null]
+      };
+      expect(utils.nextExpiry(filterData)).toBe(new Date(2029, 0, 1).getTime());
+      expect(utils.nextExpiry({ title: ['news'] })).toBeUndefined();
+    });
+
+    test('dropExpired should remove emptied context menu blocks', () => {
+      const entries = [
+        'kept',
+        '// Blocked by context menu (Channel) (1/1/2000)',
+        `UC1 $expires=${past}`,
+        '',
+        '// Blocked by context menu (Other) (1/1/2000)',
+        `UC2 $expires=${past}`,
+        `UC3 $expires=${future}`,
+        '',
+        '// Blocked by context menu (Last) (1/1/2000)',
+        `UC4 $expires=${past}`,
+        '',
+      ];
+      expect(utils.dropExpired(entries)).toEqual([
+        'kept',
+        '// Blocked by context menu (Other) (1/1/2000)',
+        `UC3 $expires=${future}`,
+        '',
+        '',
+      ]);
+      const unchanged = ['news', ''];
+      expect(utils.dropExpired(unchanged)).toBe(unchanged);
+    });
+
+    test('drop should save storage without expired entries', async () => {
+      localArea.storageData = { filterData: { title: ['news', `old $expires=${past}`], vidLength: [null, null] }, options: {} };
+      expect(await expiry.drop()).toBe(true);
+      expect(localArea.storageData.filterData.title).toEqual(['news']);
+    });
+
+    test('drop should schedule the next expiry when nothing expired', async () => {
+      localArea.storageData = { filterData: { title: [`soon $expires=${future}`] }, options: {} };
+      expect(await expiry.drop()).toBe(false);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      expect(chrome.alarms.create).toHaveBeenCalledWith('expiredEntries', { when: new Date(2999, 0, 1, 12, 30).getTime() });
+
+      expiry.schedule({ filterData: { title: ['news'] } });
+      expect(chrome.alarms.clear).toHaveBeenCalledWith('expiredEntries');
+    });
+  });
+
+  describe('channel ID resolution', () => {
+    const { channelIds } = background;
+    const id = 'UC1234567890123456789012';
+    let localArea;
+
+    beforeEach(() => {
+      localArea = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        [].concat(keys).forEach((k) => { if (k in localArea) result[k] = localArea[k]; });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items) => { Object.assign(localArea, items); });
+      channelIds.failed = {};
+      global.fetch = jest.fn(() => Promise.reject(Error('offline')));
+      jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation(() => {});
+      delete global.fetch;
+      console.error.mockRestore();
+    });
+
+    const setChannelIds = channelId => background._setStorage({ filterData: { channelId }, options: {} });
+    const page = body => Promise.resolve({ ok: true, text: () => Promise.resolve(body) });
+
+    test('channelRef should read handles and channel URLs', () => {
+      expect(utils.channelRef('https://www.youtube.com/@Somebody')).toEqual({ key: '@somebody' });
+      expect(utils.channelRef('youtube.com/@Somebody/videos')).toEqual({ key: '@somebody' });
+      expect(utils.channelRef('@Somebody')).toEqual({ key: '@somebody' });
+      expect(utils.channelRef('https://m.youtube.com/user/Name')).toEqual({ key: 'user/name' });
+      expect(utils.channelRef('/c/Name?view=0')).toEqual({ key: 'c/name' });
+      expect(utils.channelRef('@%E3%81%82')).toEqual({ key: '@あ' });
+      expect(utils.channelRef(`https://www.youtube.com/channel/${id}`)).toEqual({ id });
+      expect(utils.channelRef(id)).toBeUndefined();
+      expect(utils.channelRef('https://example.com/@Somebody')).toBeUndefined();
+    });
+
+    test('compileRegex should skip pending channel URLs and handles', () => {
+      const sources = [];
+      const result = utils.compileRegex([id, 'https://www.youtube.com/@Somebody', '[home] /user/Name'], 'channelId', sources);
+      expect(result).toEqual([[`^${id}$`, '']]);
+      expect(sources).toEqual([id]);
+    });
+
+    test('resolveChannelRefs should keep the original input as a comment', () => {
+      const mappings = { '@somebody': id };
+      const entries = [
+        'UCabcdefghijklmnopqrstuv',
+        'https://www.youtube.com/@Somebody',
+        '@@[home] @somebody $expires=2999-01-01',
+        '// @Somebody',
+        '/user/Unknown',
+        '',
+      ];
+      expect(utils.resolveChannelRefs(entries, mappings)).toEqual([
+        'UCabcdefghijklmnopqrstuv',
+        '// https://www.youtube.com/@Somebody',
+        id,
+        '// @@[home] @somebody $expires=2999-01-01',
+        `@@[home] ${id} $expires=2999-01-01`,
+        '// @Somebody',
+        '/user/Unknown',
+        '',
+      ]);
+      const unchanged = ['/user/Unknown'];
+      expect(utils.resolveChannelRefs(unchanged, mappings)).toBe(unchanged);
+    });
+
+    test('resolve should replace channel URLs without a mapping', async () => {
+      setChannelIds([`https://www.youtube.com/channel/${id}/videos`]);
+      await channelIds.resolve();
+      expect(localArea.storageData.filterData.channelId).toEqual([`// https://www.youtube.com/channel/${id}/videos`, id]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('add should store mappings from channel pages and resolve pending entries', async () => {
+      setChannelIds(['https://www.youtube.com/@Somebody', '/user/Name']);
+      await channelIds.add({ id, urls: ['http://www.youtube.com/@Somebody', '/user/Name', 42] });
+      expect(localArea.channelMappings).toEqual({ '@somebody': id, 'user/name': id });
+      expect(localArea.storageData.filterData.channelId).toEqual([
+        '// https://www.youtube.com/@Somebody', id, '// /user/Name', id,
+      ]);
+    });
+
+    test('resolve should prefer observed mappings over looking up the channel page', async () => {
+      localArea.channelMappings = { '@somebody': id };
+      setChannelIds(['@Somebody']);
+      await channelIds.resolve();
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(localArea.storageData.filterData.channelId).toEqual(['// @Somebody', id]);
+    });
+
+    test('resolve should look up unknown handles and user URLs on their channel page', async () => {
+      global.fetch.mockImplementation(url => page(url.endsWith('/@somebody')
+        ? `<html><script>var ytInitialData = {"metadata":{"channelMetadataRenderer":{"externalId":"${id}"}}};</script>`
+        : `<link rel="canonical" href="https://www.youtube.com/channel/UCabcdefghijklmnopqrstuv">`));
+      setChannelIds(['https://www.youtube.com/@Somebody', '[home] /user/Name', '']);
+      await channelIds.resolve();
+      expect(global.fetch.mock.calls.map(c => c[0])).toEqual([
+        'https://www.youtube.com/@somebody', 'https://www.youtube.com/user/name',
+      ]);
+      expect(localArea.channelMappings).toEqual({ '@somebody': id, 'user/name': 'UCabcdefghijklmnopqrstuv' });
+      expect(localArea.storageData.filterData.channelId).toEqual([
+        '// https://www.youtube.com/@Somebody', id, '// [home] /user/Name', '[home] UCabcdefghijklmnopqrstuv', '',
+      ]);
+    });
+
+    test('resolve should retry failed lookups only after an hour', async () => {
+      setChannelIds(['@Nobody']);
+      await channelIds.resolve(1000);
+      global.fetch.mockImplementation(() => page('<html>no channel here</html>'));
+      await channelIds.resolve(2000);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await channelIds.resolve(1000 + 60 * 60 * 1000 + 1);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(background._getStorage().filterData.channelId).toEqual(['@Nobody']);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('apply should keep context menu blocks made while resolving', async () => {
+      setChannelIds(['@Somebody']);
+      localArea.channelMappings = { '@somebody': id };
+      const resolving = channelIds.resolve();
+      utils.addContextBlock(background._getStorage(), { type: 'channelId', entries: ['UC_BLOCKED'] });
+      await resolving;
+      expect(localArea.storageData.filterData.channelId).toEqual(['// @Somebody', id, 'UC_BLOCKED']);
+    });
+
+    test('add should ignore invalid mappings', async () => {
+      await channelIds.add({ id: 'not an id', urls: ['@Somebody'] });
+      await channelIds.add({ id, urls: ['https://www.youtube.com/channel/' + id] });
+      await channelIds.add(null);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('schedules', () => {
+    const { schedules } = background;
+    const work = { name: 'Work', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:30', options: { shorts: true }, filterData: { title: ['gaming'] } };
+    const night = { name: 'Night', days: [5], start: '22:00', end: '06:00', options: { mixes: true } };
+    // 2025-01-06 is a Monday
+    const at = (day, hours, minutes = 0) => new Date(2025, 0, day, hours, minutes);
+
+    afterEach(() => {
+      background._setStorage({ filterData: {}, options: {} });
+      background._setActiveSchedule(undefined);
+    });
+
+    test('isActive should check the week day and time range', () => {
+      expect(schedules.isActive(work, at(6, 9))).toBe(true);
+      expect(schedules.isActive(work, at(6, 17, 29))).toBe(true);
+      expect(schedules.isActive(work, at(6, 17, 30))).toBe(false);
+      expect(schedules.isActive(work, at(5, 12))).toBe(false);
+      expect(schedules.isActive({ start: '09:00', end: '10:00' }, at(5, 9, 30))).toBe(true);
+      expect(schedules.isActive({ days: [1], start: 'bogus', end: '10:00' }, at(6, 9, 30))).toBe(false);
+    });
+
+    test('isActive should reject times outside the day', () => {
+      expect(schedules.minutes('23:59')).toBe(1439);
+      expect(schedules.minutes('7:05')).toBe(425);
+      ['24:00', '99:99', '12:60', '12:5', ''].forEach(v => expect(schedules.minutes(v)).toBeUndefined());
+      expect(schedules.isActive({ start: '09:00', end: '25:00' }, at(6, 10))).toBe(false);
+    });
+
+    test('isActive should carry overnight schedules into the next day', () => {
+      expect(schedules.isActive(night, at(10, 23))).toBe(true);
+      expect(schedules.isActive(night, at(11, 5, 59))).toBe(true);
+      expect(schedules.isActive(night, at(11, 6))).toBe(false);
+      expect(schedules.isActive(night, at(10, 5))).toBe(false);
+    });
+
+    test('find should return the first active schedule', () => {
+      expect(schedules.find([work, { name: 'Always', start: '00:00', end: '00:00' }], at(6, 10)).name).toBe('Work');
+      expect(schedules.find([work], at(6, 20))).toBeUndefined();
+      expect(schedules.find(undefined)).toBeUndefined();
+    });
+
+    test('next should return the closest start or end', () => {
+      expect(schedules.next([work, night], at(6, 10).getTime())).toBe(at(6, 17, 30).getTime());
+      expect(schedules.next([work], at(6, 18).getTime())).toBe(at(7, 9).getTime());
+      expect(schedules.next([], at(6, 18).getTime())).toBeUndefined();
+    });
+
+    test('compileAll should apply the active schedule', () => {
+      const data = { filterData: { title: ['news'], vidLength: [null, null] }, options: { shorts: false } };
+      const result = utils.compileAll(data, {}, [], work);
+      expect(result.options.shorts).toBe(true);
+      expect(result.filterData.sources.title).toEqual(['news', 'gaming']);
+      expect(utils.compileAll(data, { options: { shorts: false } }, [], work).options.shorts).toBe(false);
+    });
+
+    test('compileAll should switch to the filters and options of a scheduled profile', () => {
+      const data = {
+        filterData: { title: ['news'], allowlist: [], vidLength: [10, null], javascript: 'x' },
+        options: { shorts: false, allowlist_mode: false }
+      };
+      const evening = { name: 'Evening', start: '00:00', end: '00:00', profile: 'Relaxed', options: { shorts: true } };
+      background._setInactiveProfiles({
+        Relaxed: { filterData: { allowlist: ['UC_EDUCATION'] }, options: { allowlist_mode: true } }
+      });
+      try {
+        const result = utils.compileAll(data, {}, [], evening);
+        expect(result.options).toEqual({ shorts: true, allowlist_mode: true });
+        expect(result.filterData.title).toEqual([]);
+        expect(result.filterData.sources.allowlist).toEqual(['UC_EDUCATION']);
+        expect(result.filterData.vidLength).toEqual([null, null]);
+        expect(result.filterData.javascript).toBe('');
+
+        // the active profile itself, or one that was deleted, leaves the user's filters in place
+        expect(utils.compileAll(data, {}, [], { ...evening, profile: 'Missing' }).filterData.sources.title).toEqual(['news']);
+      } finally {
+        background._setInactiveProfiles({});
+      }
+    });
+
+    test('the rule tester should compile the sent filters without the active schedule', () => {
+      const data = { filterData: { title: ['news'], vidLength: [null, null] }, options: { shorts: false } };
+      const sendResponse = jest.fn();
+      background._setActiveSchedule(work);
+      expect(onRuntimeMessage({ type: 'compileFilters', data }, {}, sendResponse)).toBe(false);
+      const result = sendResponse.mock.calls[0][0];
+      expect(result.options.shorts).toBe(false);
+      expect(result.filterData.sources.title).toEqual(['news']);
+    });
+
+    test('update should switch the active schedule and set the alarm', () => {
+      background._setStorage({ filterData: {}, options: {}, schedules: [work] });
+
+      expect(schedules.update(at(6, 10).getTime())).toBe(true);
+      expect(background._getActiveSchedule().name).toBe('Work');
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({ activeSchedule: 'Work' });
+      expect(chrome.alarms.create).toHaveBeenCalledWith('schedules', { when: at(6, 17, 30).getTime() });
+
+      expect(schedules.update(at(6, 11).getTime())).toBe(false);
+      expect(schedules.update(at(6, 18).getTime())).toBe(true);
+      expect(background._getActiveSchedule()).toBeNull();
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith({ activeSchedule: null });
+    });
+
+    test('update should clear the alarm without schedules', () => {
+      background._setStorage({ filterData: {}, options: {} });
+      schedules.update();
+      expect(chrome.alarms.clear).toHaveBeenCalledWith('schedules');
+    });
+  });
+
+  describe('profiles', () => {
+    const { profiles, ruleStats } = background;
+    let localArea;
+
+    beforeEach(() => {
+      localArea = {};
+      chrome.storage.local.get.mockImplementation((keys, callback) => {
+        const result = {};
+        [].concat(keys).forEach((k) => { if (k in localArea) result[k] = localArea[k]; });
+        callback(result);
+      });
+      chrome.storage.local.set.mockImplementation((items, callback) => {
+        Object.assign(localArea, items);
+        if (callback) callback();
+      });
+    });
+
+    afterEach(() => {
+      background._setInactiveProfiles({});
+      chrome.storage.local.get.mockImplementation((keys, callback) => callback({}));
+      chrome.storage.local.set.mockImplementation(() => {});
+    });
+
+    test('swap should exchange the active profile and keep shared settings', () => {
+      const data = {
+        storageData: { filterData: { title: ['adult'] }, options: { shorts: false }, uiPass: 'secret', uiTheme: 'dark' },
+        profiles: { Kids: { filterData: { title: ['violence'] }, options: { shorts: true }, schedules: [{ name: 'School' }] } },
+      };
+      const items = profiles.swap(data, 'Kids');
+      expect(items.activeProfile).toBe('Kids');
+      expect(items.storageData).toEqual({
+        filterData: { title: ['violence'] },
+        options: { shorts: true },
+        schedules: [{ name: 'School' }],
+        uiPass: 'secret',
+        uiTheme: 'dark',
+      });
+      expect(items.profiles).toEqual({ Default: { filterData: { title: ['adult'] }, options: { shorts: false } } });
+
+      const back = profiles.swap({ ...items }, 'Default');
+      expect(back.storageData).toEqual(data.storageData);
+    });
+
+    test('swap should ignore unknown and active profiles', () => {
+      const data = { storageData: { filterData: {}, options: {} }, profiles: { Kids: {} }, activeProfile: 'Work' };
+      expect(profiles.swap(data, 'Nope')).toBeUndefined();
+      expect(profiles.swap(data, 'Work')).toBeUndefined();
+    });
+
+    test('switch should save the swapped profiles', async () => {
+      localArea.storageData = { filterData: { title: ['a'] }, options: {} };
+      localArea.profiles = { Work: { filterData: { title: ['b'] }, options: {} } };
+
+      expect(await profiles.switch('Work')).toBe(true);
+      expect(localArea.activeProfile).toBe('Work');
+      expect(localArea.storageData.filterData.title).toEqual(['b']);
+      expect(localArea.profiles.Default.filterData.title).toEqual(['a']);
+      expect(await profiles.switch('Work')).toBe(false);
+    });
+
+    test('renaming the active profile should carry the new name to sync', () => {
+      const { sync } = background;
+      const switchProfile = jest.spyOn(sync, 'switchProfile').mockResolvedValue();
+      try {
+        sync.profile = 'Default';
+        onStorageChanged({ activeProfile: { oldValue: 'Default', newValue: 'Home' } }, 'local');
+        expect(sync.profile).toBe('Home');
+        expect(switchProfile).not.toHaveBeenCalled();
+
+        background._setSyncEnabled(true);
+        onStorageChanged({ activeProfile: { oldValue: 'Home', newValue: 'Family' } }, 'local');
+        expect(switchProfile).toHaveBeenCalledWith('Family');
+      } finally {
+        background._setSyncEnabled(false);
+        switchProfile.mockRestore();
+        sync.profile = 'Default';
+      }
+    });
+
+    test('hit statistics should keep entries of inactive profiles', () => {
+      background._setInactiveProfiles({ Kids: { filterData: { title: ['violence'] } } });
+      const stats = { title: { violence: { hits: 3, last: 1, added: 1 } } };
+      ruleStats.track(stats, profiles.withInactive({ filterData: { title: ['news'] } }), 2);
+      expect(Object.keys(stats.title).sort()).toEqual(['news', 'violence']);
+      expect(stats.title.violence.hits).toBe(3);
+    });
+  });
+
   describe('State management helpers', () => {
     
     test('_getStorage and _setStorage should work correctly', () => {
@@ -418,6 +1564,36 @@ describe('background.js', () => {
         expect(validTypes.includes(type)).toBe(false);
       });
     });
+
+    test('addContextBlock should reject invalid filter types', () => {
+      const data = { filterData: { title: [] } };
+      ['invalid', 'javascript', 'vidLength', 'options', '__proto__', 'constructor'].forEach((type) => {
+        expect(utils.addContextBlock(data, { type, entries: ['x'] })).toBe(false);
+      });
+      expect(utils.addContextBlock(data, null)).toBe(false);
+      expect(data).toEqual({ filterData: { title: [] } });
+    });
+
+    test('addContextBlock should create lists missing from older storage', () => {
+      const data = { filterData: { channelId: ['UC1'] } };
+      const block = ['// Blocked by context menu (Handle) (1/1/2000)', '@somebody', ''];
+      expect(utils.addContextBlock(data, { type: 'channelHandle', entries: block })).toBe(true);
+      expect(data.filterData.channelHandle).toEqual(block);
+      expect(utils.undoContextBlock(data, { type: 'channelHandle', entries: block })).toBe(true);
+      expect(data.filterData.channelHandle).toEqual([]);
+
+      const old = { filterData: { channelId: ['UC1'] } };
+      expect(utils.undoContextBlock(old, { type: 'channelHandle', entries: block })).toBe(false);
+      expect(old.filterData).toEqual({ channelId: ['UC1'] });
+    });
+
+    test('removeEntries should take out the last run of undone entries', () => {
+      const block = ['// Blocked by context menu (Channel) (1/1/2000)', 'UC1', ''];
+      const list = ['// Add your channel ID filters below', '', ...block, 'UC2', ...block];
+      expect(utils.removeEntries(list, block)).toEqual(['// Add your channel ID filters below', '', ...block, 'UC2']);
+      const edited = ['// Add your channel ID filters below', '', block[0], 'UC1 # note', ''];
+      expect(utils.removeEntries(edited, block)).toBe(edited);
+    });
   });
 });
 
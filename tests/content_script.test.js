@@ -222,6 +222,72 @@ describe('content_script.js', () => {
       // Should contain date-like pattern
       expect(comment).toMatch(/\d+/);
     });
+
+    test('should add an expiry when context menu blocks are temporary', () => {
+      const mockPort = contentScript._getPort();
+      contentScript._setCompiledStorage({ options: { context_block_expiry: 7 } });
+      jest.spyOn(Date, 'now').mockReturnValue(new Date(2025, 0, 5, 9, 7).getTime());
+
+      events.contextBlock({
+        type: 'channelId',
+        info: {
+          id: ['UC123', 'UC456'],
+          text: 'Test'
+        }
+      });
+
+      Date.now.mockRestore();
+
+      const entries = mockPort.postMessage.mock.calls[0][0].data.entries;
+      expect(entries.slice(1)).toEqual(['UC123 $expires=2025-01-12T09:07', 'UC456 $expires=2025-01-12T09:07', '']);
+    });
+
+    test('should send the entries of a block back to undo it', () => {
+      const mockPort = contentScript._getPort();
+      events.contextBlock({ type: 'videoId', info: { id: 'video123', text: 'Test Video' }, token: 't1' });
+      const { entries } = mockPort.postMessage.mock.calls[0][0].data;
+
+      events.contextUndo('t1');
+      expect(mockPort.postMessage).toHaveBeenLastCalledWith({ type: 'contextUndo', data: { type: 'videoId', entries } });
+
+      // a block is undone once
+      events.contextUndo('t1');
+      expect(mockPort.postMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test('formatExpiry should use local time', () => {
+      expect(contentScript.utils.formatExpiry(new Date(2025, 0, 5, 9, 7))).toBe('2025-01-05T09:07');
+    });
+  });
+
+  describe('events.ruleHits', () => {
+    const { events } = contentScript;
+
+    test('should forward hit batches to the background', () => {
+      const mockPort = { postMessage: jest.fn() };
+      contentScript._setPort(mockPort);
+
+      events.ruleHits({ title: { news: 2 } });
+
+      expect(mockPort.postMessage).toHaveBeenCalledWith({ type: 'ruleHits', data: { title: { news: 2 } } });
+    });
+
+    test('should forward blocked items to the background', () => {
+      const mockPort = { postMessage: jest.fn() };
+      contentScript._setPort(mockPort);
+
+      events.blockedItems([{ videoId: 'vid1', list: 'title', entry: 'news' }]);
+
+      expect(mockPort.postMessage).toHaveBeenCalledWith({
+        type: 'blockedItems',
+        data: [{ videoId: 'vid1', list: 'title', entry: 'news' }]
+      });
+    });
+
+    test('should drop hits when the port is closed', () => {
+      contentScript._setPort({ postMessage: jest.fn(() => { throw Error('disconnected'); }) });
+      expect(() => events.ruleHits({ title: { news: 1 } })).not.toThrow();
+    });
   });
 
   describe('dateFormatter', () => {
@@ -0,0 +1,87 @@
+/**
+ * Tests for filter.js, the filter engine shared by inject.js and the options page
+ */
+
+global.window = global;
+global.window.addEventListener = jest.fn();
+global.window.postMessage = jest.fn();
+
+const { createFilter } = require('../src/scripts/filter.js');
+
+describe('filter.js', () => {
+  const compiled = filterData => ({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null], javascript: '', ...filterData
+    },
+    options: {}
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should not act on the page when a filter is created', () => {
+    const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+    try {
+      createFilter();
+      expect(window.addEventListener).not.toHaveBeenCalled();
+      expect(window.postMessage).not.toHaveBeenCalled();
+      expect(info).not.toHaveBeenCalled();
+    } finally {
+      info.mockRestore();
+    }
+  });
+
+  test('should keep the storage data of each filter to itself', () => {
+    const filter = createFilter();
+    const other = createFilter();
+    const data = compiled({ videoId: [['^vid1$', '']] });
+    filter.transformToRegExp(data);
+    filter.setStorageData(data);
+
+    const blocked = { contents: [{ videoRenderer: { videoId: 'vid1' } }] };
+    filter.ObjectFilter(blocked, filter.filterRules.main, [], false, 'home');
+    expect(blocked.contents).toEqual([]);
+
+    other.setStorageData(compiled({}));
+    const kept = { contents: [{ videoRenderer: { videoId: 'vid1' } }] };
+    other.ObjectFilter(kept, other.filterRules.main, [], false, 'home');
+    expect(kept.contents).toHaveLength(1);
+    expect(other.filterRules).not.toBe(filter.filterRules);
+  });
+
+  test('should run the rule tester on its own', () => {
+    const filter = createFilter();
+    const object = {
+      contents: [{ videoRenderer: { videoId: 'vid1', title: { runs: [{ text: 'Spoiler ahead' }] } } }]
+    };
+    const data = compiled({ title: [['spoiler', 'i']], sources: { title: ['/spoiler/i'], exceptions: {} } });
+    const result = filter.testFilters(data, object, 'home');
+    expect(result.blocked[0]).toMatchObject({ objectType: 'videoRenderer', list: 'title', entry: '/spoiler/i' });
+    expect(result.object.contents).toEqual([]);
+  });
+
+  test('should remove blocked objects when no custom function is registered', () => {
+    const filter = createFilter();
+    const data = compiled({ videoId: [['^vid1$', '']] });
+    filter.transformToRegExp(data);
+    filter.setStorageData(data);
+    const object = { videoDetails: { videoId: 'vid1', title: 'A video' } };
+    filter.ObjectFilter(object, filter.filterRules.ytPlayer, [], false, 'watch');
+    expect(object.videoDetails).toBeUndefined();
+    expect(object.playabilityStatus).toBeUndefined();
+  });
+
+  test('should ask the page to schedule reports outside the rule tester', () => {
+    const filter = createFilter();
+    filter.hooks.scheduleReports = jest.fn();
+    filter.countHit('title', 'news');
+    expect(filter.hooks.scheduleReports).toHaveBeenCalledTimes(1);
+    expect(filter.takeReports()).toEqual({ ruleHits: { title: { news: 1 } }, blockedItems: undefined });
+    expect(filter.takeReports()).toEqual({ ruleHits: undefined, blockedItems: undefined });
+
+    filter.testFilters(compiled({ title: [['news', 'i']] }), { videoRenderer: { title: { simpleText: 'news' } } }, 'home');
+    expect(filter.hooks.scheduleReports).toHaveBeenCalledTimes(1);
+  });
+});
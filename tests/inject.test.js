@@ -12,6 +12,7 @@ global.window.postMessage = jest.fn();
 
 // Now require the module
 const inject = require('../src/scripts/inject.js');
+const background = require('../src/scripts/background.js');
 
 describe('inject.js core functions', () => {
   
@@ -203,8 +204,8 @@ describe('inject.js core functions', () => {
       expect(parseViewCount('1 view')).toBe(1);
     });
 
-    test('should return undefined for non-English format', () => {
-      expect(parseViewCount('1000 vues')).toBeUndefined();
+    test('should handle non-English format', () => {
+      expect(parseViewCount('1000 vues')).toBe(1000);
     });
 
     test('should return undefined for invalid format', () => {
@@ -212,6 +213,29 @@ describe('inject.js core functions', () => {
     });
   });
 
+  describe('isOutOfRange', () => {
+    const { isOutOfRange } = inject;
+
+    test('should remove values outside allow ranges', () => {
+      expect(isOutOfRange(5, [10, null], 'allow')).toBe(true);
+      expect(isOutOfRange(50, [null, 20], 'allow')).toBe(true);
+      expect(isOutOfRange(15, [10, 20], 'allow')).toBe(false);
+      expect(isOutOfRange(15, [null, null], 'allow')).toBe(false);
+    });
+
+    test('should remove values within block ranges', () => {
+      expect(isOutOfRange(15, [10, 20], 'block')).toBe(true);
+      expect(isOutOfRange(5, [10, 20], 'block')).toBe(false);
+      // both bounds are needed to block
+      expect(isOutOfRange(15, [10, null], 'block')).toBe(false);
+    });
+
+    test('should ignore missing values and ranges', () => {
+      expect(isOutOfRange(undefined, [10, 20], 'allow')).toBe(false);
+      expect(isOutOfRange(5, undefined, 'allow')).toBe(false);
+    });
+  });
+
   describe('deepClone', () => {
     const { deepClone } = inject;
 
@@ -725,6 +749,26 @@ describe('inject.js core functions', () => {
       expect(data.videoRenderer).toBeDefined();
     });
 
+    test('should pass rules without properties to the JS filter, except the player markers', () => {
+      const customFilter = jest.fn().mockReturnValue(false);
+      inject._setJsFilter(customFilter);
+      inject._setStorageData({
+        filterData: { videoId: [], channelId: [], channelName: [], title: [], comment: [], vidLength: [null, null] },
+        options: { enable_javascript: true }
+      });
+
+      ObjectFilter({ contents: [{ gridShelfViewModel: {} }, { richSectionRenderer: {} }] }, filterRules.main);
+      expect(customFilter.mock.calls.map(c => c[1])).toEqual(['richSectionRenderer', 'gridShelfViewModel']);
+
+      customFilter.mockClear();
+      ObjectFilter({
+        playabilityStatus: { status: 'OK' },
+        paidContentOverlay: {},
+        videoDetails: { videoId: 'vid1', title: 'Video' },
+      }, filterRules.ytPlayer);
+      expect(customFilter.mock.calls.map(c => c[1])).toEqual(['videoDetails']);
+    });
+
     test('should handle JS filter exception gracefully', () => {
       const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
       const customFilter = jest.fn().mockImplementation(() => {
@@ -1446,15 +1490,14 @@ describe('parseViewCount enhanced tests', () => {
     expect(parseViewCount('1 view')).toBe(1);
   });
 
-  test('should return undefined for non-English formats', () => {
-    expect(parseViewCount('1000 vues')).toBeUndefined();
-    expect(parseViewCount('1000 просмотров')).toBeUndefined();
+  test('should handle non-English formats', () => {
+    expect(parseViewCount('1000 vues')).toBe(1000);
+    expect(parseViewCount('1000 просмотров')).toBe(1000);
   });
 
   test('should handle views with commas and K abbreviation', () => {
-    // Edge case: commas with abbreviation shouldn't occur in real data
-    // but implementation should handle it gracefully
-    expect(parseViewCount('1,5K views')).toBe(15000); // Comma removed, becomes 15K
+    // a comma not followed by three digits is a decimal separator
+    expect(parseViewCount('1,5K views')).toBe(1500);
   });
 });
 
@@ -1522,3 +1565,1279 @@ describe('Badge parsing with optional chaining', () => {
   });
 });
 
+
+describe('Allowlist mode', () => {
+  const { ObjectFilter, filterRules } = inject;
+
+  beforeEach(() => {
+    inject._setJsFilter(null);
+    inject._setStorageData({
+      filterData: {
+        videoId: [],
+        channelId: [],
+        channelName: [],
+        title: [],
+        comment: [],
+        description: [],
+        allowlist: [/^UC_ALLOWED$/i, /^Allowed Channel$/i],
+        vidLength: [null, null],
+        javascript: ''
+      },
+      options: { allowlist_mode: true }
+    });
+  });
+
+  afterEach(() => {
+    window.history.replaceState({}, '', '/');
+  });
+
+  const video = (videoId, browseId, name) => ({
+    videoRenderer: {
+      videoId,
+      shortBylineText: { runs: [{ text: name, navigationEndpoint: { browseEndpoint: { browseId } } }] }
+    }
+  });
+
+  test('should not consider data empty when allowlist mode is enabled', () => {
+    inject._setStorageData({
+      filterData: { videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [], vidLength: [NaN, NaN] },
+      options: { allowlist_mode: true }
+    });
+    expect(ObjectFilter({}, filterRules.main).isDataEmpty()).toBe(false);
+  });
+
+  test('should keep videos from allowed channel IDs', () => {
+    const data = video('vid1', 'UC_ALLOWED', 'Someone');
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeDefined();
+  });
+
+  test('should keep videos from allowed channel names', () => {
+    const data = video('vid1', 'UC_OTHER', 'Allowed Channel');
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeDefined();
+  });
+
+  test('should remove videos from other channels', () => {
+    const data = video('vid1', 'UC_OTHER', 'Other Channel');
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeUndefined();
+  });
+
+  test('should still apply block rules to allowed channels', () => {
+    inject._getStorageData().filterData.videoId = [/^vid1$/];
+    const data = video('vid1', 'UC_ALLOWED', 'Allowed Channel');
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeUndefined();
+  });
+
+  test('should remove videos without channel data outside of channel pages', () => {
+    const data = { videoRenderer: { videoId: 'vid1' } };
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeUndefined();
+  });
+
+  test('should keep videos without channel data on channel pages', () => {
+    window.history.replaceState({}, '', '/@allowed/videos');
+    const data = { gridVideoRenderer: { videoId: 'vid1' } };
+    ObjectFilter(data, filterRules.main);
+    expect(data.gridVideoRenderer).toBeDefined();
+  });
+
+  test('should not touch guide entries', () => {
+    const data = {
+      guideEntryRenderer: {
+        navigationEndpoint: { browseEndpoint: { browseId: 'UC_OTHER' } },
+        title: 'Other Channel'
+      }
+    };
+    ObjectFilter(data, filterRules.guide);
+    expect(data.guideEntryRenderer).toBeDefined();
+  });
+});
+
+describe('Compound rules', () => {
+  const { ObjectFilter, filterRules, evaluateRule } = inject;
+
+  const setRules = (compoundRules) => {
+    inject._setStorageData({
+      filterData: {
+        videoId: [],
+        channelId: [],
+        channelName: [],
+        title: [],
+        comment: [],
+        description: [],
+        compoundRules,
+        vidLength: [null, null],
+        javascript: ''
+      },
+      options: {}
+    });
+  };
+
+  const video = {
+    videoRenderer: {
+      videoId: 'vid1',
+      title: { simpleText: 'My reaction video' },
+      shortBylineText: { runs: [{ text: 'Some Channel', navigationEndpoint: { browseEndpoint: { browseId: 'UC_X' } } }] },
+      thumbnailOverlays: [{ thumbnailOverlayTimeStatusRenderer: { text: { simpleText: '12:00' } } }],
+      viewCountText: { simpleText: '2,500 views' },
+      ownerBadges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_VERIFIED' } }]
+    }
+  };
+
+  beforeEach(() => {
+    inject._setJsFilter(null);
+  });
+
+  test('should not consider data empty when compound rules exist', () => {
+    setRules([{ field: 'title', regex: /a/ }]);
+    expect(ObjectFilter({}, filterRules.main).isDataEmpty()).toBe(false);
+  });
+
+  test('should block when all AND conditions match', () => {
+    setRules([{ op: 'and', rules: [{ field: 'channelId', regex: /^UC_X$/ }, { field: 'title', regex: /reaction/i }] }]);
+    const data = deepCloneVideo();
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeUndefined();
+  });
+
+  test('should not block when one AND condition fails', () => {
+    setRules([{ op: 'and', rules: [{ field: 'channelId', regex: /^UC_Y$/ }, { field: 'title', regex: /reaction/i }] }]);
+    const data = deepCloneVideo();
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeDefined();
+  });
+
+  test('should evaluate duration, views and badges', () => {
+    setRules([{
+      op: 'and',
+      rules: [
+        { field: 'duration', cmp: '>=', value: 600 },
+        { field: 'views', cmp: '<', value: 3000 },
+        { field: 'badge', badge: 'verified' }
+      ]
+    }]);
+    const data = deepCloneVideo();
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeUndefined();
+  });
+
+  test('should match channel against both channel ID and name', () => {
+    setRules([{ field: 'channel', regex: /^Some Channel$/ }]);
+    const data = deepCloneVideo();
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeUndefined();
+  });
+
+  test('should not apply to objects without a video ID', () => {
+    setRules([{ op: 'not', rule: { field: 'title', regex: /nothing/ } }]);
+    const data = { guideEntryRenderer: { title: 'Home' } };
+    ObjectFilter(data, filterRules.guide);
+    expect(data.guideEntryRenderer).toBeDefined();
+  });
+
+  test('evaluateRule should treat missing values as not matching', () => {
+    const getValue = () => undefined;
+    expect(evaluateRule({ field: 'title', regex: /a/ }, getValue)).toBe(false);
+    expect(evaluateRule({ op: 'not', rule: { field: 'title', regex: /a/ } }, getValue)).toBe(true);
+  });
+
+  function deepCloneVideo() {
+    return inject.deepClone(video);
+  }
+});
+
+describe('Surface scopes', () => {
+  const { ObjectFilter, filterRules, isInScope, getPathSurface, getEndpointSurface } = inject;
+
+  const scoped = (regex, include, exclude = []) => Object.assign(regex, { scopes: { include, exclude } });
+
+  beforeEach(() => {
+    inject._setJsFilter(null);
+  });
+
+  afterEach(() => {
+    window.history.replaceState({}, '', '/');
+  });
+
+  test('isInScope should handle included and excluded surfaces', () => {
+    expect(isInScope(/a/, 'home')).toBe(true);
+    expect(isInScope(scoped(/a/, ['home']), 'home')).toBe(true);
+    expect(isInScope(scoped(/a/, ['home']), 'watch')).toBe(false);
+    expect(isInScope(scoped(/a/, [], ['subscriptions']), 'subscriptions')).toBe(false);
+    expect(isInScope(scoped(/a/, [], ['subscriptions']), undefined)).toBe(true);
+  });
+
+  test('getPathSurface should map pathnames to surfaces', () => {
+    expect(getPathSurface('/')).toBe('home');
+    expect(getPathSurface('/results')).toBe('search');
+    expect(getPathSurface('/watch')).toBe('watch');
+    expect(getPathSurface('/feed/subscriptions')).toBe('subscriptions');
+    expect(getPathSurface('/feed/history')).toBe('history');
+    expect(getPathSurface('/playlist')).toBe('playlist');
+    expect(getPathSurface('/@someone/videos')).toBe('channel');
+    expect(getPathSurface('/channel/UC123')).toBe('channel');
+    expect(getPathSurface('/feed/trending')).toBeUndefined();
+  });
+
+  test('getEndpointSurface should prefer the endpoint and browse_id', () => {
+    const browse = (value) => ({
+      responseContext: { serviceTrackingParams: [{ service: 'GFEEDBACK', params: [{ key: 'browse_id', value }] }] }
+    });
+    expect(getEndpointSurface(new URL('https://www.youtube.com/youtubei/v1/search'), {})).toBe('search');
+    expect(getEndpointSurface(new URL('https://www.youtube.com/youtubei/v1/next'), {})).toBe('watch');
+    const browseUrl = new URL('https://www.youtube.com/youtubei/v1/browse');
+    expect(getEndpointSurface(browseUrl, browse('FEsubscriptions'))).toBe('subscriptions');
+    expect(getEndpointSurface(browseUrl, browse('VLPL123'))).toBe('playlist');
+    expect(getEndpointSurface(browseUrl, browse('UC123'))).toBe('channel');
+    expect(getEndpointSurface(browseUrl, {})).toBe('home');
+  });
+
+  test('should only block scoped entries on their surfaces', () => {
+    inject._setStorageData({
+      filterData: {
+        videoId: [],
+        channelId: [scoped(/^UC_X$/, [], ['subscriptions'])],
+        channelName: [],
+        title: [],
+        comment: [],
+        description: [],
+        vidLength: [null, null],
+        javascript: ''
+      },
+      options: {}
+    });
+    const video = () => ({
+      videoRenderer: {
+        videoId: 'vid1',
+        shortBylineText: { runs: [{ text: 'X', navigationEndpoint: { browseEndpoint: { browseId: 'UC_X' } } }] }
+      }
+    });
+
+    const home = video();
+    ObjectFilter(home, filterRules.main, [], false, 'home');
+    expect(home.videoRenderer).toBeUndefined();
+
+    const subscriptions = video();
+    ObjectFilter(subscriptions, filterRules.main, [], false, 'subscriptions');
+    expect(subscriptions.videoRenderer).toBeDefined();
+  });
+
+  test('should default the surface to the current pathname', () => {
+    window.history.replaceState({}, '', '/feed/history');
+    expect(ObjectFilter({}, filterRules.main).surface).toBe('history');
+  });
+
+  test('should disable blocking on the history surface when configured', () => {
+    inject._setStorageData({
+      filterData: {
+        videoId: [/^vid1$/],
+        channelId: [],
+        channelName: [],
+        title: [],
+        comment: [],
+        description: [],
+        vidLength: [null, null],
+        javascript: ''
+      },
+      options: { disable_on_history: true }
+    });
+    const data = { videoRenderer: { videoId: 'vid1' } };
+    ObjectFilter(data, filterRules.main, [], false, 'history');
+    expect(data.videoRenderer).toBeDefined();
+  });
+});
+
+describe('Rule hit statistics', () => {
+  const { ObjectFilter, filterRules, transformToRegExp, countHit, sendReports } = inject;
+
+  const video = (title, channelId = 'UC_X') => ({
+    videoRenderer: {
+      videoId: 'vid1',
+      title: { simpleText: title },
+      shortBylineText: { runs: [{ text: 'Some Channel', navigationEndpoint: { browseEndpoint: { browseId: channelId } } }] },
+    }
+  });
+
+  const setCompiled = (filterData, options = {}) => {
+    const data = {
+      filterData: {
+        videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+        vidLength: [null, null], javascript: '', ...filterData
+      },
+      options
+    };
+    transformToRegExp(data);
+    inject._setStorageData(data);
+  };
+
+  const sentHits = () => {
+    sendReports();
+    const call = window.postMessage.mock.calls.find(c => c[0].type === 'ruleHits');
+    return call ? call[0].data : undefined;
+  };
+
+  beforeEach(() => {
+    inject._setJsFilter(null);
+    sendReports();
+    jest.clearAllMocks();
+  });
+
+  test('countHit should batch hits into one message', () => {
+    jest.useFakeTimers();
+    try {
+      countHit('title', 'news');
+      countHit('title', 'news');
+      countHit('contentTypes', 'shorts');
+      expect(window.postMessage).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(5000);
+      expect(window.postMessage).toHaveBeenCalledTimes(1);
+      expect(window.postMessage.mock.calls[0][0]).toEqual({
+        from: 'BLOCKTUBE_PAGE',
+        type: 'ruleHits',
+        data: { title: { news: 2 }, contentTypes: { shorts: 1 } }
+      });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should count hits by the entry a pattern was compiled from', () => {
+    setCompiled({
+      title: [['other', 'i'], ['reaction', 'i']],
+      sources: { title: ['other', '/reaction/i'], exceptions: {} }
+    });
+    const data = video('My reaction video');
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeUndefined();
+    expect(sentHits()).toEqual({ title: { '/reaction/i': 1 } });
+  });
+
+  test('should count exception hits with the @@ prefix', () => {
+    setCompiled({
+      channelId: [['^UC_X$', '']],
+      exceptions: { title: [['reaction', 'i']] },
+      sources: { channelId: ['UC_X'], exceptions: { title: ['@@reaction'] } }
+    });
+    const data = video('My reaction video');
+    ObjectFilter(data, filterRules.main);
+    expect(data.videoRenderer).toBeDefined();
+    expect(sentHits()).toEqual({ title: { '@@reaction': 1 } });
+  });
+
+  test('should count compound rule hits by their source', () => {
+    setCompiled({ compoundRules: [{ field: 'title', regex: ['reaction', 'i'], source: 'title:reaction' }] });
+    ObjectFilter(video('My reaction video'), filterRules.main);
+    expect(sentHits()).toEqual({ compoundRules: { 'title:reaction': 1 } });
+  });
+
+  test('should count content type blocks', () => {
+    setCompiled({}, { shorts: true, mixes: true });
+    ObjectFilter({ items: [{ reelItemRenderer: { videoId: 's1' } }, { radioRenderer: { playlistId: 'RD1' } }] }, filterRules.main);
+    expect(sentHits()).toEqual({ contentTypes: { shorts: 1, mixes: 1 } });
+  });
+
+  test('should count allowlist entries that keep a video', () => {
+    setCompiled({
+      allowlist: [['^UC_ALLOWED$', '']],
+      sources: { allowlist: ['UC_ALLOWED'], exceptions: {} }
+    }, { allowlist_mode: true });
+    const data = { contents: [video('Allowed video', 'UC_ALLOWED'), video('Other video')] };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.length).toBe(1);
+    expect(sentHits()).toEqual({ allowlist: { UC_ALLOWED: 1 }, contentTypes: { allowlist: 1 } });
+  });
+
+  test('should not count patterns without a source', () => {
+    setCompiled({ title: [['reaction', 'i']] });
+    ObjectFilter(video('My reaction video'), filterRules.main);
+    expect(sentHits()).toBeUndefined();
+  });
+});
+
+describe('Blocked items log', () => {
+  const { ObjectFilter, filterRules, transformToRegExp, sendReports } = inject;
+
+  const sentItems = () => {
+    sendReports();
+    const call = window.postMessage.mock.calls.find(c => c[0].type === 'blockedItems');
+    return call ? call[0].data : undefined;
+  };
+
+  const setCompiled = (filterData, options = {}) => {
+    const data = {
+      filterData: {
+        videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+        vidLength: [null, null], javascript: '', ...filterData
+      },
+      options
+    };
+    transformToRegExp(data);
+    inject._setStorageData(data);
+  };
+
+  beforeEach(() => {
+    inject._setJsFilter(null);
+    sendReports();
+    jest.clearAllMocks();
+  });
+
+  test('should log what was blocked, where and by which rule', () => {
+    setCompiled({ channelId: [['^UC_X$', '']], sources: { channelId: ['UC_X'], exceptions: {} } });
+    const data = {
+      videoRenderer: {
+        videoId: 'vid1',
+        title: { runs: [{ text: 'My' }, { text: 'video' }] },
+        shortBylineText: { runs: [{ text: 'Some Channel', navigationEndpoint: { browseEndpoint: { browseId: 'UC_X' } } }] },
+      }
+    };
+    ObjectFilter(data, filterRules.main, [], false, 'search');
+
+    expect(sentItems()).toEqual([{
+      time: expect.any(Number),
+      objectType: 'videoRenderer',
+      videoId: 'vid1',
+      title: 'My video',
+      channelId: 'UC_X',
+      channelName: 'Some Channel',
+      comment: undefined,
+      surface: 'search',
+      list: 'channelId',
+      entry: 'UC_X',
+    }]);
+  });
+
+  test('should log content type blocks', () => {
+    setCompiled({}, { shorts: true });
+    ObjectFilter({ reelItemRenderer: { videoId: 's1' } }, filterRules.main);
+    const [item] = sentItems();
+    expect(item.list).toBe('contentTypes');
+    expect(item.entry).toBe('shorts');
+    expect(item.videoId).toBe('s1');
+  });
+
+  test('should not log objects kept by their custom function', () => {
+    setCompiled({ videoId: [['^vid1$', '']] }, { suggestions_only: true });
+    const data = { videoDetails: { videoId: 'vid1', title: 'A video' } };
+    ObjectFilter(data, filterRules.ytPlayer);
+    expect(sentItems()).toBeUndefined();
+  });
+});
+
+describe('Rule tester', () => {
+  const { testFilters, sendReports } = inject;
+
+  const compiled = (filterData, options = {}) => ({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null], javascript: '', ...filterData
+    },
+    options
+  });
+
+  beforeEach(() => {
+    sendReports();
+    jest.clearAllMocks();
+  });
+
+  test('should report what was blocked by which entry without touching the page filters', () => {
+    const pageData = compiled({});
+    inject._setStorageData(pageData);
+    const object = {
+      contents: [
+        { videoRenderer: { videoId: 'vid1', title: { runs: [{ text: 'Spoiler ahead' }] } } },
+        { videoRenderer: { videoId: 'vid2', title: { runs: [{ text: 'Fine' }] } } },
+      ]
+    };
+    const data = compiled({ title: [['spoiler', 'i']], sources: { title: ['/spoiler/i'], exceptions: {} } });
+
+    const result = testFilters(data, object, 'home');
+
+    expect(result.blocked).toHaveLength(1);
+    expect(result.blocked[0]).toMatchObject({ videoId: 'vid1', list: 'title', entry: '/spoiler/i', surface: 'home' });
+    expect(result.hits).toEqual({ title: { '/spoiler/i': 1 } });
+    expect(result.object.contents.map(c => c.videoRenderer.videoId)).toEqual(['vid2']);
+    expect(inject._getStorageData()).toBe(pageData);
+    sendReports();
+    expect(window.postMessage).not.toHaveBeenCalled();
+  });
+
+  test('should remove blocked player responses instead of running their custom function', () => {
+    const data = compiled({ videoId: [['^vid1$', '']] });
+    const object = { videoDetails: { videoId: 'vid1', title: 'A video' } };
+    const result = testFilters(data, object, 'watch');
+    expect(result.blocked[0]).toMatchObject({ objectType: 'videoDetails', list: 'videoId' });
+    expect(result.object.videoDetails).toBeUndefined();
+  });
+});
+
+describe('Context menu block undo', () => {
+  const { contextBlock, removeParentHelper } = inject;
+
+  afterEach(() => {
+    document.body.textContent = '';
+    jest.clearAllMocks();
+  });
+
+  test('should put a removed component back where it was', () => {
+    document.body.innerHTML = '<div id="list"><ytd-movie-renderer></ytd-movie-renderer><span id="next"></span></div>';
+    const movie = document.querySelector('ytd-movie-renderer');
+    const restore = removeParentHelper(false, movie);
+    expect(movie.isConnected).toBe(false);
+    restore();
+    expect(document.getElementById('list').firstChild).toBe(movie);
+  });
+
+  test('should undo a dismissed component', () => {
+    document.body.innerHTML = '<ytd-rich-item-renderer></ytd-rich-item-renderer>';
+    const item = document.querySelector('ytd-rich-item-renderer');
+    const restore = removeParentHelper(false, item);
+    expect(item.hasAttribute('is-dismissed')).toBe(true);
+    restore();
+    expect(item.hasAttribute('is-dismissed')).toBe(false);
+    expect(item.dismissedRenderer).toBeUndefined();
+  });
+
+  test('should send the block with a token that undo sends back', () => {
+    const restore = jest.fn();
+    contextBlock('channelId', { id: 'UC_X', text: 'Channel' }, restore);
+
+    const [[block]] = window.postMessage.mock.calls;
+    expect(block).toMatchObject({ from: 'BLOCKTUBE_PAGE', type: 'contextBlockData' });
+    expect(block.data).toMatchObject({ type: 'channelId', info: { id: 'UC_X', text: 'Channel' } });
+
+    // without ytd-app, as on the mobile site, the page shows its own toast
+    const undo = document.querySelector('button');
+    expect(undo.textContent).toBe('Undo');
+    undo.click();
+    expect(window.postMessage).toHaveBeenLastCalledWith(
+      { from: 'BLOCKTUBE_PAGE', type: 'contextUndo', data: block.data.token }, expect.any(String));
+    expect(restore).toHaveBeenCalled();
+    expect(document.querySelector('button')).toBeNull();
+  });
+});
+
+describe('Keyword picker', () => {
+  const { titleWords, pickedKeywords, openKeywordPicker } = inject;
+  const title = 'GTA 6: the "trailer" reaction!';
+
+  afterEach(() => {
+    document.body.textContent = '';
+  });
+
+  test('titleWords should drop punctuation around words', () => {
+    expect(titleWords(title).map(w => w.word)).toEqual(['GTA', '6', 'the', 'trailer', 'reaction']);
+  });
+
+  test('pickedKeywords should return words or the phrase they span', () => {
+    const words = titleWords(title);
+    expect(pickedKeywords(title, words, new Set([0, 3]), false)).toEqual(['GTA', 'trailer']);
+    expect(pickedKeywords(title, words, new Set([0, 1]), true)).toEqual(['GTA 6']);
+    expect(pickedKeywords(title, words, new Set(), true)).toEqual([]);
+  });
+
+  test('should hand the picked words to the block', () => {
+    const onPick = jest.fn();
+    openKeywordPicker(title, onPick);
+    const buttons = [...document.querySelectorAll('button')];
+    const block = buttons.find(b => b.textContent === 'Block');
+    expect(block.disabled).toBe(true);
+
+    buttons.find(b => b.textContent === 'trailer').click();
+    buttons.find(b => b.textContent === 'reaction').click();
+    document.querySelector('input[type="checkbox"]').click();
+    block.click();
+
+    expect(onPick).toHaveBeenCalledWith(['trailer" reaction']);
+    expect(document.querySelector('button')).toBeNull();
+  });
+});
+
+describe('Block user', () => {
+  const { addCommentMenus, addChatMenu, blockUser, createBlockUserItem } = inject;
+
+  const surfaceItems = () => ({ menuCommand: { innertubeCommand: { menuEndpoint: { menu: { menuRenderer: { items: [] } } } } } });
+
+  afterEach(() => {
+    document.body.textContent = '';
+    jest.clearAllMocks();
+  });
+
+  test('should add the menu item to comment surfaces and find the author through the view model', () => {
+    const surface = { key: 'surface-1', ...surfaceItems() };
+    addCommentMenus({ commentSurfaceEntityPayload: surface });
+    addCommentMenus({ commentViewModel: { commentId: 'c1', commentSurfaceKey: 'surface-1' } });
+    addCommentMenus({
+      commentEntityPayload: { properties: { commentId: 'c1' }, author: { channelId: 'UC_A', displayName: '@author' } }
+    });
+
+    const { items } = surface.menuCommand.innertubeCommand.menuEndpoint.menu.menuRenderer;
+    expect(items).toHaveLength(1);
+    expect(items[0].menuServiceItemRenderer).toMatchObject({ _btMenuAction: 'block_user', _btSurfaceKey: 'surface-1' });
+
+    // the menu is added once
+    addCommentMenus({ commentSurfaceEntityPayload: surface });
+    expect(items).toHaveLength(1);
+
+    blockUser(items[0].menuServiceItemRenderer);
+    const [[block]] = window.postMessage.mock.calls;
+    expect(block.data).toMatchObject({ type: 'channelId', info: { id: 'UC_A', text: '@author' } });
+  });
+
+  test('should hide the user\'s comments and chat messages already on the page until undone', () => {
+    addCommentMenus({
+      commentEntityPayload: { properties: { commentId: 'c2' }, author: { channelId: 'UC_B', displayName: '@b' } }
+    });
+    addCommentMenus({
+      commentEntityPayload: { properties: { commentId: 'c3' }, author: { channelId: 'UC_C', displayName: '@c' } }
+    });
+    document.body.innerHTML = '<ytd-comment-thread-renderer></ytd-comment-thread-renderer>' +
+      '<ytd-comment-view-model></ytd-comment-view-model><ytd-comment-view-model></ytd-comment-view-model>' +
+      '<yt-live-chat-text-message-renderer></yt-live-chat-text-message-renderer>';
+    const [thread] = document.getElementsByTagName('ytd-comment-thread-renderer');
+    const [reply, other] = document.getElementsByTagName('ytd-comment-view-model');
+    const [chat] = document.getElementsByTagName('yt-live-chat-text-message-renderer');
+    thread.data = { commentViewModel: { commentViewModel: { commentId: 'c2' } } };
+    reply.data = { commentId: 'c2' };
+    other.data = { commentId: 'c3' };
+    chat.data = { authorExternalChannelId: 'UC_B' };
+
+    blockUser({ _btOriginalData: { id: 'UC_B', text: '@b' } });
+    expect([thread, reply, other, chat].map(el => el.style.display)).toEqual(['none', 'none', '', 'none']);
+
+    document.querySelector('button').click();
+    expect([thread, reply, chat].map(el => el.style.display)).toEqual(['', '', '']);
+  });
+
+  test('should add the menu item to live chat menus for the message it was opened on', () => {
+    const message = document.createElement('yt-live-chat-text-message-renderer');
+    message.data = { authorExternalChannelId: 'UC_D', authorName: { simpleText: 'Chatter' } };
+    inject._setLastChatMessage(message);
+    const resp = { liveChatItemContextMenuSupportedRenderers: { menuRenderer: { items: [] } } };
+    addChatMenu(resp);
+    const [item] = resp.liveChatItemContextMenuSupportedRenderers.menuRenderer.items;
+    expect(item.menuServiceItemRenderer._btOriginalData).toEqual({ id: 'UC_D', text: 'Chatter' });
+    inject._setLastChatMessage(undefined);
+  });
+
+  test('createBlockUserItem should be a standard menu item', () => {
+    expect(createBlockUserItem({}).menuServiceItemRenderer.text.runs[0].text).toBe('Block user');
+  });
+});
+
+describe('Upload age', () => {
+  const { ObjectFilter, filterRules, parseUploadAge } = inject;
+
+  const setAge = (uploadAge, type) => inject._setStorageData({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null], uploadAge
+    },
+    options: { uploadAge_type: type }
+  });
+
+  test.each([
+    ['3 years ago', 3 * 365],
+    ['Streamed 2 weeks ago', 14],
+    ['1 day ago', 1],
+    ['5 hours ago', 5 / 24],
+    ['vor 3 Jahren', 3 * 365],
+    ['vor 2 Monaten', 60],
+    ['il y a 1 an', 365],
+    ['il y a 3 semaines', 21],
+    ['hace 4 días', 4],
+    ['há 2 meses', 60],
+    ['3 settimane fa', 21],
+    ['2 maanden geleden', 60],
+    ['3 weken geleden', 21],
+    ['5 лет назад', 5 * 365],
+    ['3 дня назад', 3],
+    ['2 lata temu', 2 * 365],
+    ['5 godzin temu', 5 / 24],
+    ['3 gün önce', 3],
+    ['3 年前', 3 * 365],
+    ['2 か月前', 60],
+    ['3일 전', 3],
+    ['1개월 전', 30],
+  ])('should parse "%s"', (text, days) => {
+    expect(parseUploadAge(text)).toBeCloseTo(days);
+  });
+
+  test('should parse publish dates and ignore other texts', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-03-11T00:00:00Z'));
+    expect(parseUploadAge('2024-03-01')).toBe(10);
+    expect(parseUploadAge('2024-03-01T00:00:00+00:00')).toBe(10);
+    Date.now.mockRestore();
+    expect(parseUploadAge('Premieres in 3 hours')).toBeUndefined();
+    expect(parseUploadAge(undefined)).toBeUndefined();
+  });
+
+  test('should hide videos older than the allowed maximum', () => {
+    setAge([null, 30], 'allow');
+    const data = {
+      contents: [
+        { videoRenderer: { videoId: 'old', publishedTimeText: { simpleText: '2 months ago' } } },
+        { videoRenderer: { videoId: 'new', publishedTimeText: { simpleText: '3 days ago' } } },
+        { videoRenderer: { videoId: 'unknown' } },
+      ]
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['new', 'unknown']);
+  });
+
+  test('should block videos within the range', () => {
+    setAge([0, 7], 'block');
+    const data = {
+      contents: [
+        { videoRenderer: { videoId: 'old', publishedTimeText: { simpleText: '2 months ago' } } },
+        { videoRenderer: { videoId: 'new', publishedTimeText: { simpleText: '3 days ago' } } },
+      ]
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['old']);
+  });
+
+  test('should read lockup view model ages', () => {
+    setAge([null, 30], 'allow');
+    const data = {
+      lockupViewModel: {
+        contentId: 'vid1',
+        metadata: { lockupMetadataViewModel: { metadata: { contentMetadataViewModel: { metadataRows: [
+          { metadataParts: [{ text: { content: 'Channel' } }] },
+          { metadataParts: [{ text: { content: '1.2M views' } }, { text: { content: '2 years ago' } }] },
+        ] } } } }
+      }
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.lockupViewModel).toBeUndefined();
+  });
+
+  test('should leave the player of old videos opened directly alone', () => {
+    setAge([null, 30], 'allow');
+    const data = {
+      playabilityStatus: { status: 'OK' },
+      videoDetails: { videoId: 'vid1', title: 'Old video' },
+      microformat: { playerMicroformatRenderer: { publishDate: '2001-01-01' } },
+    };
+    ObjectFilter(data, filterRules.ytPlayer);
+    expect(data.playabilityStatus.status).toBe('OK');
+  });
+});
+
+describe('View count', () => {
+  const { ObjectFilter, filterRules, parseViewCount } = inject;
+
+  const setViews = viewCount => inject._setStorageData({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null], viewCount
+    },
+    options: {}
+  });
+
+  test.each([
+    ['No views', 0],
+    ['1.2K watching', 1200],
+    ['1.234 Aufrufe', 1234],
+    ['3,4 Mio. Aufrufe', 3400000],
+    ['1 234 567 vues', 1234567],
+    ['1,2 M de vues', 1200000],
+    ['12 mil visualizaciones', 12000],
+    ['1,2 mi de visualizações', 1200000],
+    ['1,5 тыс. просмотров', 1500],
+    ['1.2 lakh views', 120000],
+    ['1,23,456 views', 123456],
+    ['1.5万 回視聴', 15000],
+    ['조회수 1.2만회', 12000],
+  ])('should parse "%s"', (text, views) => {
+    expect(parseViewCount(text)).toBe(views);
+  });
+
+  test('should hide videos outside the view range', () => {
+    setViews([100, 1000000]);
+    const data = {
+      contents: [
+        { videoRenderer: { videoId: 'few', viewCountText: { simpleText: 'No views' } } },
+        { videoRenderer: { videoId: 'some', viewCountText: { simpleText: '5,432 views' } } },
+        { videoRenderer: { videoId: 'many', viewCountText: { simpleText: '2.5M views' } } },
+        { videoRenderer: { videoId: 'unknown' } },
+      ]
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['some', 'unknown']);
+  });
+
+  test('should only limit the set side', () => {
+    setViews([null, 1000]);
+    const data = {
+      contents: [
+        { videoRenderer: { videoId: 'few', viewCountText: { simpleText: '12 views' } } },
+        { videoRenderer: { videoId: 'many', viewCountText: { simpleText: '1.2K watching' } } },
+      ]
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['few']);
+  });
+
+  test('should read lockup view model view counts', () => {
+    setViews([null, 1000]);
+    const data = {
+      lockupViewModel: {
+        contentId: 'vid1',
+        metadata: { lockupMetadataViewModel: { metadata: { contentMetadataViewModel: { metadataRows: [
+          { metadataParts: [{ text: { content: 'Channel' } }] },
+          { metadataParts: [{ text: { content: '1.2M views' } }, { text: { content: '2 years ago' } }] },
+        ] } } } }
+      }
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.lockupViewModel).toBeUndefined();
+  });
+});
+
+describe('Live content', () => {
+  const { ObjectFilter, filterRules } = inject;
+
+  const setOptions = options => inject._setStorageData({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null]
+    },
+    options
+  });
+
+  const feed = () => ({
+    contents: [
+      { videoRenderer: { videoId: 'vod', lengthText: { simpleText: '10:00' } } },
+      { videoRenderer: {
+        videoId: 'live',
+        badges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_LIVE_NOW', label: 'LIVE' } }],
+        thumbnailOverlays: [{ thumbnailOverlayTimeStatusRenderer: { style: 'LIVE', text: { runs: [{ text: 'LIVE' }] } } }],
+      } },
+      { videoRenderer: {
+        videoId: 'upcoming',
+        upcomingEventData: { startTime: '1800000000', upcomingEventText: { runs: [{ text: 'Scheduled for ' }, { text: 'DATE_PLACEHOLDER' }] } },
+        thumbnailOverlays: [{ thumbnailOverlayTimeStatusRenderer: { style: 'UPCOMING', text: { runs: [{ text: 'UPCOMING' }] } } }],
+      } },
+      { videoRenderer: {
+        videoId: 'premiere',
+        upcomingEventData: { startTime: '1800000000', upcomingEventText: { runs: [{ text: 'Premieres ' }, { text: 'DATE_PLACEHOLDER' }] } },
+        thumbnailOverlays: [{ thumbnailOverlayTimeStatusRenderer: { style: 'UPCOMING', text: { runs: [{ text: 'PREMIERE' }] } } }],
+      } },
+    ]
+  });
+
+  test.each([
+    [{ live: true }, ['vod', 'upcoming', 'premiere']],
+    [{ upcoming: true }, ['vod', 'live', 'premiere']],
+    [{ premieres: true }, ['vod', 'live', 'upcoming']],
+    [{ live: true, upcoming: true, premieres: true }, ['vod']],
+  ])('should hide feed items with options %j', (options, kept) => {
+    setOptions(options);
+    const data = feed();
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(kept);
+  });
+
+  test('should hide live lockups', () => {
+    setOptions({ live: true });
+    const data = {
+      lockupViewModel: {
+        contentId: 'vid1',
+        contentImage: { thumbnailViewModel: { overlays: [{ thumbnailOverlayBadgeViewModel: { thumbnailBadges: [
+          { thumbnailBadgeViewModel: { text: 'LIVE', badgeStyle: 'THUMBNAIL_OVERLAY_BADGE_STYLE_LIVE' } }
+        ] } }] } }
+      }
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.lockupViewModel).toBeUndefined();
+  });
+
+  test('should disable the player of blocked live content', () => {
+    setOptions({ premieres: true });
+    const data = {
+      videoDetails: { videoId: 'vid1', title: 'Premiere', isUpcoming: true, isLiveContent: false },
+    };
+    ObjectFilter(data, filterRules.ytPlayer);
+    expect(data.playabilityStatus.status).toBe('ERROR');
+
+    setOptions({ premieres: true });
+    const stream = {
+      videoDetails: { videoId: 'vid2', title: 'Stream', isUpcoming: true, isLiveContent: true },
+    };
+    ObjectFilter(stream, filterRules.ytPlayer);
+    expect(stream.playabilityStatus).toBeUndefined();
+  });
+});
+
+describe('Members-only and paid content', () => {
+  const { ObjectFilter, filterRules } = inject;
+
+  const setOptions = options => inject._setStorageData({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null]
+    },
+    options
+  });
+
+  const feed = () => ({
+    contents: [
+      { videoRenderer: { videoId: 'free', badges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_VERIFIED' } }] } },
+      { videoRenderer: { videoId: 'members', badges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_MEMBERS_ONLY' } }] } },
+      { videoRenderer: { videoId: 'paid', badges: [{ metadataBadgeRenderer: { style: 'BADGE_STYLE_TYPE_YPC' } }] } },
+    ]
+  });
+
+  test('should hide members-only videos', () => {
+    setOptions({ members: true });
+    const data = feed();
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['free', 'paid']);
+  });
+
+  test('should hide paid videos', () => {
+    setOptions({ paid: true });
+    const data = feed();
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['free', 'members']);
+  });
+
+  test('should hide members-only lockups', () => {
+    setOptions({ members: true });
+    const data = {
+      lockupViewModel: {
+        contentId: 'vid1',
+        metadata: { lockupMetadataViewModel: { metadata: { contentMetadataViewModel: { metadataRows: [
+          { badges: [{ badgeViewModel: { badgeText: 'Members only', badgeStyle: 'BADGE_MEMBERS_ONLY' } }] },
+        ] } } } }
+      }
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.lockupViewModel).toBeUndefined();
+  });
+
+  test('should disable the player of members-only and paid videos', () => {
+    setOptions({ members: true });
+    const members = {
+      playabilityStatus: { status: 'UNPLAYABLE', errorScreen: { playerLegacyDesktopYpcOfferRenderer: { offerId: 'sponsors_only_video' } } },
+      videoDetails: { videoId: 'vid1' },
+    };
+    ObjectFilter(members, filterRules.ytPlayer);
+    expect(members.playabilityStatus.status).toBe('ERROR');
+
+    setOptions({ members: true });
+    const rental = {
+      playabilityStatus: { status: 'UNPLAYABLE', errorScreen: { ypcTrailerRenderer: {} } },
+      videoDetails: { videoId: 'vid2' },
+    };
+    ObjectFilter(rental, filterRules.ytPlayer);
+    expect(rental.playabilityStatus.status).toBe('UNPLAYABLE');
+  });
+
+  test('should block videos with paid promotion', () => {
+    setOptions({ paid_promotion: 'hide' });
+    const data = {
+      playabilityStatus: { status: 'OK' },
+      videoDetails: { videoId: 'vid1' },
+      paidContentOverlay: { paidContentOverlayRenderer: { text: { runs: [{ text: 'Includes paid promotion' }] } } },
+    };
+    ObjectFilter(data, filterRules.ytPlayer);
+    expect(data.playabilityStatus.status).toBe('ERROR');
+
+    setOptions({ paid_promotion: 'warn' });
+    const warned = {
+      playabilityStatus: { status: 'OK' },
+      videoDetails: { videoId: 'vid2' },
+      paidContentOverlay: { paidContentOverlayRenderer: {} },
+    };
+    ObjectFilter(warned, filterRules.ytPlayer);
+    expect(warned.playabilityStatus.status).toBe('OK');
+  });
+});
+
+describe('Categories and age ratings', () => {
+  const { ObjectFilter, filterRules } = inject;
+
+  const setData = (options, category = []) => inject._setStorageData({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null], category
+    },
+    options
+  });
+
+  const player = (microformat, playabilityStatus = { status: 'OK' }) => ({
+    playabilityStatus,
+    videoDetails: { videoId: 'vid1', title: 'Video' },
+    microformat: { playerMicroformatRenderer: { category: 'Gaming', isFamilySafe: true, ...microformat } },
+  });
+
+  test('should disable the player of blocked categories', () => {
+    setData({}, ['gaming']);
+    const blocked = player({});
+    ObjectFilter(blocked, filterRules.ytPlayer);
+    expect(blocked.playabilityStatus.status).toBe('ERROR');
+
+    setData({}, ['gaming']);
+    const allowed = player({ category: 'Education' });
+    ObjectFilter(allowed, filterRules.ytPlayer);
+    expect(allowed.playabilityStatus.status).toBe('OK');
+  });
+
+  test('should only allow family-safe videos', () => {
+    setData({ family_safe_only: true });
+    const blocked = player({ isFamilySafe: false });
+    ObjectFilter(blocked, filterRules.ytPlayer);
+    expect(blocked.playabilityStatus.status).toBe('ERROR');
+
+    setData({ family_safe_only: true });
+    const allowed = player({});
+    ObjectFilter(allowed, filterRules.ytPlayer);
+    expect(allowed.playabilityStatus.status).toBe('OK');
+  });
+
+  test('should block age-restricted videos', () => {
+    setData({ age_restricted: true });
+    const gated = player({}, { status: 'LOGIN_REQUIRED', desktopLegacyAgeGateReason: 1 });
+    ObjectFilter(gated, filterRules.ytPlayer);
+    expect(gated.playabilityStatus.status).toBe('ERROR');
+
+    setData({ age_restricted: true });
+    const checked = player({}, { status: 'AGE_CHECK_REQUIRED' });
+    ObjectFilter(checked, filterRules.ytPlayer);
+    expect(checked.playabilityStatus.status).toBe('ERROR');
+
+    setData({ age_restricted: true });
+    const allowed = player({});
+    ObjectFilter(allowed, filterRules.ytPlayer);
+    expect(allowed.playabilityStatus.status).toBe('OK');
+  });
+});
+
+describe('Watch page exceptions', () => {
+  const { ObjectFilter, filterRules } = inject;
+
+  const setData = (options, exceptions, category = []) => inject._setStorageData({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null], category, exceptions
+    },
+    options
+  });
+
+  const player = (playabilityStatus, extra = {}) => ({
+    playabilityStatus,
+    videoDetails: { videoId: 'vid1', channelId: 'UC_ALLOWED', title: 'Video' },
+    microformat: { playerMicroformatRenderer: { category: 'Gaming', isFamilySafe: false } },
+    ...extra,
+  });
+  const membersOnly = { status: 'UNPLAYABLE', errorScreen: { playerLegacyDesktopYpcOfferRenderer: { offerId: 'sponsors_only_video' } } };
+
+  test('should let channel exceptions override members-only and paid promotion blocks', () => {
+    setData({ members: true }, { channelId: [/^UC_ALLOWED$/] });
+    const members = player(membersOnly);
+    ObjectFilter(members, filterRules.ytPlayer);
+    expect(members.playabilityStatus.status).toBe('UNPLAYABLE');
+
+    setData({ paid_promotion: 'hide' }, { channelId: [/^UC_ALLOWED$/] });
+    const promoted = player({ status: 'OK' }, { paidContentOverlay: { paidContentOverlayRenderer: {} } });
+    ObjectFilter(promoted, filterRules.ytPlayer);
+    expect(promoted.playabilityStatus.status).toBe('OK');
+  });
+
+  test('should let video exceptions override category, family-safe and age blocks', () => {
+    setData({ family_safe_only: true, age_restricted: true }, { videoId: [/^vid1$/] }, ['gaming']);
+    const data = player({ status: 'AGE_CHECK_REQUIRED' });
+    ObjectFilter(data, filterRules.ytPlayer);
+    expect(data.playabilityStatus.status).toBe('AGE_CHECK_REQUIRED');
+
+    setData({ family_safe_only: true, age_restricted: true }, { videoId: [/^other$/] }, ['gaming']);
+    const blocked = player({ status: 'AGE_CHECK_REQUIRED' });
+    ObjectFilter(blocked, filterRules.ytPlayer);
+    expect(blocked.playabilityStatus.status).toBe('ERROR');
+  });
+});
+
+describe('Tags and hashtags', () => {
+  const { ObjectFilter, filterRules } = inject;
+
+  // compile the entries the same way the extension does
+  const setTags = entries => {
+    const data = {
+      filterData: {
+        videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+        vidLength: [null, null], tags: background.utils.compileRegex(entries, 'tags')
+      },
+      options: {}
+    };
+    inject.transformToRegExp(data);
+    inject._setStorageData(data);
+  };
+
+  const playerResponse = keywords => ({
+    playabilityStatus: { status: 'OK' },
+    videoDetails: { videoId: 'vid1', title: 'Video', keywords },
+  });
+
+  test('should match hashtags in titles and descriptions', () => {
+    setTags(['minecraft']);
+    const data = {
+      contents: [
+        { videoRenderer: { videoId: 'title', title: { runs: [{ text: 'Best build ever #Minecraft #shorts' }] } } },
+        { videoRenderer: { videoId: 'snippet', title: { runs: [{ text: 'Best build ever' }] }, descriptionSnippet: { runs: [{ text: 'More at ' }, { text: '#minecraft' }] } } },
+        { videoRenderer: { videoId: 'word', title: { runs: [{ text: 'Minecraft without a hashtag' }] } } },
+        { videoRenderer: { videoId: 'longer', title: { runs: [{ text: 'Best build ever #minecraftbuilds' }] } } },
+      ]
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['word', 'longer']);
+  });
+
+  test('should match hashtags above the watch page title', () => {
+    setTags(['#speedrun']);
+    const data = { contents: { twoColumnWatchNextResults: {
+      results: { results: { contents: [{
+        videoPrimaryInfoRenderer: {
+          title: { runs: [{ text: 'Any% in 10 minutes' }] },
+          superTitleLink: { runs: [{ text: '#gaming' }, { text: ' ' }, { text: '#speedrun' }] },
+        }
+      }] } },
+      secondaryResults: { secondaryResults: {} },
+    } } };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.twoColumnWatchNextResults.results.results.contents).toEqual([]);
+  });
+
+  test('should match entries with and without # alike', () => {
+    for (const entry of ['minecraft', '#minecraft']) {
+      setTags([entry]);
+      const data = playerResponse(['building', 'Minecraft']);
+      ObjectFilter(data, filterRules.ytPlayer);
+      expect(data.playabilityStatus.status).toBe('ERROR');
+    }
+  });
+
+  test('should match keywords inside longer tags of the player response', () => {
+    setTags(['minecraft']);
+    const data = playerResponse(['building', 'Minecraft mods']);
+    ObjectFilter(data, filterRules.ytPlayer);
+    expect(data.playabilityStatus.status).toBe('ERROR');
+  });
+
+  test('should only match whole tags with an anchored regex', () => {
+    setTags(['/^#minecraft$/m']);
+    const allowed = playerResponse(['Minecraft mods', 'minecraft mods']);
+    ObjectFilter(allowed, filterRules.ytPlayer);
+    expect(allowed.playabilityStatus.status).toBe('OK');
+
+    const blocked = playerResponse(['building', 'minecraft']);
+    ObjectFilter(blocked, filterRules.ytPlayer);
+    expect(blocked.playabilityStatus.status).toBe('ERROR');
+  });
+});
+
+describe('Channel handles', () => {
+  const { ObjectFilter, filterRules } = inject;
+
+  const setHandles = (channelHandle, exceptions = undefined) => inject._setStorageData({
+    filterData: {
+      videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+      vidLength: [null, null], channelHandle, exceptions
+    },
+    options: {}
+  });
+
+  const byline = handle => ({ runs: [{ text: 'Channel', navigationEndpoint: { browseEndpoint: { browseId: 'UC1', canonicalBaseUrl: `/@${handle}` } } }] });
+
+  test('should match handles from channel URLs', () => {
+    setHandles([/^@blocked$/i]);
+    const data = {
+      contents: [
+        { videoRenderer: { videoId: 'blocked', shortBylineText: byline('Blocked') } },
+        { videoRenderer: { videoId: 'similar', shortBylineText: byline('blocked2') } },
+      ]
+    };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.map(c => c.videoRenderer.videoId)).toEqual(['similar']);
+  });
+
+  test('should decode handles with non-ASCII letters', () => {
+    setHandles([/^@café$/i]);
+    const data = { contents: [{ videoRenderer: { videoId: 'vid1', shortBylineText: byline('caf%C3%A9') } }] };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents).toEqual([]);
+  });
+
+  test('should match comment authors', () => {
+    setHandles([/^@spammer$/i]);
+    const comments = {
+      mutations: [
+        { payload: { commentEntityPayload: { author: { channelId: 'UC1', displayName: '@Spammer' }, properties: { commentId: 'c1' } } } },
+        { payload: { commentEntityPayload: { author: { channelId: 'UC2', displayName: '@friend' }, properties: { commentId: 'c2' } } } },
+      ]
+    };
+    ObjectFilter(comments, filterRules.comments);
+    expect(comments.mutations.map(m => m.payload.commentEntityPayload?.author.displayName).filter(Boolean)).toEqual(['@friend']);
+
+    setHandles([/^@spammer$/i]);
+    const legacy = {
+      contents: [
+        { commentRenderer: { authorEndpoint: { browseEndpoint: { browseId: 'UC1', canonicalBaseUrl: '/@Spammer' } }, contentText: { simpleText: 'Hi' } } },
+      ]
+    };
+    ObjectFilter(legacy, filterRules.comments);
+    expect(legacy.contents).toEqual([]);
+  });
+
+  test('should honor handle exceptions', () => {
+    setHandles([/^@blocked$/i], { channelHandle: [/^@blocked$/i] });
+    const data = { contents: [{ videoRenderer: { videoId: 'vid1', shortBylineText: byline('blocked') } }] };
+    ObjectFilter(data, filterRules.main);
+    expect(data.contents.length).toBe(1);
+  });
+});
+
+describe('Channel ID mappings', () => {
+  beforeEach(() => {
+    inject._setStorageData({
+      filterData: {
+        videoId: [], channelId: [], channelName: [], title: [], comment: [], description: [],
+        vidLength: [null, null]
+      },
+      options: {}
+    });
+    jest.clearAllMocks();
+  });
+
+  const mappingMessages = () => window.postMessage.mock.calls.filter(c => c[0].type === 'channelMapping').map(c => c[0].data);
+
+  test('should report the channel ID of browsed channel pages', () => {
+    const resp = {
+      metadata: {
+        channelMetadataRenderer: {
+          title: 'Somebody',
+          externalId: 'UC1234567890123456789012',
+          vanityChannelUrl: 'http://www.youtube.com/@Somebody',
+          ownerUrls: ['http://www.youtube.com/@Somebody', 'http://www.youtube.com/user/Name']
+        }
+      }
+    };
+    inject.fetchFilter(new URL('https://www.youtube.com/youtubei/v1/browse'), resp);
+    expect(mappingMessages()).toEqual([{
+      id: 'UC1234567890123456789012',
+      urls: ['http://www.youtube.com/@Somebody', 'http://www.youtube.com/@Somebody', 'http://www.youtube.com/user/Name']
+    }]);
+  });
+
+  test('should not report responses without channel metadata', () => {
+    inject.fetchFilter(new URL('https://www.youtube.com/youtubei/v1/browse'), { contents: [] });
+    inject.fetchFilter(new URL('https://www.youtube.com/youtubei/v1/search'), {
+      metadata: { channelMetadataRenderer: { externalId: 'UC1234567890123456789012', vanityChannelUrl: 'http://www.youtube.com/@Somebody' } }
+    });
+    expect(mappingMessages()).toEqual([]);
+  });
+});
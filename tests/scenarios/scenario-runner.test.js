@@ -18,6 +18,7 @@ global.window.postMessage = jest.fn();
 
 const inject = require('../../src/scripts/inject.js');
 const { ObjectFilter, filterRules, mergedFilterRules, deepClone } = inject;
+const background = require('../../src/scripts/background.js');
 
 // Load all scenario files
 const scenarioDir = __dirname;
@@ -52,6 +53,9 @@ function buildStorageData(scenario) {
       title: compilePatterns(filters.title || []),
       comment: compilePatterns(filters.comment || []),
       description: compilePatterns(filters.description || []),
+      allowlist: compilePatterns(filters.allowlist || []),
+      compoundRules: compileRules(filters.compoundRules || []),
+      exceptions: compileExceptions(filters.exceptions || {}),
       vidLength: filters.vidLength || [NaN, NaN]
     },
     options: {
@@ -81,6 +85,26 @@ function compilePatterns(patterns) {
   });
 }
 
+/**
+ * Convert exception patterns for each list
+ */
+function compileExceptions(exceptions) {
+  const result = {};
+  Object.keys(exceptions).forEach(p => {
+    result[p] = compilePatterns(exceptions[p]);
+  });
+  return result;
+}
+
+/**
+ * Compile compound rules the same way the extension does
+ */
+function compileRules(rules) {
+  const data = { filterData: { compoundRules: background.utils.compileRules(rules) } };
+  inject.transformToRegExp(data);
+  return data.filterData.compoundRules;
+}
+
 function escapeRegex(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
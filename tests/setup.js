@@ -9,6 +9,7 @@ global.chrome = {
       onDisconnect: { addListener: jest.fn() }
     })),
     onConnect: { addListener: jest.fn() },
+    onMessage: { addListener: jest.fn() },
     onInstalled: { addListener: jest.fn() },
     OnInstalledReason: { UPDATE: 'update' },
     openOptionsPage: jest.fn()
@@ -16,18 +17,28 @@ global.chrome = {
   storage: {
     local: {
       get: jest.fn((keys, callback) => callback({})),
-      set: jest.fn()
+      set: jest.fn(),
+      remove: jest.fn()
     },
     onChanged: { addListener: jest.fn() }
   },
   tabs: {
     reload: jest.fn()
+  },
+  alarms: {
+    get: jest.fn((name, callback) => callback(undefined)),
+    create: jest.fn(),
+    clear: jest.fn(),
+    onAlarm: { addListener: jest.fn() }
   }
 };
 
 // Mock window.postMessage
 global.postMessage = jest.fn();
 
+// inject.js logs its start when a test loads it
+jest.spyOn(console, 'info').mockImplementation(() => {});
+
 // Reset mocks before each test
 beforeEach(() => {
   jest.clearAllMocks();